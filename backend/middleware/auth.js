@@ -1,5 +1,23 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { hasRole } = require('airtable-form-builder-shared');
+const Form = require('../models/Form');
+const Session = require('../models/Session');
 const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const { AirtableTokenRevokedError, getAccessToken } = require('../utils/airtableClient');
+
+// Helper function to load the session an access token belongs to; null
+// when it was revoked or has expired (or the token predates sessions)
+const findTokenSession = async (decoded) => {
+  if (!mongoose.isValidObjectId(decoded.sessionId)) return null;
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive() || session.userId.toString() !== decoded.userId) {
+    return null;
+  }
+  return session;
+};
 
 // Middleware to authenticate JWT token
 const authenticateToken = async (req, res, next) => {
@@ -12,7 +30,12 @@ const authenticateToken = async (req, res, next) => {
     }
     
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    
+    // Verify the session hasn't been revoked
+    const session = await findTokenSession(decoded);
+    if (!session) {
+      return res.status(401).json({ message: 'Session expired or revoked' });
+    }
     
     // Verify user still exists
     const user = await User.findById(decoded.userId);
@@ -20,13 +43,17 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ message: 'User not found or inactive' });
     }
     
+    await session.touch(req.ip);
+    req.user = decoded;
+    req.authSession = session;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ message: 'Invalid token' });
     }
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ message: 'Token expired' });
+      // The client gets a new access token with its refresh token
+      return res.status(401).json({ message: 'Token expired', tokenExpired: true });
     }
     
     console.error('Auth middleware error:', error);
@@ -43,45 +70,99 @@ const getAirtableToken = async (req, res, next) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    // Check if token is expired
-    if (user.isTokenExpired()) {
-      return res.status(401).json({ 
-        message: 'Airtable token expired', 
-        needsRefresh: true 
-      });
+    // Local accounts may not have connected Airtable
+    if (!user.airtableAccessToken) {
+      return res.status(403).json({ message: 'No Airtable access token found', needsAirtable: true });
     }
     
-    req.airtableToken = user.airtableAccessToken;
+    // Refreshes an expired OAuth token; fails once access was revoked
+    req.airtableToken = await getAccessToken(user);
     req.userData = user;
     next();
     
   } catch (error) {
+    if (error instanceof AirtableTokenRevokedError) {
+      return res.status(401).json({ message: error.message, needsReconnect: true });
+    }
     console.error('Airtable token middleware error:', error);
     res.status(500).json({ message: 'Failed to get Airtable token' });
   }
 };
 
-// Middleware to check if user owns the resource
-const checkOwnership = (model, paramName = 'id') => {
+// Helper function to get a user's workspace role for a form; forms from
+// before workspaces existed belong to their creator alone
+const getFormRole = async (form, userId) => {
+  if (!form.workspaceId) {
+    return form.userId.toString() === String(userId) ? 'owner' : null;
+  }
+  const workspace = await Workspace.findById(form.workspaceId);
+  return workspace ? workspace.getRole(userId) : null;
+};
+
+// Middleware to check the user has at least `requiredRole` in the form's
+// workspace; sets req.resource and req.workspaceRole
+const authorizeForm = (requiredRole, paramName = 'id') => {
+  return async (req, res, next) => {
+    try {
+      const formId = req.params[paramName];
+      if (!mongoose.isValidObjectId(formId)) {
+        return res.status(404).json({ message: 'Form not found' });
+      }
+      
+      const form = await Form.findById(formId);
+      
+      if (!form) {
+        return res.status(404).json({ message: 'Form not found' });
+      }
+      
+      const role = await getFormRole(form, req.user.userId);
+      if (!hasRole(role, requiredRole)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      
+      req.resource = form;
+      req.workspaceRole = role;
+      next();
+      
+    } catch (error) {
+      console.error('Form authorization error:', error);
+      res.status(500).json({ message: 'Access verification failed' });
+    }
+  };
+};
+
+// Middleware to check the user has at least `requiredRole` in a workspace;
+// sets req.workspace and req.workspaceRole
+const authorizeWorkspace = (requiredRole, paramName = 'id') => {
   return async (req, res, next) => {
     try {
-      const resourceId = req.params[paramName];
-      const resource = await model.findById(resourceId);
+      const workspaceId = req.params[paramName];
+      if (!mongoose.isValidObjectId(workspaceId)) {
+        return res.status(404).json({ message: 'Workspace not found' });
+      }
       
-      if (!resource) {
-        return res.status(404).json({ message: 'Resource not found' });
+      const workspace = await Workspace.findById(workspaceId);
+      
+      if (!workspace) {
+        return res.status(404).json({ message: 'Workspace not found' });
       }
       
-      if (resource.userId.toString() !== req.user.userId) {
+      const role = workspace.getRole(req.user.userId);
+      if (!role) {
+        // Don't reveal workspaces the user isn't part of
+        return res.status(404).json({ message: 'Workspace not found' });
+      }
+      if (!hasRole(role, requiredRole)) {
         return res.status(403).json({ message: 'Access denied' });
       }
       
-      req.resource = resource;
+      req.workspace = workspace;
+      req.workspaceRole = role;
       next();
       
     } catch (error) {
-      console.error('Ownership check error:', error);
-      res.status(500).json({ message: 'Ownership verification failed' });
+      console.error('Workspace authorization error:', error);
+      res.status(500).json({ message: 'Access verification failed' });
     }
   };
 };
@@ -94,7 +175,8 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId);
+      const session = await findTokenSession(decoded);
+      const user = session && await User.findById(decoded.userId);
       
       if (user && user.isActive) {
         req.user = decoded;
@@ -112,6 +194,8 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   getAirtableToken,
-  checkOwnership,
+  getFormRole,
+  authorizeForm,
+  authorizeWorkspace,
   optionalAuth
 };
\ No newline at end of file
@@ -1,16 +1,39 @@
 const mongoose = require('mongoose');
+const {
+  COMBINATORS,
+  MAX_CONDITION_DEPTH,
+  OPERATOR_VALUES,
+  SUPPORTED_FIELD_TYPES,
+  getAttachmentRulesError,
+  getRuleValueError,
+  getUpsertSettingsError
+} = require('airtable-form-builder-shared');
 
-// Schema for conditional logic rules
+const COMBINATOR_VALUES = COMBINATORS.map(combinator => combinator.value);
+
+// Schema for conditional logic: either a single rule (fieldId/operator/value)
+// or a group combining nested conditions with `all` (AND) / `any` (OR)
 const conditionalRuleSchema = new mongoose.Schema({
-  fieldId: { type: String, required: true }, // Field to check
+  // Group node
+  combinator: { type: String, enum: COMBINATOR_VALUES },
+  
+  // Rule node
+  fieldId: { // Field to check
+    type: String,
+    required: function() { return !this.combinator; }
+  },
   operator: { 
     type: String, 
-    required: true,
-    enum: ['equals', 'not_equals', 'contains', 'not_contains', 'is_empty', 'is_not_empty']
+    required: function() { return !this.combinator; },
+    enum: OPERATOR_VALUES
   },
   value: mongoose.Schema.Types.Mixed // Value to compare against
 }, { _id: false });
 
+conditionalRuleSchema.add({
+  conditions: { type: [conditionalRuleSchema], default: undefined }
+});
+
 // Schema for form fields/questions
 const formFieldSchema = new mongoose.Schema({
   // Airtable field info
@@ -19,7 +42,7 @@ const formFieldSchema = new mongoose.Schema({
   airtableFieldType: { 
     type: String, 
     required: true,
-    enum: ['singleLineText', 'multilineText', 'singleSelect', 'multipleSelect', 'attachment']
+    enum: SUPPORTED_FIELD_TYPES
   },
   
   // Form-specific settings
@@ -35,8 +58,39 @@ const formFieldSchema = new mongoose.Schema({
     color: String
   }],
   
-  // Conditional logic
+  // Type options copied from Airtable (number precision, currency symbol,
+  // rating scale, date/time format and timezone, linked table)
+  typeOptions: {
+    precision: Number,
+    symbol: String,
+    max: Number,
+    icon: String,
+    color: String,
+    dateFormat: { name: String, format: String },
+    timeFormat: { name: String, format: String },
+    timeZone: String,
+    linkedTableId: String,
+    prefersSingleRecordLink: Boolean
+  },
+  
+  // Restricts the records a linked-record field offers (view ID/name and formula)
+  linkSettings: {
+    view: String,
+    filterByFormula: String
+  },
+  
+  // Upload rules for attachment fields (unset values use the shared defaults;
+  // an empty acceptedTypes list accepts any type)
+  attachmentRules: {
+    acceptedTypes: { type: [String], default: undefined }, // MIME types, "image/*" wildcards allowed
+    maxFileSize: Number, // Bytes per file
+    maxFiles: Number
+  },
+  
+  // Conditional logic (top-level conditions are combined with showWhenCombinator;
+  // plain rule arrays saved before groups existed are read as `all`)
   showWhen: [conditionalRuleSchema],
+  showWhenCombinator: { type: String, enum: COMBINATOR_VALUES, default: 'all' },
   
   // Display settings
   order: { type: Number, required: true },
@@ -49,13 +103,20 @@ const formSchema = new mongoose.Schema({
   title: { type: String, required: true },
   description: String,
   
-  // Owner
+  // Creator; their Airtable connection is used for the form's base
   userId: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User', 
     required: true 
   },
   
+  // Workspace the form is shared in (unset on forms made before workspaces
+  // existed, until their creator's personal workspace adopts them)
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
+  
   // Airtable connection
   airtableBaseId: { type: String, required: true },
   airtableBaseName: { type: String, required: true },
@@ -72,7 +133,14 @@ const formSchema = new mongoose.Schema({
     showProgressBar: { type: Boolean, default: true },
     submitButtonText: { type: String, default: 'Submit' },
     successMessage: { type: String, default: 'Thank you for your submission!' },
-    redirectUrl: String
+    redirectUrl: String,
+    
+    // Update the Airtable record whose merge fields match instead of
+    // creating a duplicate (Airtable's performUpsert)
+    upsert: {
+      enabled: { type: Boolean, default: false },
+      mergeFieldIds: [String] // Airtable field IDs
+    }
   },
   
   // Form status
@@ -98,6 +166,7 @@ const formSchema = new mongoose.Schema({
 
 // Indexes for performance
 formSchema.index({ userId: 1, createdAt: -1 });
+formSchema.index({ workspaceId: 1, updatedAt: -1 });
 formSchema.index({ isActive: 1, isPublished: 1 });
 formSchema.index({ 'shareSettings.shareUrl': 1 });
 formSchema.index({ airtableBaseId: 1, airtableTableId: 1 });
@@ -107,6 +176,50 @@ formSchema.virtual('url').get(function() {
   return `/form/${this._id}`;
 });
 
+// Validate conditional rules only reference fields placed before the field itself
+formSchema.pre('validate', function(next) {
+  const orderById = new Map(this.fields.map(field => [field.airtableFieldId, field.order]));
+  
+  const checkConditions = (field, conditions, depth) => {
+    for (const condition of conditions || []) {
+      if (condition.combinator) {
+        if (depth >= MAX_CONDITION_DEPTH) {
+          this.invalidate('fields', `Field "${field.label}" nests condition groups more than ${MAX_CONDITION_DEPTH} levels deep`);
+          return;
+        }
+        checkConditions(field, condition.conditions, depth + 1);
+      } else if (condition.fieldId === field.airtableFieldId) {
+        this.invalidate('fields', `Field "${field.label}" cannot depend on itself`);
+      } else if (!orderById.has(condition.fieldId)) {
+        this.invalidate('fields', `Field "${field.label}" depends on a field that is not on the form`);
+      } else if (orderById.get(condition.fieldId) > field.order) {
+        this.invalidate('fields', `Field "${field.label}" depends on a field that comes after it`);
+      } else {
+        const message = getRuleValueError(condition);
+        if (message) {
+          this.invalidate('fields', `Field "${field.label}" has an invalid rule: ${message}`);
+        }
+      }
+    }
+  };
+  
+  this.fields.forEach(field => checkConditions(field, field.showWhen, 1));
+  
+  this.fields.filter(field => field.airtableFieldType === 'attachment').forEach(field => {
+    const message = getAttachmentRulesError(field.attachmentRules);
+    if (message) {
+      this.invalidate('fields', `Field "${field.label}" has invalid upload rules: ${message}`);
+    }
+  });
+  
+  const upsertError = getUpsertSettingsError(this.settings, this.fields);
+  if (upsertError) {
+    this.invalidate('settings', `Upsert settings are invalid: ${upsertError}`);
+  }
+  
+  next();
+});
+
 // Pre-save middleware to generate share URL
 formSchema.pre('save', function(next) {
   if (this.isNew || !this.shareSettings.shareUrl) {
@@ -114,6 +227,14 @@ formSchema.pre('save', function(next) {
     this.shareSettings.embedCode = `<iframe src="${process.env.CLIENT_URL}/embed/${this._id}" width="100%" height="600" frameborder="0"></iframe>`;
   }
   
+  // Keep field order contiguous (0..n-1), sorted by the submitted order
+  if (this.isModified('fields')) {
+    this.fields.sort((a, b) => a.order - b.order);
+    this.fields.forEach((field, index) => {
+      field.order = index;
+    });
+  }
+  
   // Calculate conversion rate
   if (this.stats.totalViews > 0) {
     this.stats.conversionRate = Math.round((this.stats.totalSubmissions / this.stats.totalViews) * 100);
@@ -146,6 +267,16 @@ formSchema.statics.findByUserWithStats = function(userId) {
     .sort({ updatedAt: -1 });
 };
 
+// Static method to hand a member's forms in a workspace over to another
+// member. Forms sync through their owner's Airtable account, so they're
+// unpublished until the new owner republishes them against a base they share.
+formSchema.statics.reassignInWorkspace = function(workspaceId, fromUserId, toUserId) {
+  return this.updateMany(
+    { workspaceId, userId: fromUserId },
+    { $set: { userId: toUserId, isPublished: false } }
+  );
+};
+
 const Form = mongoose.model('Form', formSchema);
 
 module.exports = Form;
\ No newline at end of file
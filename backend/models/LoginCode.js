@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// One-time code the OAuth callback hands to the frontend in the redirect
+// URL. The frontend trades it for a JWT with POST /api/auth/exchange, so the
+// JWT itself never appears in a URL (browser history, logs, Referer). Only
+// a hash of the code is stored.
+const LOGIN_CODE_TTL = 60 * 1000;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const loginCodeSchema = new mongoose.Schema({
+  codeHash: { type: String, required: true, unique: true },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: { type: Date, required: true }
+});
+
+// Mongo removes expired codes on its own
+loginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to create a code for `userId`; resolves with the code
+loginCodeSchema.statics.issue = async function(userId) {
+  const code = crypto.randomBytes(32).toString('base64url');
+  await this.create({
+    codeHash: hashCode(code),
+    userId,
+    expiresAt: new Date(Date.now() + LOGIN_CODE_TTL)
+  });
+  return code;
+};
+
+// Static method to use up a code; resolves with its user ID, or null when
+// the code is unknown, expired or already used
+loginCodeSchema.statics.redeem = async function(code) {
+  const loginCode = await this.findOneAndDelete({
+    codeHash: hashCode(String(code)),
+    expiresAt: { $gt: new Date() }
+  });
+  return loginCode ? loginCode.userId : null;
+};
+
+const LoginCode = mongoose.model('LoginCode', loginCodeSchema);
+
+module.exports = LoginCode;
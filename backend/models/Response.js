@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_FIELD_TYPES } = require('airtable-form-builder-shared');
+
+// Retry policy for syncing responses to Airtable (used by the sync worker):
+// exponential backoff from SYNC_BASE_DELAY seconds, capped at SYNC_MAX_DELAY,
+// until SYNC_MAX_ATTEMPTS attempts have failed. Writing the record and
+// uploading each attachment have their own attempt counts.
+const MAX_SYNC_ATTEMPTS = Number(process.env.SYNC_MAX_ATTEMPTS) || 5;
+const BASE_RETRY_DELAY = (Number(process.env.SYNC_BASE_DELAY) || 60) * 1000;
+const MAX_RETRY_DELAY = (Number(process.env.SYNC_MAX_DELAY) || 6 * 60 * 60) * 1000;
+
+// A pending response not touched for this long was interrupted mid-submit
+const STALLED_SUBMIT_AGE = 5 * 60 * 1000;
 
 // Schema for individual field responses
 const fieldResponseSchema = new mongoose.Schema({
@@ -7,17 +19,33 @@ const fieldResponseSchema = new mongoose.Schema({
   fieldType: { 
     type: String, 
     required: true,
-    enum: ['singleLineText', 'multilineText', 'singleSelect', 'multipleSelect', 'attachment']
+    enum: SUPPORTED_FIELD_TYPES
   },
-  value: mongoose.Schema.Types.Mixed, // Can be string, array, or file info
+  value: mongoose.Schema.Types.Mixed, // Can be string, number, boolean, array, or file info
   
-  // For file uploads
+  // For file uploads (`key` locates the file in storage; `url` is a signed,
+  // expiring link, re-issued whenever the response is synced or read)
   files: [{
     originalName: String,
     filename: String,
     size: Number,
     mimetype: String,
-    url: String
+    key: String,
+    url: String,
+
+    // Upload to the Airtable record ("content" = uploadAttachment endpoint,
+    // "url" = Airtable downloads the signed URL for oversized files)
+    upload: {
+      status: {
+        type: String,
+        enum: ['pending', 'uploaded', 'failed'],
+        default: 'pending'
+      },
+      method: { type: String, enum: ['content', 'url'] },
+      attempts: { type: Number, default: 0 },
+      error: String,
+      uploadedAt: Date
+    }
   }]
 }, { _id: false });
 
@@ -34,10 +62,23 @@ const responseSchema = new mongoose.Schema({
   airtableBaseId: { type: String, required: true },
   airtableTableId: { type: String, required: true },
   airtableRecordId: String, // Set after successful submission to Airtable
+  airtableRecordAction: { // Whether the sync created the record or updated a matching one (upsert mode)
+    type: String,
+    enum: ['created', 'updated']
+  },
   
   // Response data
   responses: [fieldResponseSchema],
   
+  // Set when the response edits an existing record through a signed edit
+  // link: the record, and the values of the fields shown before and after
+  // the edit (Airtable cell values keyed by field ID; null = empty)
+  edit: {
+    recordId: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  
   // Submission metadata
   submittedBy: {
     ip: String,
@@ -50,7 +91,7 @@ const responseSchema = new mongoose.Schema({
   // Status tracking
   status: {
     type: String,
-    enum: ['pending', 'submitted', 'failed', 'synced'],
+    enum: ['pending', 'submitted', 'failed', 'synced', 'dead'], // dead = retries exhausted
     default: 'pending'
   },
   
@@ -66,7 +107,11 @@ const responseSchema = new mongoose.Schema({
     lastSyncAttempt: Date,
     syncAttempts: { type: Number, default: 0 },
     lastSyncError: String,
-    isSynced: { type: Boolean, default: false }
+    isSynced: { type: Boolean, default: false },
+    nextAttemptAt: Date, // When the sync worker retries next
+    lockedUntil: Date, // Set while a worker is syncing the response
+    deadLetteredAt: Date,
+    attachmentsFailedAt: Date // Set when attachment uploads ran out of attempts (the record exists)
   },
   
   // Additional metadata
@@ -86,6 +131,7 @@ responseSchema.index({ status: 1 });
 responseSchema.index({ airtableRecordId: 1 });
 responseSchema.index({ 'submittedBy.email': 1 });
 responseSchema.index({ 'syncStatus.isSynced': 1 });
+responseSchema.index({ 'syncStatus.isSynced': 1, 'syncStatus.nextAttemptAt': 1 });
 responseSchema.index({ createdAt: -1 });
 
 // Virtual for getting response as key-value pairs
@@ -114,29 +160,138 @@ responseSchema.methods.markAsSynced = function(airtableRecordId) {
   this.status = 'synced';
   this.syncStatus.isSynced = true;
   this.syncStatus.lastSyncAttempt = new Date();
+  this.syncStatus.nextAttemptAt = undefined;
+  this.syncStatus.lockedUntil = undefined;
   return this.save();
 };
 
-// Instance method to update sync attempt
+// Instance method to remember the created (or, in upsert mode, updated)
+// Airtable record while its attachments are still being uploaded
+responseSchema.methods.markRecordCreated = function(airtableRecordId, action = 'created') {
+  this.airtableRecordId = airtableRecordId;
+  this.airtableRecordAction = action;
+  this.status = 'submitted';
+  return this.save();
+};
+
+// Exponential backoff with jitter: a random delay between half and all of
+// base * 2^(attempts - 1), so failed responses don't all retry at once
+const getRetryDelay = (attempts) => {
+  const delay = Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+// Instance method to update sync attempt. A failed attempt schedules the
+// next retry, or dead-letters the response once attempts run out.
 responseSchema.methods.updateSyncAttempt = function(error = null) {
   this.syncStatus.syncAttempts += 1;
   this.syncStatus.lastSyncAttempt = new Date();
+  this.syncStatus.lockedUntil = undefined;
   
   if (error) {
     this.syncStatus.lastSyncError = error.message || error;
-    this.status = 'failed';
+    
+    if (this.syncStatus.syncAttempts >= MAX_SYNC_ATTEMPTS) {
+      this.status = 'dead';
+      this.syncStatus.nextAttemptAt = undefined;
+      this.syncStatus.deadLetteredAt = new Date();
+    } else {
+      this.status = 'failed';
+      this.syncStatus.nextAttemptAt = new Date(Date.now() + getRetryDelay(this.syncStatus.syncAttempts));
+    }
   }
   
   return this.save();
 };
 
-// Static method to find pending sync responses
+// Instance method to record attachments that failed to upload to a record
+// that exists. Only the files' own attempts count: the next retry re-sends
+// them, until a file runs out of attempts and the response stops retrying
+// (the record stays, without those files).
+responseSchema.methods.updateAttachmentAttempt = function(failedFiles) {
+  const attempts = Math.max(...failedFiles.map(file => file.upload?.attempts || 0));
+
+  this.status = 'submitted';
+  this.syncStatus.lastSyncAttempt = new Date();
+  this.syncStatus.lockedUntil = undefined;
+  this.syncStatus.lastSyncError = `${failedFiles.length} attachment(s) failed to upload`;
+
+  if (attempts >= MAX_SYNC_ATTEMPTS) {
+    this.syncStatus.nextAttemptAt = undefined;
+    this.syncStatus.attachmentsFailedAt = new Date();
+  } else {
+    this.syncStatus.nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts));
+  }
+
+  return this.save();
+};
+
+// Instance method to start over after a manual retry: the record and every
+// file that hasn't reached Airtable get their full number of attempts again
+responseSchema.methods.resetSyncAttempts = function() {
+  this.syncStatus.syncAttempts = 0;
+  this.syncStatus.nextAttemptAt = undefined;
+  this.syncStatus.deadLetteredAt = undefined;
+  this.syncStatus.attachmentsFailedAt = undefined;
+  if (this.status === 'dead') {
+    this.status = this.airtableRecordId ? 'submitted' : 'failed';
+  }
+
+  this.responses.forEach(fieldResponse => {
+    (fieldResponse.files || [])
+      .filter(file => file.upload?.status === 'failed')
+      .forEach(file => {
+        file.upload.attempts = 0;
+      });
+  });
+
+  return this.save();
+};
+
+// Static method to find pending sync responses: failed ones whose retry is
+// due, and pending ones whose submit was interrupted (e.g. by a restart)
 responseSchema.statics.findPendingSync = function() {
+  const now = new Date();
+  
   return this.find({
     'syncStatus.isSynced': false,
-    'syncStatus.syncAttempts': { $lt: 3 }, // Max 3 retry attempts
-    status: { $ne: 'synced' }
-  });
+    'syncStatus.syncAttempts': { $lt: MAX_SYNC_ATTEMPTS },
+    'syncStatus.attachmentsFailedAt': null,
+    status: { $in: ['pending', 'submitted', 'failed'] },
+    $and: [
+      {
+        $or: [
+          { 'syncStatus.nextAttemptAt': { $lte: now } },
+          { 'syncStatus.nextAttemptAt': null, updatedAt: { $lt: new Date(now - STALLED_SUBMIT_AGE) } }
+        ]
+      },
+      {
+        $or: [
+          { 'syncStatus.lockedUntil': null },
+          { 'syncStatus.lockedUntil': { $lt: now } }
+        ]
+      }
+    ]
+  }).sort({ 'syncStatus.nextAttemptAt': 1 });
+};
+
+// Static method to claim a response for syncing so only one worker (or
+// server instance) handles it; the lock expires if that worker dies
+responseSchema.statics.claimForSync = function(id, lockDuration) {
+  const now = new Date();
+  
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      'syncStatus.isSynced': false,
+      $or: [
+        { 'syncStatus.lockedUntil': null },
+        { 'syncStatus.lockedUntil': { $lt: now } }
+      ]
+    },
+    { $set: { 'syncStatus.lockedUntil': new Date(now.getTime() + lockDuration) } },
+    { new: true }
+  );
 };
 
 // Static method to get form analytics
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens (JWTs) are short-lived and name their
+// session, so revoking the session locks the device out within one request.
+// The device keeps itself signed in with a refresh token that is replaced on
+// every use; only hashes of refresh tokens are stored.
+const SESSION_TTL = (Number(process.env.SESSION_TTL) || 30 * 24 * 60 * 60) * 1000; // Idle lifetime
+const REFRESH_GRACE_PERIOD = 30 * 1000; // A just-replaced refresh token still works this long
+const LAST_SEEN_INTERVAL = 60 * 1000; // Don't write lastSeenAt more often than this
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createRefreshToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, hash: hashToken(token) };
+};
+
+// Helper function to name the device from its user agent, e.g. "Chrome on macOS"
+const describeDevice = (userAgent = '') => {
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\//.test(userAgent) ? 'Opera' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    /curl\//.test(userAgent) ? 'curl' :
+    'Unknown browser';
+  const os =
+    /iPhone|iPad/.test(userAgent) ? 'iOS' :
+    /Android/.test(userAgent) ? 'Android' :
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    null;
+  return os ? `${browser} on ${os}` : browser;
+};
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  refreshTokenHash: { type: String, required: true },
+  previousRefreshTokenHash: String,
+  rotatedAt: Date,
+
+  // Device
+  device: String,
+  userAgent: String,
+  ipAddress: String,
+  lastSeenAt: { type: Date, default: Date.now },
+
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+// Mongo removes sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to replace the refresh token; resolves with the new one,
+// or null when another request replaced (or revoked) it first
+sessionSchema.methods.rotate = async function() {
+  const { token, hash } = createRefreshToken();
+  const now = new Date();
+
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: this.refreshTokenHash, revokedAt: null },
+    {
+      $set: {
+        previousRefreshTokenHash: this.refreshTokenHash,
+        refreshTokenHash: hash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL)
+      }
+    },
+    { new: true }
+  );
+  return rotated ? token : null;
+};
+
+// Instance method to sign the device out
+sessionSchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Instance method to record that the device was seen
+sessionSchema.methods.touch = function(ipAddress) {
+  if (Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_INTERVAL) {
+    return Promise.resolve(this);
+  }
+  this.lastSeenAt = new Date();
+  this.ipAddress = ipAddress;
+  return this.save();
+};
+
+// Instance method to describe the session to its user
+sessionSchema.methods.toSummary = function(currentSessionId) {
+  return {
+    id: this._id,
+    device: this.device,
+    ipAddress: this.ipAddress,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    current: this._id.toString() === String(currentSessionId)
+  };
+};
+
+// Static method to start a session for `userId` on the device making `req`;
+// resolves with the session and its first refresh token
+sessionSchema.statics.start = async function(userId, req) {
+  const userAgent = req.get('user-agent') || '';
+  const { token, hash } = createRefreshToken();
+  const session = await this.create({
+    userId,
+    refreshTokenHash: hash,
+    device: describeDevice(userAgent),
+    userAgent,
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + SESSION_TTL)
+  });
+  return { session, refreshToken: token };
+};
+
+// Static method to find the session a refresh token belongs to. `reused` is
+// set when the token had already been replaced: within the grace period
+// that's two tabs refreshing at once, after it a sign of a stolen token.
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const hash = hashToken(String(refreshToken));
+
+  const session = await this.findOne({ refreshTokenHash: hash });
+  if (session) {
+    return { session, reused: false };
+  }
+
+  const replaced = await this.findOne({ previousRefreshTokenHash: hash });
+  if (!replaced) {
+    return { session: null };
+  }
+  const withinGrace = Date.now() - replaced.rotatedAt.getTime() < REFRESH_GRACE_PERIOD;
+  return { session: replaced, reused: true, withinGrace };
+};
+
+// Static method to list a user's active sessions, most recently used first
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
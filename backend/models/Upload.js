@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A resumable upload in progress. The file is written to storage chunk by
+// chunk; once complete, a submission references it by ID and token, claims
+// it and removes the upload document (the stored file then belongs to the
+// Response). Only a hash of the token is kept.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const uploadSchema = new mongoose.Schema({
+  formId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Form',
+    required: true
+  },
+  fieldId: { type: String, required: true }, // Airtable attachment field ID
+
+  // Stored file
+  key: { type: String, required: true },
+  originalName: { type: String, required: true },
+  filename: String,
+  mimetype: String,
+  size: { type: Number, required: true }, // Declared total size in bytes
+  offset: { type: Number, default: 0 }, // Bytes received so far
+
+  tokenHash: { type: String, required: true },
+
+  // `claimed` while a submission is storing the file
+  status: {
+    type: String,
+    enum: ['uploading', 'complete', 'claimed'],
+    default: 'uploading'
+  }
+}, {
+  timestamps: true
+});
+
+uploadSchema.index({ formId: 1, status: 1 });
+uploadSchema.index({ updatedAt: 1 });
+
+// Instance method to describe the upload to the client
+uploadSchema.methods.toStatus = function() {
+  return {
+    uploadId: this._id,
+    offset: this.offset,
+    size: this.size,
+    complete: this.status !== 'uploading'
+  };
+};
+
+// Static method to start an upload. Resolves with the upload and its token,
+// which the client needs for every later request about it.
+uploadSchema.statics.start = async function(fields) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const upload = await this.create({ ...fields, tokenHash: hashToken(token) });
+  return { upload, token };
+};
+
+// Static method to find an unclaimed upload of a form by its ID and token
+uploadSchema.statics.findByToken = function(formId, uploadId, token) {
+  return this.findOne({
+    _id: uploadId,
+    formId,
+    tokenHash: hashToken(String(token || '')),
+    status: { $ne: 'claimed' }
+  });
+};
+
+// Static method to claim completed uploads for a submission, all or none.
+// Resolves with false if another submission claimed one of them first.
+uploadSchema.statics.claimAll = async function(uploads) {
+  const claimed = [];
+  for (const upload of uploads) {
+    const result = await this.updateOne(
+      { _id: upload._id, status: 'complete' },
+      { $set: { status: 'claimed' } }
+    );
+    if (result.modifiedCount === 0) {
+      await this.releaseAll(claimed);
+      return false;
+    }
+    claimed.push(upload);
+  }
+  return true;
+};
+
+// Static method to hand claimed uploads back (the submission failed)
+uploadSchema.statics.releaseAll = function(uploads) {
+  return this.updateMany(
+    { _id: { $in: uploads.map(upload => upload._id) }, status: 'claimed' },
+    { $set: { status: 'complete' } }
+  );
+};
+
+// Static method to find uploads nobody has touched for `maxAge` milliseconds.
+// Claimed uploads are left alone: their file may belong to a response.
+uploadSchema.statics.findStale = function(maxAge) {
+  return this.find({
+    updatedAt: { $lt: new Date(Date.now() - maxAge) },
+    status: { $ne: 'claimed' }
+  });
+};
+
+const Upload = mongoose.model('Upload', uploadSchema);
+
+module.exports = Upload;
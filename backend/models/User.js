@@ -1,5 +1,25 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { encrypt, decrypt } = require('../utils/tokenEncryption');
+
+// Airtable tokens are encrypted at rest: assigning one (including in update
+// queries) stores the ciphertext and reading it returns the plaintext
+const encryptedString = (field, options = {}) => ({
+  type: String,
+  ...options,
+  set: value => encrypt(value, field),
+  get: value => decrypt(value, field)
+});
+
+// Lifetimes of the links emailed to local accounts
+const EMAIL_TOKEN_TTL = {
+  verification: 24 * 60 * 60 * 1000,
+  passwordReset: 60 * 60 * 1000
+};
+const PASSWORD_SALT_ROUNDS = 12;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema({
   // Basic user info
@@ -11,23 +31,47 @@ const userSchema = new mongoose.Schema({
     trim: true
   },
   
-  // Airtable OAuth data
+  // Local accounts sign in with a password instead of (or as well as)
+  // Airtable; only a bcrypt hash is stored
+  passwordHash: {
+    type: String
+  },
+  
+  emailVerifiedAt: {
+    type: Date
+  },
+  
+  // Hashes of the tokens in the verification and password reset links
+  emailTokens: {
+    verification: { tokenHash: String, expiresAt: Date },
+    passwordReset: { tokenHash: String, expiresAt: Date }
+  },
+  
+  // Airtable OAuth data (unset for local accounts that never connected Airtable)
   airtableUserId: {
     type: String,
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true
   },
   
-  airtableAccessToken: {
-    type: String,
-    required: true
+  airtableAccessToken: encryptedString('airtableAccessToken', {
+    required: function() { return !!this.airtableUserId; }
+  }),
+  
+  airtableRefreshToken: encryptedString('airtableRefreshToken'),
+  
+  airtableTokenExpiresAt: {
+    type: Date
   },
   
-  airtableRefreshToken: {
-    type: String
+  // Set when refreshing the token failed because access was revoked; the
+  // user has to reconnect Airtable
+  airtableTokenRevokedAt: {
+    type: Date
   },
   
-  airtableTokenExpiresAt: {
+  // Held while a server instance refreshes the token (see airtableClient)
+  airtableTokenRefreshLockedUntil: {
     type: Date
   },
   
@@ -52,8 +96,7 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Index for performance
-userSchema.index({ airtableUserId: 1 });
+// Index for performance (airtableUserId is indexed through `unique`)
 userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
 
@@ -69,6 +112,42 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
+// Instance method to set the local account password
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+};
+
+// Instance method to check a password; false for accounts without one
+userSchema.methods.comparePassword = function(password) {
+  if (!this.passwordHash) return Promise.resolve(false);
+  return bcrypt.compare(String(password), this.passwordHash);
+};
+
+// Instance method to create the token for an emailed link (`purpose` is
+// 'verification' or 'passwordReset'); replaces the previous one. Save the
+// user afterwards.
+userSchema.methods.createEmailToken = function(purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  this.emailTokens[purpose] = {
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + EMAIL_TOKEN_TTL[purpose])
+  };
+  return token;
+};
+
+// Instance method to use up an emailed link's token. Save the user afterwards.
+userSchema.methods.clearEmailToken = function(purpose) {
+  this.emailTokens[purpose] = undefined;
+};
+
+// Static method to find the user an unexpired emailed link belongs to
+userSchema.statics.findByEmailToken = function(purpose, token) {
+  return this.findOne({
+    [`emailTokens.${purpose}.tokenHash`]: hashToken(String(token)),
+    [`emailTokens.${purpose}.expiresAt`]: { $gt: new Date() }
+  });
+};
+
 // Static method to find by Airtable user ID
 userSchema.statics.findByAirtableUserId = function(airtableUserId) {
   return this.findOne({ airtableUserId });
@@ -88,6 +167,11 @@ userSchema.methods.toJSON = function() {
   // Remove sensitive fields from the output
   delete userObject.airtableAccessToken;
   delete userObject.airtableRefreshToken;
+  delete userObject.airtableTokenRefreshLockedUntil;
+  delete userObject.passwordHash;
+  delete userObject.emailTokens;
+  userObject.hasPassword = !!this.passwordHash;
+  userObject.hasAirtable = !!this.airtableUserId;
   
   return userObject;
 };
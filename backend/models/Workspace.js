@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { WORKSPACE_ROLES, INVITABLE_ROLES } = require('airtable-form-builder-shared');
+
+// A team sharing forms. Every member has a role (see shared/workspaces.js);
+// people join through invite links sent to their email address. Each user
+// also gets a personal workspace, which holds the forms they made before
+// workspaces existed.
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: { type: String, enum: WORKSPACE_ROLES, required: true },
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const inviteSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true },
+  role: { type: String, enum: INVITABLE_ROLES, required: true },
+  tokenHash: { type: String, required: true },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // The user whose personal workspace this is, if it is one
+  personalFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  members: [memberSchema],
+  invites: [inviteSchema]
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+workspaceSchema.index({ 'invites.tokenHash': 1 });
+workspaceSchema.index({ personalFor: 1 }, { unique: true, sparse: true });
+
+// Instance method to get a user's role, or null when they aren't a member
+workspaceSchema.methods.getRole = function(userId) {
+  const member = this.members.find(m => m.userId.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Instance method to find an owner other than `userId`, or null when
+// `userId` is the only one
+workspaceSchema.methods.findOtherOwner = function(userId) {
+  return this.members.find(m => m.role === 'owner' && m.userId.toString() !== userId.toString()) || null;
+};
+
+// Instance method to invite `email` with `role`; replaces an open invite to
+// the same address. Resolves with the invite token (only its hash is kept).
+workspaceSchema.methods.invite = async function(email, role, invitedBy) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const normalizedEmail = email.trim().toLowerCase();
+
+  this.invites = this.invites.filter(invite => invite.email !== normalizedEmail);
+  this.invites.push({
+    email: normalizedEmail,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy,
+    expiresAt: new Date(Date.now() + INVITE_TTL)
+  });
+  await this.save();
+
+  return { token, invite: this.invites[this.invites.length - 1] };
+};
+
+// Instance method to find an unexpired invite by its token
+workspaceSchema.methods.findInvite = function(token) {
+  const tokenHash = hashToken(String(token));
+  return this.invites.find(invite => invite.tokenHash === tokenHash && invite.expiresAt > new Date()) || null;
+};
+
+// Instance method to describe the workspace to one of its members
+workspaceSchema.methods.toSummary = function(userId) {
+  return {
+    id: this._id,
+    name: this.name,
+    personal: !!this.personalFor,
+    role: this.getRole(userId),
+    memberCount: this.members.length
+  };
+};
+
+// Static method to find the workspace an invite token belongs to
+workspaceSchema.statics.findByInviteToken = function(token) {
+  return this.findOne({ 'invites.tokenHash': hashToken(String(token)) });
+};
+
+// Static method to list the workspaces a user is a member of
+workspaceSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.userId': userId }).sort({ personalFor: -1, name: 1 });
+};
+
+// Static method to get a user's personal workspace, creating it on first use
+workspaceSchema.statics.findOrCreatePersonal = async function(user) {
+  const existing = await this.findOne({ personalFor: user._id });
+  if (existing) {
+    return existing;
+  }
+
+  const name = user.profile?.name ? `${user.profile.name}'s Workspace` : 'My Workspace';
+  try {
+    const workspace = await this.create({
+      name,
+      personalFor: user._id,
+      members: [{ userId: user._id, role: 'owner' }]
+    });
+
+    // Adopt the forms the user made before workspaces existed
+    await mongoose.model('Form').updateMany(
+      { userId: user._id, workspaceId: null },
+      { $set: { workspaceId: workspace._id } }
+    );
+    return workspace;
+  } catch (error) {
+    // Created by a concurrent request
+    if (error.code === 11000) {
+      return this.findOne({ personalFor: user._id });
+    }
+    throw error;
+  }
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+module.exports = Workspace;
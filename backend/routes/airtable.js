@@ -1,7 +1,14 @@
 const express = require('express');
-const axios = require('axios');
 const User = require('../models/User');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  AirtableAuthError,
+  AirtableTokenRevokedError,
+  whoami,
+  listBases,
+  getBaseSchema,
+  createRecord
+} = require('../utils/airtableClient');
 
 const router = express.Router();
 
@@ -16,38 +23,45 @@ router.post('/test-connection', authenticateToken, async (req, res) => {
     
     if (!user || !user.airtableAccessToken) {
       console.log('❌ No user or access token found');
-      return res.status(401).json({ 
+      return res.status(403).json({ 
         success: false,
-        message: 'No Airtable access token found' 
+        message: 'No Airtable access token found',
+        needsAirtable: true
       });
     }
     
     console.log('✅ User found, testing connection...');
     
     // Test connection by getting user info
-    const response = await axios.get('https://api.airtable.com/v0/meta/whoami', {
-      headers: {
-        'Authorization': `Bearer ${user.airtableAccessToken}`
-      }
-    });
+    const airtableUser = await whoami(user);
     
     console.log('✅ Airtable connection successful');
     
     res.json({
       success: true,
       connected: true,
-      airtableUser: response.data,
+      airtableUser,
       message: 'Airtable connection successful'
     });
     
   } catch (error) {
-    console.error('💥 Airtable test error:', error.response?.data || error.message);
-    res.status(500).json({ 
-      success: false,
-      connected: false,
-      message: 'Airtable connection failed',
-      error: error.response?.data || error.message 
-    });
+    console.error('💥 Airtable test error:', error.details || error.message);
+    
+    if (error instanceof AirtableAuthError) {
+      res.status(401).json({ 
+        success: false,
+        connected: false,
+        message: 'Invalid Airtable access token',
+        needsReconnect: error instanceof AirtableTokenRevokedError
+      });
+    } else {
+      res.status(500).json({ 
+        success: false,
+        connected: false,
+        message: 'Airtable connection failed',
+        error: error.details || error.message 
+      });
+    }
   }
 });
 
@@ -62,36 +76,33 @@ router.get('/bases', authenticateToken, async (req, res) => {
     
     if (!user || !user.airtableAccessToken) {
       console.log('❌ No user or access token found');
-      return res.status(401).json({ message: 'No Airtable access token found' });
+      return res.status(403).json({ message: 'No Airtable access token found', needsAirtable: true });
     }
     
     console.log('✅ User found, making API request to Airtable...');
     
     // Fetch bases from Airtable
-    const response = await axios.get('https://api.airtable.com/v0/meta/bases', {
-      headers: {
-        'Authorization': `Bearer ${user.airtableAccessToken}`
-      }
-    });
+    const { bases } = await listBases(user);
     
-    console.log('✅ Fetched bases successfully:', response.data.bases.length, 'bases');
+    console.log('✅ Fetched bases successfully:', bases.length, 'bases');
     
     res.json({
-      bases: response.data.bases
+      bases
     });
     
   } catch (error) {
-    console.error('💥 Fetch bases error:', error.response?.data || error.message);
-    console.error('Error details:', error.response?.status, error.response?.statusText);
+    console.error('💥 Fetch bases error:', error.details || error.message);
+    console.error('Error details:', error.status, error.type);
     
-    if (error.response?.status === 401) {
+    if (error instanceof AirtableAuthError) {
       res.status(401).json({ 
-        message: 'Invalid Airtable access token' 
+        message: 'Invalid Airtable access token',
+        needsReconnect: error instanceof AirtableTokenRevokedError
       });
     } else {
       res.status(500).json({ 
         message: 'Failed to fetch Airtable bases',
-        error: error.response?.data || error.message 
+        error: error.details || error.message 
       });
     }
   }
@@ -108,33 +119,30 @@ router.get('/bases/:baseId/tables', authenticateToken, async (req, res) => {
     const user = await User.findById(req.user.userId);
     
     if (!user || !user.airtableAccessToken) {
-      return res.status(401).json({ message: 'No Airtable access token found' });
+      return res.status(403).json({ message: 'No Airtable access token found', needsAirtable: true });
     }
     
     // Fetch base schema from Airtable
-    const response = await axios.get(`https://api.airtable.com/v0/meta/bases/${baseId}/tables`, {
-      headers: {
-        'Authorization': `Bearer ${user.airtableAccessToken}`
-      }
-    });
+    const { tables } = await getBaseSchema(user, baseId);
     
-    console.log('✅ Fetched tables successfully:', response.data.tables.length, 'tables');
+    console.log('✅ Fetched tables successfully:', tables.length, 'tables');
     
     res.json({
-      tables: response.data.tables
+      tables
     });
     
   } catch (error) {
-    console.error('💥 Fetch tables error:', error.response?.data || error.message);
+    console.error('💥 Fetch tables error:', error.details || error.message);
     
-    if (error.response?.status === 401) {
+    if (error instanceof AirtableAuthError) {
       res.status(401).json({ 
-        message: 'Invalid Airtable access token' 
+        message: 'Invalid Airtable access token',
+        needsReconnect: error instanceof AirtableTokenRevokedError
       });
     } else {
       res.status(500).json({ 
         message: 'Failed to fetch tables',
-        error: error.response?.data || error.message 
+        error: error.details || error.message 
       });
     }
   }
@@ -151,18 +159,14 @@ router.get('/bases/:baseId/tables/:tableId/fields', authenticateToken, async (re
     const user = await User.findById(req.user.userId);
     
     if (!user || !user.airtableAccessToken) {
-      return res.status(401).json({ message: 'No Airtable access token found' });
+      return res.status(403).json({ message: 'No Airtable access token found', needsAirtable: true });
     }
     
     // Get table schema which includes fields
-    const response = await axios.get(`https://api.airtable.com/v0/meta/bases/${baseId}/tables`, {
-      headers: {
-        'Authorization': `Bearer ${user.airtableAccessToken}`
-      }
-    });
+    const { tables } = await getBaseSchema(user, baseId);
     
     // Find the specific table
-    const table = response.data.tables.find(t => t.id === tableId || t.name === tableId);
+    const table = tables.find(t => t.id === tableId || t.name === tableId);
     
     if (!table) {
       return res.status(404).json({ message: 'Table not found' });
@@ -180,11 +184,19 @@ router.get('/bases/:baseId/tables/:tableId/fields', authenticateToken, async (re
     });
     
   } catch (error) {
-    console.error('💥 Fetch fields error:', error.response?.data || error.message);
-    res.status(500).json({ 
-      message: 'Failed to fetch table fields',
-      error: error.response?.data || error.message 
-    });
+    console.error('💥 Fetch fields error:', error.details || error.message);
+    
+    if (error instanceof AirtableAuthError) {
+      res.status(401).json({ 
+        message: 'Invalid Airtable access token',
+        needsReconnect: error instanceof AirtableTokenRevokedError
+      });
+    } else {
+      res.status(500).json({ 
+        message: 'Failed to fetch table fields',
+        error: error.details || error.message 
+      });
+    }
   }
 });
 
@@ -201,92 +213,36 @@ router.post('/bases/:baseId/tables/:tableId/records', authenticateToken, async (
     const user = await User.findById(req.user.userId);
     
     if (!user || !user.airtableAccessToken) {
-      return res.status(401).json({ message: 'No Airtable access token found' });
+      return res.status(403).json({ message: 'No Airtable access token found', needsAirtable: true });
     }
     
     // Create record in Airtable
-    const response = await axios.post(
-      `https://api.airtable.com/v0/${baseId}/${tableId}`,
-      {
-        fields: fields
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${user.airtableAccessToken}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    const record = await createRecord(user, baseId, tableId, fields);
     
-    console.log('✅ Record created successfully:', response.data.id);
+    console.log('✅ Record created successfully:', record.id);
     
     res.json({
       success: true,
-      record: response.data
+      record
     });
     
   } catch (error) {
-    console.error('💥 Create record error:', error.response?.data || error.message);
+    console.error('💥 Create record error:', error.details || error.message);
     
-    if (error.response?.status === 401) {
+    if (error instanceof AirtableAuthError) {
       res.status(401).json({ 
-        message: 'Invalid Airtable access token' 
+        message: 'Invalid Airtable access token',
+        needsReconnect: error instanceof AirtableTokenRevokedError
       });
     } else {
       res.status(500).json({ 
         message: 'Failed to create record',
-        error: error.response?.data || error.message 
+        error: error.details || error.message 
       });
     }
   }
 });
 
-// @route   POST /api/airtable/test-connection
-// @desc    Test Airtable connection (matches frontend call)
-// @access  Private
-router.post('/test-connection', authenticateToken, async (req, res) => {
-  try {
-    console.log('🧪 Testing Airtable connection for user:', req.user.userId);
-    
-    const user = await User.findById(req.user.userId);
-    
-    if (!user || !user.airtableAccessToken) {
-      console.log('❌ No user or access token found');
-      return res.status(401).json({ 
-        success: false,
-        message: 'No Airtable access token found' 
-      });
-    }
-    
-    console.log('✅ User found, testing connection...');
-    
-    // Test connection by getting user info
-    const response = await axios.get('https://api.airtable.com/v0/meta/whoami', {
-      headers: {
-        'Authorization': `Bearer ${user.airtableAccessToken}`
-      }
-    });
-    
-    console.log('✅ Airtable connection successful');
-    
-    res.json({
-      success: true,
-      connected: true,
-      airtableUser: response.data,
-      message: 'Airtable connection successful'
-    });
-    
-  } catch (error) {
-    console.error('💥 Airtable test error:', error.response?.data || error.message);
-    res.status(500).json({ 
-      success: false,
-      connected: false,
-      message: 'Airtable connection failed',
-      error: error.response?.data || error.message 
-    });
-  }
-});
-
 // @route   GET /api/airtable/test
 // @desc    Test Airtable connection (GET version)
 // @access  Private
@@ -295,28 +251,32 @@ router.get('/test', authenticateToken, async (req, res) => {
     const user = await User.findById(req.user.userId);
     
     if (!user || !user.airtableAccessToken) {
-      return res.status(401).json({ message: 'No Airtable access token found' });
+      return res.status(403).json({ message: 'No Airtable access token found', needsAirtable: true });
     }
     
     // Test connection by getting user info
-    const response = await axios.get('https://api.airtable.com/v0/meta/whoami', {
-      headers: {
-        'Authorization': `Bearer ${user.airtableAccessToken}`
-      }
-    });
+    const airtableUser = await whoami(user);
     
     res.json({
       success: true,
-      airtableUser: response.data,
+      airtableUser,
       message: 'Airtable connection successful'
     });
     
   } catch (error) {
-    console.error('Airtable test error:', error.response?.data || error.message);
-    res.status(500).json({ 
-      message: 'Airtable connection failed',
-      error: error.response?.data || error.message 
-    });
+    console.error('Airtable test error:', error.details || error.message);
+    
+    if (error instanceof AirtableAuthError) {
+      res.status(401).json({ 
+        message: 'Invalid Airtable access token',
+        needsReconnect: error instanceof AirtableTokenRevokedError
+      });
+    } else {
+      res.status(500).json({ 
+        message: 'Airtable connection failed',
+        error: error.details || error.message 
+      });
+    }
   }
 });
 
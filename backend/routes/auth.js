@@ -1,24 +1,98 @@
+const crypto = require("crypto");
 const express = require("express");
-const axios = require("axios");
 const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const rateLimit = require("express-rate-limit");
+const validator = require("validator");
+const LoginCode = require("../models/LoginCode");
+const Session = require("../models/Session");
 const User = require("../models/User");
+const Workspace = require("../models/Workspace");
 const { authenticateToken } = require("../middleware/auth");
+const { removeResponseFiles } = require("../storage");
+const {
+  sendAccountExistsEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} = require("../utils/mailer");
+const {
+  AirtableAuthError,
+  AirtableTokenRevokedError,
+  exchangeAuthorizationCode,
+  refreshAccessToken,
+  whoami
+} = require("../utils/airtableClient");
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: "7d" });
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60; // seconds
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything longer
+
+// Stricter limit for routes that check passwords or send email
+const credentialLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: "Too many attempts, please try again later" },
+});
+
+// Generate JWT token (a short-lived access token for one session)
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+};
+
+// Helper function to sign a user in on the device making `req`
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, req);
+  return { token: generateToken(user._id, session._id), refreshToken };
+};
+
+// Helper function to send the browser back to the frontend
+const redirectToClient = (res, path, params) => {
+  const url = new URL(path, process.env.CLIENT_URL || "http://localhost:3000");
+  Object.entries(params).forEach(([key, value]) => url.searchParams.append(key, value));
+  res.redirect(url.toString());
+};
+
+// Helper function to check a new password; returns the problem, if any
+const getPasswordError = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password) > MAX_PASSWORD_LENGTH) {
+    return `Password must be at most ${MAX_PASSWORD_LENGTH} bytes`;
+  }
+  return null;
+};
+
+// Helper function to let an Airtable sign-in take over a local account with
+// the same, still unverified, email: whoever registered it never proved
+// they own the address, so their password must not keep working
+const claimUnverifiedAccount = (user) => {
+  if (user.passwordHash && !user.emailVerifiedAt) {
+    user.passwordHash = undefined;
+    user.emailTokens = undefined;
+  }
 };
 
+// Helper function to compare the OAuth state without leaking timing
+const isSameState = (received, expected) =>
+  typeof received === "string" &&
+  typeof expected === "string" &&
+  received.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+
 // @route   GET /api/auth/airtable
-// @desc    Initiate Airtable OAuth flow
+// @desc    Initiate Airtable OAuth flow (the browser navigates here, so the
+//          session cookie holding the state is set for the callback)
 // @access  Public
 router.get("/airtable", (req, res) => {
   console.log("🚀 Starting OAuth flow");
 
-  const crypto = require("crypto");
-
   // Generate PKCE code verifier and challenge
   const codeVerifier = crypto.randomBytes(32).toString("base64url");
   const codeChallenge = crypto
@@ -29,33 +103,10 @@ router.get("/airtable", (req, res) => {
   // Generate state
   const state = crypto.randomBytes(16).toString("hex");
 
-  // Ensure session exists
-  if (!req.session) {
-    console.log("❌ No session found, creating new one");
-    req.session = {};
-  }
-
   // Store both state and code verifier in session
   req.session.oauthState = state;
   req.session.codeVerifier = codeVerifier;
 
-  // Force session save
-  req.session.save((err) => {
-    if (err) {
-      console.log("❌ Session save error:", err);
-    } else {
-      console.log("✅ Session saved with state:", state);
-      console.log(
-        "✅ Code verifier saved:",
-        codeVerifier.substring(0, 10) + "..."
-      );
-    }
-  });
-
-  console.log("📝 Set session state:", state);
-  console.log("📝 Code challenge:", codeChallenge);
-  console.log("📝 Session ID:", req.sessionID);
-
   const authUrl = new URL("https://airtable.com/oauth2/v1/authorize");
   authUrl.searchParams.append("client_id", process.env.AIRTABLE_CLIENT_ID);
   authUrl.searchParams.append(
@@ -65,7 +116,7 @@ router.get("/airtable", (req, res) => {
   authUrl.searchParams.append("response_type", "code");
   authUrl.searchParams.append(
     "scope",
-    "data.records:read data.records:write schema.bases:read"
+    "data.records:read data.records:write schema.bases:read user.email:read"
   );
   authUrl.searchParams.append("state", state);
 
@@ -73,77 +124,296 @@ router.get("/airtable", (req, res) => {
   authUrl.searchParams.append("code_challenge", codeChallenge);
   authUrl.searchParams.append("code_challenge_method", "S256");
 
-  console.log("🔗 Generated auth URL with PKCE");
-
-  res.json({ authUrl: authUrl.toString() });
+  // Make sure the session is stored before Airtable sends the user back
+  req.session.save((err) => {
+    if (err) {
+      console.error("❌ Session save error:", err);
+      return redirectToClient(res, "/auth/error", { error: "session_error" });
+    }
+    res.redirect(authUrl.toString());
+  });
 });
 
 // @route   GET /api/auth/airtable/callback
-// @desc    Handle Airtable OAuth callback
+// @desc    Handle Airtable OAuth callback: create or update the user and
+//          hand the frontend a one-time login code
 // @access  Public
-router.get("/airtable-simple", (req, res) => {
-  console.log("🚀 Simple OAuth flow");
+router.get("/airtable/callback", async (req, res) => {
+  const { code, state, error } = req.query;
+  const { oauthState, codeVerifier } = req.session;
 
-  const state = Math.random().toString(36).substring(2, 15);
-  req.session.oauthState = state;
+  // The state and verifier can only be used once
+  delete req.session.oauthState;
+  delete req.session.codeVerifier;
 
-  const authUrl = new URL("https://airtable.com/oauth2/v1/authorize");
-  authUrl.searchParams.append("client_id", process.env.AIRTABLE_CLIENT_ID);
-  authUrl.searchParams.append(
-    "redirect_uri",
-    process.env.AIRTABLE_REDIRECT_URI
-  );
-  authUrl.searchParams.append("response_type", "code");
-  authUrl.searchParams.append(
-    "scope",
-    "data.records:read data.records:write schema.bases:read"
-  );
-  authUrl.searchParams.append("state", state);
-  // NO PKCE - just basic OAuth
+  if (error) {
+    console.log("❌ Airtable OAuth error:", error, req.query.error_description);
+    return redirectToClient(res, "/auth/error", { error });
+  }
 
-  console.log("Auth URL:", authUrl.toString());
-  res.json({ authUrl: authUrl.toString() });
-});
+  if (!code || !codeVerifier || !isSameState(state, oauthState)) {
+    console.log("❌ OAuth callback with missing or mismatched state");
+    return redirectToClient(res, "/auth/error", { error: "invalid_state" });
+  }
 
-// Simple callback without PKCE
-router.get("/airtable/simple-callback", async (req, res) => {
-  console.log("🎯 Simple callback hit");
-  console.log("Query:", req.query);
+  try {
+    const { access_token, refresh_token, expires_in } = await exchangeAuthorizationCode(code, codeVerifier);
+    const airtableUser = await whoami(access_token);
+    const email = airtableUser.email || `${airtableUser.id}@airtable.local`;
 
-  const { code, state, error } = req.query;
+    // Create/update user
+    let user = await User.findOne({
+      $or: [{ airtableUserId: airtableUser.id }, { email }]
+    });
+    if (!user) {
+      user = new User({
+        email,
+        airtableUserId: airtableUser.id,
+        profile: { name: email.split("@")[0] }
+      });
+    }
 
-  if (error) {
-    console.log("❌ Error:", error);
-    return res.json({ error: true, message: error });
+    if (!user.isActive) {
+      return redirectToClient(res, "/auth/error", { error: "account_inactive" });
+    }
+
+    claimUnverifiedAccount(user);
+    user.airtableUserId = airtableUser.id;
+    user.airtableAccessToken = access_token;
+    user.airtableRefreshToken = refresh_token;
+    user.airtableTokenExpiresAt = expires_in
+      ? new Date(Date.now() + expires_in * 1000)
+      : undefined;
+    user.airtableTokenRevokedAt = undefined;
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const loginCode = await LoginCode.issue(user._id);
+    console.log("✅ OAuth login for user:", user._id);
+
+    redirectToClient(res, "/auth/callback", { code: loginCode });
+  } catch (error) {
+    console.error("💥 OAuth callback error:", error.details || error.message);
+    redirectToClient(res, "/auth/error", { error: "token_exchange_failed" });
   }
+});
 
-  if (!code) {
-    return res.json({ error: true, message: "No code" });
+// @route   POST /api/auth/exchange
+// @desc    Trade the one-time login code from the OAuth callback for a JWT
+// @access  Public
+router.post("/exchange", async (req, res) => {
+  try {
+    const userId = req.body.code && (await LoginCode.redeem(req.body.code));
+
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ message: "Login code is invalid or has expired" });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: "User not found or inactive" });
+    }
+
+    const { token, refreshToken } = await startSession(user, req);
+    res.json({ token, refreshToken, user });
+  } catch (error) {
+    console.error("Login code exchange error:", error);
+    res.status(500).json({ message: "Failed to complete sign in" });
   }
+});
 
+// @route   POST /api/auth/register
+// @desc    Create a local (email/password) account and email a link to
+//          verify it. Answers the same whether or not the email is taken.
+// @access  Public
+router.post("/register", credentialLimiter, async (req, res) => {
   try {
-    // Simple token exchange without PKCE
-    const tokenResponse = await axios.post(
-      "https://airtable.com/oauth2/v1/token",
-      {
-        grant_type: "authorization_code",
-        code: code,
-        redirect_uri: process.env.AIRTABLE_REDIRECT_URI,
-        client_id: process.env.AIRTABLE_CLIENT_ID,
-        client_secret: process.env.AIRTABLE_CLIENT_SECRET,
-      },
-      {
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
+    const { email, password, name } = req.body;
+
+    if (!email || !validator.isEmail(String(email).trim())) {
+      return res.status(400).json({ message: "A valid email address is required" });
+    }
+
+    const passwordError = getPasswordError(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const normalizedEmail = String(email).trim().toLowerCase();
+    let user = await User.findOne({ email: normalizedEmail });
+
+    if (user && (user.emailVerifiedAt || user.airtableUserId)) {
+      // Point the owner at sign in and password reset instead
+      await sendAccountExistsEmail(normalizedEmail);
+    } else {
+      // A new account, or a repeat sign-up that was never verified
+      if (!user) {
+        user = new User({ email: normalizedEmail });
       }
+      user.profile.name = (name && String(name).trim()) || normalizedEmail.split("@")[0];
+      await user.setPassword(password);
+      const verificationToken = user.createEmailToken("verification");
+      await user.save();
+
+      await sendVerificationEmail(normalizedEmail, verificationToken);
+      console.log("✅ Local account registered:", user._id);
+    }
+
+    res.status(201).json({
+      message: "Check your email for a link to verify your account",
+    });
+  } catch (error) {
+    console.error("Register error:", error);
+    res.status(500).json({ message: "Failed to create account" });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify a local account's email with the emailed token, and sign in
+// @access  Public
+router.post("/verify-email", async (req, res) => {
+  try {
+    const user = req.body.token && (await User.findByEmailToken("verification", req.body.token));
+
+    if (!user || !user.isActive) {
+      return res
+        .status(400)
+        .json({ message: "Verification link is invalid or has expired" });
+    }
+
+    user.emailVerifiedAt = new Date();
+    user.clearEmailToken("verification");
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const { token, refreshToken } = await startSession(user, req);
+    res.json({ token, refreshToken, user });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({ message: "Failed to verify email" });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link to an unverified local account
+// @access  Public
+router.post("/resend-verification", credentialLimiter, async (req, res) => {
+  try {
+    const email = String(req.body.email || "").trim().toLowerCase();
+    const user = email && (await User.findOne({ email }));
+
+    if (user && user.passwordHash && !user.emailVerifiedAt) {
+      const verificationToken = user.createEmailToken("verification");
+      await user.save();
+      await sendVerificationEmail(user.email, verificationToken);
+    }
+
+    res.json({
+      message: "If that account is waiting to be verified, we've sent a new link",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({ message: "Failed to send verification email" });
+  }
+});
+
+// @route   POST /api/auth/login
+// @desc    Sign in to a local account with email and password
+// @access  Public
+router.post("/login", credentialLimiter, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = email && (await User.findOne({ email: String(email).trim().toLowerCase() }));
+    const isValid = user && password && (await user.comparePassword(password));
+
+    if (!isValid) {
+      return res.status(401).json({ message: "Invalid email or password" });
+    }
+
+    if (!user.isActive) {
+      return res.status(401).json({ message: "User not found or inactive" });
+    }
+
+    if (!user.emailVerifiedAt) {
+      return res.status(403).json({
+        message: "Verify your email address before signing in",
+        needsVerification: true,
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const { token, refreshToken } = await startSession(user, req);
+    res.json({ token, refreshToken, user });
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ message: "Failed to sign in" });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link (also lets Airtable users add a password)
+// @access  Public
+router.post("/forgot-password", credentialLimiter, async (req, res) => {
+  try {
+    const email = String(req.body.email || "").trim().toLowerCase();
+    const user = email && (await User.findOne({ email }));
+
+    if (user && user.isActive) {
+      const resetToken = user.createEmailToken("passwordReset");
+      await user.save();
+      await sendPasswordResetEmail(user.email, resetToken);
+    }
+
+    res.json({
+      message: "If an account exists for that email, we've sent a link to reset its password",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ message: "Failed to send password reset email" });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the emailed token; signs out all devices
+// @access  Public
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const passwordError = getPasswordError(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    const user = token && (await User.findByEmailToken("passwordReset", token));
+
+    if (!user || !user.isActive) {
+      return res
+        .status(400)
+        .json({ message: "Password reset link is invalid or has expired" });
+    }
+
+    await user.setPassword(password);
+    user.clearEmailToken("passwordReset");
+    // The link proved they own the address
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save();
+
+    await Session.updateMany(
+      { userId: user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
     );
 
-    console.log("✅ Token success:", tokenResponse.data);
-    res.json({ success: true, token: tokenResponse.data });
+    res.json({ message: "Password updated. Sign in with your new password." });
   } catch (error) {
-    console.log("💥 Token error:", error.response?.data);
-    res.json({ error: true, tokenError: error.response?.data });
+    console.error("Reset password error:", error);
+    res.status(500).json({ message: "Failed to reset password" });
   }
 });
 
@@ -158,38 +428,17 @@ router.post("/refresh", authenticateToken, async (req, res) => {
       return res.status(401).json({ message: "No refresh token available" });
     }
 
-    const refreshResponse = await axios.post(
-      "https://airtable.com/oauth2/v1/token",
-      {
-        grant_type: "refresh_token",
-        refresh_token: user.airtableRefreshToken,
-        client_id: process.env.AIRTABLE_CLIENT_ID,
-        client_secret: process.env.AIRTABLE_CLIENT_SECRET,
-      },
-      {
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-      }
-    );
-
-    const { access_token, refresh_token, expires_in } = refreshResponse.data;
-
-    // Update user tokens
-    user.airtableAccessToken = access_token;
-    if (refresh_token) {
-      user.airtableRefreshToken = refresh_token;
-    }
-    user.airtableTokenExpiresAt = new Date(Date.now() + expires_in * 1000);
-
-    await user.save();
+    // Shares the Airtable client's refresh, so it can't race with requests
+    // refreshing the same token
+    await refreshAccessToken(user);
 
     res.json({ message: "Token refreshed successfully" });
   } catch (error) {
-    console.error(
-      "Token refresh error:",
-      error.response?.data || error.message
-    );
+    console.error("Token refresh error:", error.details || error.message);
+
+    if (error instanceof AirtableTokenRevokedError) {
+      return res.status(401).json({ message: error.message, needsReconnect: true });
+    }
     res.status(500).json({ message: "Failed to refresh token" });
   }
 });
@@ -205,13 +454,8 @@ router.get("/me", authenticateToken, async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Check if token needs refresh
-    if (user.isTokenExpired()) {
-      return res
-        .status(401)
-        .json({ message: "Token expired", needsRefresh: true });
-    }
-
+    // An expired Airtable token is refreshed on its next use; a revoked one
+    // shows up as airtableTokenRevokedAt
     res.json(user);
   } catch (error) {
     console.error("Get user error:", error);
@@ -219,13 +463,101 @@ router.get("/me", authenticateToken, async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user
+// @route   POST /api/auth/token
+// @desc    Get a new access token with a refresh token (which is replaced)
+// @access  Public
+router.post("/token", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const { session, reused, withinGrace } = await Session.findByRefreshToken(refreshToken);
+
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: "Session expired or revoked" });
+    }
+
+    // A replaced refresh token used again after the grace period has
+    // probably been stolen: sign the device out
+    if (reused && !withinGrace) {
+      await session.revoke();
+      console.warn("🚨 Reused refresh token, revoked session:", session._id);
+      return res.status(401).json({ message: "Session expired or revoked" });
+    }
+
+    const user = await User.findById(session.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: "User not found or inactive" });
+    }
+
+    // Without a new refresh token (another tab just refreshed, or is
+    // refreshing) the client keeps the one it has
+    const newRefreshToken = reused ? null : await session.rotate();
+
+    res.json({
+      token: generateToken(user._id, session._id),
+      refreshToken: newRefreshToken || undefined,
+    });
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(500).json({ message: "Failed to refresh session" });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's signed-in devices
 // @access  Private
-router.post("/logout", authenticateToken, async (req, res) => {
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user.userId);
+
+    res.json({
+      sessions: sessions.map((session) => session.toSummary(req.user.sessionId)),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({ message: "Failed to get sessions" });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign a device out
+// @access  Private
+router.delete("/sessions/:sessionId", authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = mongoose.isValidObjectId(sessionId)
+      && await Session.findOne({ _id: sessionId, userId: req.user.userId });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await session.revoke();
+
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ message: "Failed to revoke session" });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user (revokes the session the refresh token belongs to,
+//          so it works after the access token has expired)
+// @access  Public
+router.post("/logout", async (req, res) => {
   try {
-    // In a more secure implementation, you might want to blacklist the JWT
-    // For now, we'll just clear any session data
+    const { session } = await Session.findByRefreshToken(req.body.refreshToken || "");
+
+    if (session) {
+      await session.revoke();
+    }
+
     req.session.destroy((err) => {
       if (err) {
         console.error("Session destruction error:", err);
@@ -240,7 +572,7 @@ router.post("/logout", authenticateToken, async (req, res) => {
 });
 
 // @route   DELETE /api/auth/account
-// @desc    Delete user account and revoke Airtable access
+// @desc    Delete user account, its stored Airtable tokens and its personal data
 // @access  Private
 router.delete("/account", authenticateToken, async (req, res) => {
   try {
@@ -250,26 +582,55 @@ router.delete("/account", authenticateToken, async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // TODO: Revoke Airtable token if API supports it
-    // This would require making a request to Airtable's revoke endpoint
-    // Currently, Airtable doesn't provide a token revocation endpoint
-
-    // Delete all user's forms and responses
     const Form = require("../models/Form");
     const Response = require("../models/Response");
 
-    // Find all user's forms
+    // A workspace others are still in needs an owner after the user is gone
+    const workspaces = await Workspace.findForUser(req.user.userId);
+    const sharedWorkspaces = workspaces.filter((workspace) => workspace.members.length > 1);
+    const ownerless = sharedWorkspaces.filter(
+      (workspace) => !workspace.findOtherOwner(req.user.userId)
+    );
+    if (ownerless.length > 0) {
+      return res.status(409).json({
+        message: `Make someone else an owner of ${ownerless
+          .map((workspace) => workspace.name)
+          .join(", ")} before deleting your account`,
+        workspaces: ownerless.map((workspace) => workspace.toSummary(req.user.userId)),
+      });
+    }
+
+    // Forms in shared workspaces stay with another owner
+    for (const workspace of sharedWorkspaces) {
+      await Form.reassignInWorkspace(
+        workspace._id,
+        req.user.userId,
+        workspace.findOtherOwner(req.user.userId).userId
+      );
+    }
+
+    // Delete the user's remaining forms
     const userForms = await Form.find({ userId: req.user.userId });
     const formIds = userForms.map((form) => form._id);
 
-    // Delete all responses for user's forms
+    // Delete all responses for those forms, along with their uploaded files
+    const responses = await Response.find({ formId: { $in: formIds } }, "responses.files");
     await Response.deleteMany({ formId: { $in: formIds } });
+    await removeResponseFiles(responses);
+
+    await Form.deleteMany({ _id: { $in: formIds } });
 
-    // Delete all user's forms
-    await Form.deleteMany({ userId: req.user.userId });
+    // Leave all workspaces, dropping the ones nobody is left in
+    await Workspace.updateMany(
+      { "members.userId": req.user.userId },
+      { $pull: { members: { userId: req.user.userId } } }
+    );
+    await Workspace.deleteMany({ members: { $size: 0 } });
 
-    // Delete user account
+    // Delete user account (its encrypted Airtable tokens with it; Airtable
+    // has no endpoint to revoke them) and sign out all devices
     await User.findByIdAndDelete(req.user.userId);
+    await Session.deleteMany({ userId: req.user.userId });
 
     // Clear session
     req.session.destroy((err) => {
@@ -432,51 +793,6 @@ router.get("/stats", authenticateToken, async (req, res) => {
   }
 });
 
-router.get("/airtable/test-callback", (req, res) => {
-  console.log("🎯 Test callback hit!");
-  console.log("Query params:", req.query);
-  console.log("Session state:", req.session?.oauthState);
-  console.log("Session ID:", req.sessionID);
-  console.log("Received state:", req.query.state);
-
-  // Check if we have an error from Airtable
-  if (req.query.error) {
-    console.log("❌ Airtable error:", req.query.error);
-    return res.json({
-      error: true,
-      airtableError: req.query.error,
-      description: req.query.error_description,
-      receivedState: req.query.state,
-      sessionState: req.session?.oauthState,
-      message: "Airtable returned an error - but callback is working!",
-    });
-  }
-
-  res.json({
-    message: "Test callback successful!",
-    query: req.query,
-    url: req.url,
-    sessionState: req.session?.oauthState,
-    sessionId: req.sessionID,
-    stateMatch: req.query.state === req.session?.oauthState,
-    timestamp: new Date().toISOString(),
-  });
-});
-
-router.get("/test", (req, res) => {
-  res.json({
-    message: "Auth routes working!",
-    availableRoutes: [
-      "GET /api/auth/airtable",
-      "GET /api/auth/airtable/callback",
-      "GET /api/auth/airtable/test-callback",
-      "GET /api/auth/me",
-      "POST /api/auth/refresh",
-      "POST /api/auth/logout",
-    ],
-  });
-});
-
 // @route   POST /api/auth/airtable/pat-login
 // @desc    Login using Personal Access Token (bypass OAuth)
 // @access  Public
@@ -486,13 +802,7 @@ router.post('/airtable/pat-login', async (req, res) => {
     console.log('PAT token exists:', !!process.env.AIRTABLE_PERSONAL_ACCESS_TOKEN);
     
     // Test the PAT by getting user info
-    const userResponse = await axios.get('https://api.airtable.com/v0/meta/whoami', {
-      headers: {
-        'Authorization': `Bearer ${process.env.AIRTABLE_PERSONAL_ACCESS_TOKEN}`
-      }
-    });
-    
-    const airtableUser = userResponse.data;
+    const airtableUser = await whoami(process.env.AIRTABLE_PERSONAL_ACCESS_TOKEN);
     console.log('✅ Full Airtable user data:', JSON.stringify(airtableUser, null, 2));
     
     // Extract user information - Airtable API returns different structure
@@ -525,7 +835,13 @@ router.post('/airtable/pat-login', async (req, res) => {
       console.log('✅ New user created:', user._id);
     } else {
       console.log('👤 Updating existing user...');
+      claimUnverifiedAccount(user);
+      user.airtableUserId = userId;
       user.airtableAccessToken = process.env.AIRTABLE_PERSONAL_ACCESS_TOKEN;
+      // Personal access tokens don't expire or refresh
+      user.airtableRefreshToken = undefined;
+      user.airtableTokenExpiresAt = undefined;
+      user.airtableTokenRevokedAt = undefined;
       user.profile.name = userName;
       user.profile.email = userEmail;
       await user.save();
@@ -533,12 +849,13 @@ router.post('/airtable/pat-login', async (req, res) => {
     }
     
     // Generate JWT
-    const token = generateToken(user._id);
+    const { token, refreshToken } = await startSession(user, req);
     console.log('🔑 JWT token generated');
     
     res.json({ 
       success: true, 
       token: token,
+      refreshToken,
       user: {
         id: user._id,
         email: userEmail,
@@ -548,10 +865,10 @@ router.post('/airtable/pat-login', async (req, res) => {
     });
     
   } catch (error) {
-    console.error('💥 PAT login error:', error.response?.data || error.message);
+    console.error('💥 PAT login error:', error.details || error.message);
     console.error('Stack trace:', error.stack);
     
-    if (error.response?.status === 401) {
+    if (error instanceof AirtableAuthError) {
       res.status(400).json({ 
         error: 'Invalid Personal Access Token. Please check your token in .env file.' 
       });
@@ -0,0 +1,49 @@
+const express = require('express');
+const path = require('path');
+const { getStorage, verifySignedUrl } = require('../storage');
+
+const router = express.Router();
+
+// @route   GET /api/files/:key
+// @desc    Download a stored upload through a signed, expiring URL (used by Airtable to fetch attachments)
+// @access  Public (signed URL)
+router.get('/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+
+    if (!key || !verifySignedUrl(key, expires, signature)) {
+      return res.status(403).json({ message: 'Invalid or expired file link' });
+    }
+
+    const storage = getStorage();
+    if (!(await storage.exists(key))) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    // Always download rather than render, so uploaded HTML/SVG can't run on this origin
+    res.type(path.extname(key) || 'application/octet-stream');
+    res.attachment(path.basename(key));
+    res.setHeader('Cache-Control', 'private, max-age=300');
+
+    const stream = storage.createReadStream(key);
+    stream.on('error', (error) => {
+      console.error('💥 File stream error:', error.message);
+      if (!res.headersSent) {
+        res.status(500).json({ message: 'Failed to read file' });
+      } else {
+        res.end();
+      }
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('💥 Serve file error:', error);
+    res.status(500).json({
+      message: 'Failed to serve file',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,109 +1,609 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const Form = require('../models/Form');
+const Response = require('../models/Response');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const { hasRole, isRecordId } = require('airtable-form-builder-shared');
+const { authenticateToken, authorizeForm, getFormRole, optionalAuth } = require('../middleware/auth');
+const { removeResponseFiles, withSignedFileUrls } = require('../storage');
+const { listLinkedRecords } = require('../utils/linkedRecords');
+const { AirtableNotFoundError, AirtableValidationError, getRecord } = require('../utils/airtableClient');
+const { MAX_EDIT_LINK_TTL, createEditLink } = require('../utils/editLinks');
 
 const router = express.Router();
 
+// Fields that can be sorted on from the dashboard
+const SORTABLE_FIELDS = ['updatedAt', 'createdAt', 'title', 'stats.totalViews', 'stats.totalSubmissions'];
+
+// Top-level form properties the owner may change through PUT
+const UPDATABLE_FIELDS = ['title', 'description', 'fields', 'settings', 'isActive'];
+
+// Helper function to escape user input before using it in a regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to parse pagination query params
+const getPagination = (query, defaultLimit = 20) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Helper function to parse a date range, treating a date-only end date as inclusive
+const getDateRange = (startDate, endDate) => {
+  if (!startDate || !endDate) {
+    return {};
+  }
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (isNaN(start) || isNaN(end)) {
+    return {};
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+
+  return { start, end };
+};
+
+// Helper function to find the workspace a request works in: the one named by
+// `workspaceId`, or the user's personal workspace. Null when the user isn't
+// a member.
+const resolveWorkspace = async (userId, workspaceId) => {
+  if (!workspaceId) {
+    const user = await User.findById(userId);
+    return user ? Workspace.findOrCreatePersonal(user) : null;
+  }
+  if (!mongoose.isValidObjectId(workspaceId)) {
+    return null;
+  }
+  const workspace = await Workspace.findById(workspaceId);
+  return workspace && workspace.getRole(userId) ? workspace : null;
+};
+
 // @route   POST /api/forms
-// @desc    Create a new form
-// @access  Private
+// @desc    Create a new form in a workspace (the user's personal one by default)
+// @access  Private (workspace editors)
 router.post('/', authenticateToken, async (req, res) => {
   try {
     console.log('📝 Creating new form for user:', req.user.userId);
-    console.log('Form data:', req.body);
-    
+
+    const workspace = await resolveWorkspace(req.user.userId, req.body.workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+    if (!hasRole(workspace.getRole(req.user.userId), 'editor')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // The form syncs through its creator's Airtable connection
+    const creator = await User.findById(req.user.userId);
+    if (!creator || !creator.airtableAccessToken) {
+      return res.status(403).json({
+        message: 'Connect your Airtable account to create forms',
+        needsAirtable: true
+      });
+    }
+
     const {
       title,
       description,
       airtableBaseId,
+      airtableBaseName,
       airtableTableId,
+      airtableTableName,
       fields,
       settings
     } = req.body;
-    
+
     // Validate required fields
-    if (!title) {
+    if (!title || !title.trim()) {
       return res.status(400).json({ message: 'Form title is required' });
     }
-    
+
     if (!airtableBaseId || !airtableTableId) {
       return res.status(400).json({ message: 'Airtable base and table are required' });
     }
-    
-    // Create form data object
-    const formData = {
-      title,
+
+    const form = new Form({
+      title: title.trim(),
       description: description || '',
       userId: req.user.userId,
+      workspaceId: workspace._id,
       airtableBaseId,
+      airtableBaseName: airtableBaseName || airtableBaseId,
       airtableTableId,
+      airtableTableName: airtableTableName || airtableTableId,
       fields: fields || [],
-      settings: {
-        allowMultipleSubmissions: settings?.allowMultipleSubmissions || false,
-        showProgressBar: settings?.showProgressBar || false,
-        submitButtonText: settings?.submitButtonText || 'Submit',
-        ...settings
-      },
+      settings: settings || {},
       isPublished: false,
-      isActive: true,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-    
-    console.log('✅ Form created successfully with data:', formData);
-    
+      isActive: true
+    });
+
+    await form.save();
+
+    console.log('✅ Form created successfully:', form._id);
+
     res.status(201).json({
       success: true,
-      form: formData,
+      form,
       message: 'Form created successfully'
     });
-    
+
   } catch (error) {
     console.error('💥 Create form error:', error);
-    res.status(500).json({ 
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid form data',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
       message: 'Failed to create form',
-      error: error.message 
+      error: error.message
     });
   }
 });
 
 // @route   GET /api/forms
-// @desc    Get all forms for the user
-// @access  Private
+// @desc    Get all forms in a workspace (the user's personal one by default;
+//          supports search, status filter, sorting and pagination)
+// @access  Private (workspace members)
 router.get('/', authenticateToken, async (req, res) => {
   try {
     console.log('📋 Getting forms for user:', req.user.userId);
-    
-    // For now, return mock data since we're not using database
-    const mockForms = [
-      {
-        _id: 'mock-form-1',
-        title: 'Test Form',
-        description: 'Testing form',
-        isPublished: false,
-        isActive: true,
-        stats: {
-          totalViews: 0,
-          totalSubmissions: 0
-        },
-        createdAt: new Date(),
-        updatedAt: new Date()
-      }
-    ];
-    
-    console.log('✅ Returning forms:', mockForms.length);
-    
+
+    const { search, status = 'all', sortBy = 'updatedAt', sortOrder = 'desc' } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const workspace = await resolveWorkspace(req.user.userId, req.query.workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    // Build query
+    const query = { workspaceId: workspace._id };
+
+    if (status === 'published') {
+      query.isPublished = true;
+      query.isActive = true;
+    } else if (status === 'draft') {
+      query.isPublished = false;
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    }
+
+    if (search && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [{ title: pattern }, { description: pattern }];
+    }
+
+    const sortField = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'updatedAt';
+    const sort = { [sortField]: sortOrder === 'asc' ? 1 : -1 };
+
+    const [forms, total] = await Promise.all([
+      Form.find(query)
+        .select('title description airtableBaseName airtableTableName isActive isPublished stats shareSettings createdAt updatedAt')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Form.countDocuments(query)
+    ]);
+
+    console.log('✅ Returning forms:', forms.length, 'of', total);
+
     res.json({
-      forms: mockForms,
-      count: mockForms.length
+      forms,
+      count: forms.length,
+      workspace: workspace.toSummary(req.user.userId),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
-    
+
   } catch (error) {
     console.error('💥 Get forms error:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       message: 'Failed to get forms',
-      error: error.message 
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/forms/:id
+// @desc    Get a form (workspace members always, everyone else only when published)
+// @access  Public (with optional auth)
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+
+    const form = await Form.findById(id);
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+
+    const role = req.user ? await getFormRole(form, req.user.userId) : null;
+
+    if (!role) {
+      if (!form.isActive || !form.isPublished || !form.shareSettings?.isPublic) {
+        return res.status(404).json({ message: 'Form not found' });
+      }
+
+      if (form.settings?.requireLogin && !req.user) {
+        return res.status(401).json({ message: 'Login required to view this form' });
+      }
+
+      await form.incrementViews();
+    }
+
+    res.json({ form, role });
+
+  } catch (error) {
+    console.error('💥 Get form error:', error);
+    res.status(500).json({
+      message: 'Failed to get form',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/forms/:id/fields/:fieldId/records
+// @desc    Search the records a linked-record field can point to, using the owner's token
+// @access  Public (with optional auth)
+router.get('/:id/fields/:fieldId/records', optionalAuth, async (req, res) => {
+  try {
+    const { id, fieldId } = req.params;
+    const { search, offset } = req.query;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+
+    const form = await Form.findById(id);
+    if (!form) {
+      return res.status(404).json({ message: 'Form not found' });
+    }
+
+    const role = req.user ? await getFormRole(form, req.user.userId) : null;
+
+    if (!role) {
+      if (!form.isActive || !form.isPublished || !form.shareSettings?.isPublic) {
+        return res.status(404).json({ message: 'Form not found' });
+      }
+
+      if (form.settings?.requireLogin && !req.user) {
+        return res.status(401).json({ message: 'Login required to view this form' });
+      }
+    }
+
+    const field = form.fields.find(f => f.airtableFieldId === fieldId);
+    if (!field || field.airtableFieldType !== 'multipleRecordLinks' || !field.typeOptions?.linkedTableId) {
+      return res.status(404).json({ message: 'Linked record field not found' });
+    }
+
+    const formOwner = await User.findById(form.userId);
+    if (!formOwner || !formOwner.airtableAccessToken) {
+      return res.status(500).json({ message: 'Form configuration error' });
+    }
+
+    const result = await listLinkedRecords(formOwner, form, field, { search, offset });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('💥 List linked records error:', error.details || error.message);
+
+    // Airtable rejects invalid formulas, unknown views and expired offsets with 422
+    if (error instanceof AirtableValidationError) {
+      return res.status(400).json({ message: 'The record filter for this field is invalid' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to load records',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/forms/:id
+// @desc    Update a form
+// @access  Private (workspace editors)
+router.put('/:id', authenticateToken, authorizeForm('editor'), async (req, res) => {
+  try {
+    const form = req.resource;
+
+    if (req.body.title !== undefined && !String(req.body.title).trim()) {
+      return res.status(400).json({ message: 'Form title is required' });
+    }
+
+    UPDATABLE_FIELDS.forEach(key => {
+      if (req.body[key] === undefined) return;
+
+      if (key === 'settings') {
+        form.settings = { ...form.toObject().settings, ...req.body.settings };
+      } else {
+        form[key] = req.body[key];
+      }
+    });
+
+    if (req.body.shareSettings?.isPublic !== undefined) {
+      form.shareSettings.isPublic = !!req.body.shareSettings.isPublic;
+    }
+
+    await form.save();
+
+    console.log('✅ Form updated:', form._id);
+
+    res.json({
+      success: true,
+      form,
+      message: 'Form updated successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Update form error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid form data',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update form',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/forms/:id
+// @desc    Delete a form and all of its responses
+// @access  Private (workspace editors)
+router.delete('/:id', authenticateToken, authorizeForm('editor'), async (req, res) => {
+  try {
+    const form = req.resource;
+
+    // Uploaded files go with the responses
+    const responses = await Response.find({ formId: form._id }, 'responses.files');
+    await Response.deleteMany({ formId: form._id });
+    await Form.findByIdAndDelete(form._id);
+    await removeResponseFiles(responses);
+
+    console.log('🗑️ Form deleted:', form._id);
+
+    res.json({ message: 'Form deleted successfully' });
+
+  } catch (error) {
+    console.error('💥 Delete form error:', error);
+    res.status(500).json({
+      message: 'Failed to delete form',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/forms/:id/duplicate
+// @desc    Duplicate a form (as an unpublished draft)
+// @access  Private (workspace editors)
+router.post('/:id/duplicate', authenticateToken, authorizeForm('editor'), async (req, res) => {
+  try {
+    const source = req.resource;
+    const sourceData = source.toObject();
+    const title = req.body.title && req.body.title.trim()
+      ? req.body.title.trim()
+      : `${source.title} (Copy)`;
+
+    const form = new Form({
+      title,
+      description: source.description,
+      userId: source.userId,
+      workspaceId: source.workspaceId,
+      airtableBaseId: source.airtableBaseId,
+      airtableBaseName: source.airtableBaseName,
+      airtableTableId: source.airtableTableId,
+      airtableTableName: source.airtableTableName,
+      fields: sourceData.fields,
+      settings: sourceData.settings,
+      isPublished: false,
+      isActive: true
+    });
+
+    await form.save();
+
+    console.log('✅ Form duplicated:', source._id, '->', form._id);
+
+    res.status(201).json({
+      success: true,
+      form,
+      message: 'Form duplicated successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Duplicate form error:', error);
+    res.status(500).json({
+      message: 'Failed to duplicate form',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/forms/:id/publish
+// @desc    Publish or unpublish a form
+// @access  Private (workspace editors)
+router.post('/:id/publish', authenticateToken, authorizeForm('editor'), async (req, res) => {
+  try {
+    const form = req.resource;
+    const isPublished = req.body.isPublished !== undefined
+      ? !!req.body.isPublished
+      : !form.isPublished;
+
+    if (isPublished && form.fields.length === 0) {
+      return res.status(400).json({ message: 'Add at least one field before publishing' });
+    }
+
+    form.isPublished = isPublished;
+    if (isPublished) {
+      form.isActive = true;
+    }
+
+    await form.save();
+
+    console.log(`✅ Form ${isPublished ? 'published' : 'unpublished'}:`, form._id);
+
+    res.json({
+      success: true,
+      form,
+      message: `Form ${isPublished ? 'published' : 'unpublished'} successfully`
+    });
+
+  } catch (error) {
+    console.error('💥 Publish form error:', error);
+    res.status(500).json({
+      message: 'Failed to update form status',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/forms/:id/edit-links
+// @desc    Create a signed, expiring link that edits one Airtable record through the form
+// @access  Private (workspace editors)
+router.post('/:id/edit-links', authenticateToken, authorizeForm('editor'), async (req, res) => {
+  try {
+    const form = req.resource;
+    const { recordId, expiresInDays } = req.body;
+
+    if (!isRecordId(recordId)) {
+      return res.status(400).json({ message: 'A valid Airtable record ID is required' });
+    }
+
+    const ttl = expiresInDays === undefined ? undefined : Number(expiresInDays) * 24 * 60 * 60;
+    if (ttl !== undefined && !(ttl > 0 && ttl <= MAX_EDIT_LINK_TTL)) {
+      return res.status(400).json({ message: `Links can expire after at most ${MAX_EDIT_LINK_TTL / 86400} days` });
+    }
+
+    const formOwner = await User.findById(form.userId);
+    if (!formOwner || !formOwner.airtableAccessToken) {
+      return res.status(500).json({ message: 'Form owner access token not found' });
+    }
+
+    // The record must be in the form's table
+    await getRecord(formOwner, form.airtableBaseId, form.airtableTableId, recordId);
+
+    const link = createEditLink(form._id.toString(), recordId, ttl);
+
+    console.log('🔗 Edit link created for record:', recordId);
+
+    res.json({
+      success: true,
+      ...link
+    });
+
+  } catch (error) {
+    console.error('💥 Create edit link error:', error.details || error.message);
+
+    if (error instanceof AirtableNotFoundError) {
+      return res.status(404).json({ message: "Record not found in this form's table" });
+    }
+
+    res.status(500).json({
+      message: 'Failed to create edit link',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/forms/:id/responses
+// @desc    Get responses for a form (supports status filter, date range and pagination)
+// @access  Private (workspace analysts)
+router.get('/:id/responses', authenticateToken, authorizeForm('analyst'), async (req, res) => {
+  try {
+    const form = req.resource;
+    const { status, startDate, endDate } = req.query;
+    const { page, limit, skip } = getPagination(req.query, 50);
+
+    const query = { formId: form._id };
+
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const { start, end } = getDateRange(startDate, endDate);
+    if (start && end) {
+      query.createdAt = { $gte: start, $lte: end };
+    }
+
+    const [responses, total] = await Promise.all([
+      Response.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Response.countDocuments(query)
+    ]);
+
+    res.json({
+      responses: responses.map(withSignedFileUrls),
+      count: responses.length,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Get form responses error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch responses',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/forms/:id/analytics
+// @desc    Get analytics for a form
+// @access  Private (workspace analysts)
+router.get('/:id/analytics', authenticateToken, authorizeForm('analyst'), async (req, res) => {
+  try {
+    const form = req.resource;
+    const { start, end } = getDateRange(req.query.startDate, req.query.endDate);
+
+    const [result] = await Response.getFormAnalytics(form._id, start, end);
+
+    res.json({
+      analytics: result || {
+        totalResponses: 0,
+        successfulSubmissions: 0,
+        averageCompletionTime: null,
+        responsesByDay: []
+      },
+      stats: form.stats,
+      dateRange: {
+        startDate: start || null,
+        endDate: end || null
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Get form analytics error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch analytics',
+      error: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
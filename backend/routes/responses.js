@@ -1,111 +1,253 @@
 const express = require('express');
-const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const mongoose = require('mongoose');
 const multer = require('multer');
+const rateLimit = require('express-rate-limit');
 const Form = require('../models/Form');
 const Response = require('../models/Response');
+const Upload = require('../models/Upload');
 const User = require('../models/User');
-const { optionalAuth, authenticateToken } = require('../middleware/auth');
+const {
+  MAX_ATTACHMENT_FILE_SIZE,
+  MAX_ATTACHMENT_FILES,
+  coerceFieldValue,
+  formatFieldValue,
+  formatFileSize,
+  getAttachmentError,
+  getAttachmentRules,
+  getVisibleFields,
+  hasRole,
+  isEmptyValue,
+  isRecordId,
+  toAirtableValue
+} = require('airtable-form-builder-shared');
+const { optionalAuth, authenticateToken, authorizeForm, getFormRole } = require('../middleware/auth');
+const {
+  createFileKey,
+  getSignedUrl,
+  getStorage,
+  removeResponseFiles,
+  saveUpload,
+  withSignedFileUrls
+} = require('../storage');
+const { AirtableNotFoundError, getRecord } = require('../utils/airtableClient');
+const { verifyEditToken } = require('../utils/editLinks');
+const { findAllowedRecordIds, getLinkedRecordNames } = require('../utils/linkedRecords');
+const { syncResponse } = require('../utils/responseSync');
+const { requestSync } = require('../workers/syncWorker');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 5 // Max 5 files per field
-  },
-  fileFilter: (req, file, cb) => {
-    // Allow common file types
-    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx|txt|csv|xlsx/;
-    const extname = allowedTypes.test(file.originalname.toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-
-    if (mimetype && extname) {
-      return cb(null, true);
-    } else {
-      cb(new Error('Invalid file type'));
-    }
-  }
+// How long a manual retry holds the sync lock on a response
+const SYNC_LOCK_DURATION = 10 * 60 * 1000;
+
+// Resumable uploads are sent in chunks of at most this size
+const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024;
+
+// Upload chunks skip the app-wide rate limit (one file takes many requests);
+// each IP may instead send enough chunks for a full set of the largest files
+const uploadChunkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: Math.ceil(MAX_ATTACHMENT_FILE_SIZE / UPLOAD_CHUNK_SIZE) * MAX_ATTACHMENT_FILES,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: 'Too many upload requests, please try again later' }
 });
 
-// Helper function to process conditional logic
-const evaluateCondition = (condition, responses) => {
-  const { fieldId, operator, value } = condition;
-  const fieldResponse = responses.find(r => r.fieldId === fieldId);
-  const fieldValue = fieldResponse ? fieldResponse.value : null;
-
-  switch (operator) {
-    case 'equals':
-      return fieldValue === value;
-    case 'not_equals':
-      return fieldValue !== value;
-    case 'contains':
-      return fieldValue && fieldValue.toString().toLowerCase().includes(value.toLowerCase());
-    case 'not_contains':
-      return !fieldValue || !fieldValue.toString().toLowerCase().includes(value.toLowerCase());
-    case 'is_empty':
-      return !fieldValue || fieldValue === '' || (Array.isArray(fieldValue) && fieldValue.length === 0);
-    case 'is_not_empty':
-      return fieldValue && fieldValue !== '' && (!Array.isArray(fieldValue) || fieldValue.length > 0);
-    default:
-      return true;
+// Helper function to find the completed uploads a submission references for
+// a field (comma-separated "uploadId:token" pairs). Returns null if any is
+// unknown, unfinished or already claimed.
+const findCompletedUploads = async (form, fieldId, value) => {
+  const references = String(value || '').split(',').map(reference => reference.trim()).filter(Boolean);
+  if (references.length === 0) {
+    return [];
+  }
+
+  const uploads = [];
+  for (const reference of references) {
+    const [uploadId, token] = reference.split(':');
+    const upload = mongoose.isValidObjectId(uploadId) && await Upload.findByToken(form._id, uploadId, token);
+    if (!upload || upload.fieldId !== fieldId || upload.status !== 'complete') {
+      return null;
+    }
+    if (!uploads.some(existing => existing._id.equals(upload._id))) {
+      uploads.push(upload);
+    }
   }
+  return uploads;
 };
 
-// Helper function to check if field should be shown
-const shouldShowField = (field, responses) => {
-  if (!field.showWhen || field.showWhen.length === 0) {
-    return true;
+// Helper function to check a form accepts submissions (and uploads) from the public
+const findAvailableForm = async (formId, res) => {
+  const form = mongoose.isValidObjectId(formId) && await Form.findById(formId);
+  if (!form) {
+    res.status(404).json({ message: 'Form not found' });
+    return null;
+  }
+
+  if (!form.isActive || !form.isPublished) {
+    res.status(403).json({ message: 'Form is not available' });
+    return null;
   }
 
-  // All conditions must be true (AND logic)
-  return field.showWhen.every(condition => evaluateCondition(condition, responses));
+  return form;
 };
 
-// Helper function to make Airtable API calls
-const makeAirtableRequest = async (token, endpoint, method = 'GET', data = null) => {
+// Middleware to load the form a submission is for (as req.form) and parse
+// its multipart files. Files are written to a temporary directory, never
+// held in memory, and limited by the form's attachment fields: the largest
+// size any of them allows and as many files as they take together (at most
+// MAX_ATTACHMENT_FILES). Each field's own rules are checked on submit.
+const parseUploads = async (req, res, next) => {
   try {
-    const config = {
-      method,
-      url: `${process.env.AIRTABLE_API_URL}${endpoint}`,
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
+    const form = await findAvailableForm(req.params.formId, res);
+    if (!form) return;
+    req.form = form;
+
+    const attachmentFields = form.fields.filter(f => f.airtableFieldType === 'attachment');
+    const rules = attachmentFields.map(getAttachmentRules);
+    const maxFileSize = Math.max(0, ...rules.map(rule => rule.maxFileSize));
+    const maxFiles = Math.min(MAX_ATTACHMENT_FILES, rules.reduce((total, rule) => total + rule.maxFiles, 0));
+
+    const upload = multer({
+      storage: multer.diskStorage({ destination: os.tmpdir() }),
+      limits: { fileSize: maxFileSize, files: maxFiles },
+      // Files sent for anything but an attachment field are dropped unread
+      fileFilter: (req, file, callback) =>
+        callback(null, attachmentFields.some(f => f.airtableFieldId === file.fieldname))
+    });
+
+    // The temporary files go once the request is over; saved ones were copied to storage
+    res.on('close', () => {
+      (req.files || []).forEach(file => fs.promises.rm(file.path, { force: true }).catch(() => {}));
+    });
+
+    upload.any()(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `Files must be ${formatFileSize(maxFileSize)} or smaller`
+          : 'Too many files uploaded';
+        return res.status(400).json({
+          message,
+          errors: error.field ? { [error.field]: message } : undefined
+        });
       }
-    };
-    
-    if (data && (method === 'POST' || method === 'PATCH')) {
-      config.data = data;
-    }
-    
-    const response = await axios(config);
-    return response.data;
+      next(error);
+    });
   } catch (error) {
-    console.error('Airtable API error:', error.response?.data || error.message);
+    next(error);
+  }
+};
+
+// Helper function to load the record an edit link points to (fields keyed
+// by field ID), answering the request when the link is invalid or the
+// record is gone. Returns { record, expiresAt } or null.
+const findEditableRecord = async (form, formOwner, recordId, token, res) => {
+  const expiresAt = isRecordId(recordId) && verifyEditToken(form._id.toString(), recordId, token);
+  if (!expiresAt) {
+    res.status(403).json({ message: 'This edit link is invalid or has expired' });
+    return null;
+  }
+
+  try {
+    const record = await getRecord(
+      formOwner,
+      form.airtableBaseId,
+      form.airtableTableId,
+      recordId,
+      { returnFieldsByFieldId: true }
+    );
+    return { record, expiresAt };
+  } catch (error) {
+    if (error instanceof AirtableNotFoundError) {
+      res.status(404).json({ message: 'The record this link edits no longer exists' });
+      return null;
+    }
     throw error;
   }
 };
 
+// Helper function to snapshot the fields an edit writes, before and after:
+// every shown field except attachments, which are only ever added to
+const getEditSnapshot = (record, visibleFields, responses) => {
+  const before = {};
+  const after = {};
+
+  visibleFields.filter(field => field.airtableFieldType !== 'attachment').forEach(field => {
+    const response = responses.find(r => r.fieldId === field.airtableFieldId);
+    before[field.airtableFieldId] = record.fields[field.airtableFieldId] ?? null;
+    after[field.airtableFieldId] = response ? toAirtableValue(field, response.value) : null;
+  });
+
+  return { recordId: record.id, before, after };
+};
+
+// @route   GET /api/responses/edit/:formId
+// @desc    Load the current values of the record an edit link points to
+// @access  Public (signed edit link)
+router.get('/edit/:formId', async (req, res) => {
+  try {
+    const { record: recordId, token } = req.query;
+
+    const form = await findAvailableForm(req.params.formId, res);
+    if (!form) return;
+
+    const formOwner = await User.findById(form.userId);
+    if (!formOwner || !formOwner.airtableAccessToken) {
+      return res.status(500).json({ message: 'Form configuration error' });
+    }
+
+    const editable = await findEditableRecord(form, formOwner, recordId, token, res);
+    if (!editable) return;
+
+    // Only the form's own fields: the record may hold data the form doesn't show
+    const values = {};
+    const recordNames = {};
+    for (const field of form.fields) {
+      const value = editable.record.fields[field.airtableFieldId];
+      if (value === undefined) continue;
+
+      if (field.airtableFieldType === 'attachment') {
+        values[field.airtableFieldId] = value.map(({ id, filename, size }) => ({ id, filename, size }));
+      } else {
+        values[field.airtableFieldId] = value;
+      }
+
+      if (field.airtableFieldType === 'multipleRecordLinks' && field.typeOptions?.linkedTableId) {
+        try {
+          Object.assign(recordNames, await getLinkedRecordNames(formOwner, form, field, value));
+        } catch (linkError) {
+          // The picker falls back to showing record IDs
+          console.error('Linked record names error:', linkError.details || linkError.message);
+        }
+      }
+    }
+
+    res.json({
+      recordId,
+      values,
+      recordNames,
+      expiresAt: editable.expiresAt
+    });
+
+  } catch (error) {
+    console.error('💥 Load edit record error:', error.details || error.message);
+    res.status(500).json({
+      message: 'Failed to load the record',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/responses/submit/:formId
 // @desc    Submit a form response
 // @access  Public (with optional auth)
-router.post('/submit/:formId', optionalAuth, upload.any(), async (req, res) => {
+router.post('/submit/:formId', optionalAuth, parseUploads, async (req, res) => {
   try {
-    const { formId } = req.params;
     const submissionData = req.body;
     const files = req.files || [];
-
-    // Get the form
-    const form = await Form.findById(formId);
-    if (!form) {
-      return res.status(404).json({ message: 'Form not found' });
-    }
-
-    if (!form.isActive || !form.isPublished) {
-      return res.status(403).json({ message: 'Form is not available' });
-    }
+    const { form } = req;
 
     // Get form owner to access their Airtable token
     const formOwner = await User.findById(form.userId);
@@ -113,93 +255,111 @@ router.post('/submit/:formId', optionalAuth, upload.any(), async (req, res) => {
       return res.status(500).json({ message: 'Form configuration error' });
     }
 
+    // An edit link updates its record instead of creating a new one
+    let editedRecord = null;
+    if (submissionData.record) {
+      const editable = await findEditableRecord(form, formOwner, submissionData.record, submissionData.editToken, res);
+      if (!editable) return;
+      editedRecord = editable.record;
+    }
+
     // Parse submission data
     const responses = [];
-    const airtableFields = {};
+    const fieldErrors = {};
 
-    // Process each form field
+    // Process each form field; multipart values arrive as strings and are
+    // coerced to the field's type (numbers, ratings, checkboxes...)
     for (const field of form.fields) {
-      const fieldValue = submissionData[field.airtableFieldId];
+      // Attachments come from the uploaded files, not from text values
+      if (field.airtableFieldType === 'attachment') continue;
       
-      if (fieldValue !== undefined && fieldValue !== '') {
-        // Handle different field types
-        let processedValue = fieldValue;
-        
-        if (field.airtableFieldType === 'multipleSelect' && typeof fieldValue === 'string') {
-          processedValue = fieldValue.split(',').map(v => v.trim());
-        }
-        
+      const { value: processedValue, error } = coerceFieldValue(
+        field,
+        submissionData[field.airtableFieldId],
+        { timeZone: submissionData.timeZone }
+      );
+      
+      if (error) {
+        fieldErrors[field.airtableFieldId] = error;
+        continue;
+      }
+      
+      if (processedValue !== null) {
         responses.push({
           fieldId: field.airtableFieldId,
           fieldLabel: field.label,
           fieldType: field.airtableFieldType,
           value: processedValue
         });
-        
-        airtableFields[field.airtableFieldName] = processedValue;
       }
     }
 
-    // Handle file uploads
-    if (files.length > 0) {
-      // Group files by field
-      const filesByField = {};
-      files.forEach(file => {
-        const fieldName = file.fieldname;
-        if (!filesByField[fieldName]) {
-          filesByField[fieldName] = [];
-        }
-        filesByField[fieldName].push(file);
-      });
+    // Attachments arrive as IDs of finished resumable uploads, or (from API
+    // clients) as multipart files; multipart files are only stored once the
+    // submission has passed validation
+    const filesByField = {};
+    files.forEach(file => {
+      const field = form.fields.find(f => f.airtableFieldId === file.fieldname);
+      if (field && field.airtableFieldType === 'attachment') {
+        filesByField[file.fieldname] = [...(filesByField[file.fieldname] || []), file];
+      }
+    });
 
-      // Process file fields
-      for (const [fieldName, fieldFiles] of Object.entries(filesByField)) {
-        const field = form.fields.find(f => f.airtableFieldId === fieldName);
-        if (field && field.airtableFieldType === 'attachment') {
-          // For demo purposes, we'll create a placeholder for file upload
-          // In a real app, you'd upload to a file storage service
-          const attachments = fieldFiles.map(file => ({
-            url: `https://example.com/uploads/${file.originalname}`,
-            filename: file.originalname
-          }));
-          
-          airtableFields[field.airtableFieldName] = attachments;
-          
-          const responseIndex = responses.findIndex(r => r.fieldId === fieldName);
-          if (responseIndex >= 0) {
-            responses[responseIndex].files = fieldFiles.map(file => ({
-              originalName: file.originalname,
-              filename: file.originalname,
-              size: file.size,
-              mimetype: file.mimetype,
-              url: `https://example.com/uploads/${file.originalname}`
-            }));
-          } else {
-            responses.push({
-              fieldId: fieldName,
-              fieldLabel: field.label,
-              fieldType: field.airtableFieldType,
-              value: attachments,
-              files: fieldFiles.map(file => ({
-                originalName: file.originalname,
-                filename: file.originalname,
-                size: file.size,
-                mimetype: file.mimetype,
-                url: `https://example.com/uploads/${file.originalname}`
-              }))
-            });
-          }
-        }
+    const uploadsByField = {};
+    for (const field of form.fields.filter(f => f.airtableFieldType === 'attachment')) {
+      const fieldId = field.airtableFieldId;
+      const fieldFiles = filesByField[fieldId] || [];
+      const uploads = await findCompletedUploads(form, fieldId, submissionData[fieldId]);
+      
+      if (!uploads) {
+        fieldErrors[fieldId] = `${field.label} has a file that hasn't finished uploading`;
+        continue;
+      }
+      if (fieldFiles.length + uploads.length === 0) continue;
+      
+      const error = getAttachmentError(field, [
+        ...fieldFiles.map(file => ({ name: file.originalname, size: file.size, type: file.mimetype })),
+        ...uploads.map(upload => ({ name: upload.originalName, size: upload.size, type: upload.mimetype }))
+      ]);
+      
+      if (error) {
+        fieldErrors[fieldId] = error;
+        continue;
       }
+      
+      uploadsByField[fieldId] = uploads;
+      responses.push({
+        fieldId,
+        fieldLabel: field.label,
+        fieldType: field.airtableFieldType,
+        value: [...fieldFiles.map(file => file.originalname), ...uploads.map(upload => upload.originalName)]
+      });
     }
 
+    // Re-check conditional logic: answers to hidden fields are not stored or synced
+    const visibleFields = getVisibleFields(form.fields, responses, { timeZone: submissionData.timeZone });
+    const visibleIds = new Set(visibleFields.map(field => field.airtableFieldId));
+    
+    const visibleResponses = responses.filter(r => visibleIds.has(r.fieldId));
+    
+    // Reject answers that could not be coerced (only for fields still shown)
+    const invalidFields = Object.keys(fieldErrors).filter(fieldId => visibleIds.has(fieldId));
+    if (invalidFields.length > 0) {
+      return res.status(400).json({
+        message: fieldErrors[invalidFields[0]],
+        errors: invalidFields.reduce((errors, fieldId) => ({ ...errors, [fieldId]: fieldErrors[fieldId] }), {})
+      });
+    }
+    
     // Validate required fields
-    const visibleFields = form.fields.filter(field => shouldShowField(field, responses));
     const requiredFields = visibleFields.filter(field => field.required);
     
     for (const field of requiredFields) {
-      const hasResponse = responses.some(r => r.fieldId === field.airtableFieldId && r.value);
-      if (!hasResponse) {
+      const hasResponse = visibleResponses.some(r => r.fieldId === field.airtableFieldId && !isEmptyValue(r.value));
+      // Files already on an edited record count; new ones are added to them
+      const hasRecordFiles = field.airtableFieldType === 'attachment' &&
+        (editedRecord?.fields[field.airtableFieldId] || []).length > 0;
+      if (!hasResponse && !hasRecordFiles) {
         return res.status(400).json({ 
           message: `Field "${field.label}" is required`,
           missingField: field.airtableFieldId
@@ -207,72 +367,112 @@ router.post('/submit/:formId', optionalAuth, upload.any(), async (req, res) => {
       }
     }
 
-    // Create response record
-    const responseRecord = new Response({
-      formId: form._id,
-      airtableBaseId: form.airtableBaseId,
-      airtableTableId: form.airtableTableId,
-      responses,
-      submittedBy: {
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
-        referrer: req.get('Referrer'),
-        email: submissionData.email,
-        name: submissionData.name
-      },
-      status: 'pending',
-      metadata: {
-        timeToComplete: parseInt(submissionData.timeToComplete) || 0,
-        deviceType: req.get('User-Agent')?.includes('Mobile') ? 'mobile' : 'desktop',
-        browserInfo: req.get('User-Agent')
+    // Linked records must be choices the picker would offer (same view and formula)
+    const linkErrors = {};
+    for (const field of visibleFields.filter(f => f.airtableFieldType === 'multipleRecordLinks')) {
+      const response = visibleResponses.find(r => r.fieldId === field.airtableFieldId);
+      if (!response) continue;
+
+      try {
+        const allowed = await findAllowedRecordIds(formOwner, form, field, response.value);
+        if (response.value.some(recordId => !allowed.has(recordId))) {
+          linkErrors[field.airtableFieldId] = `${field.label} contains a record that can't be selected`;
+        }
+      } catch (linkError) {
+        // Keep the submission; Airtable validates the links again when the record is created
+        console.error('Linked record check error:', linkError.details || linkError.message);
       }
-    });
+    }
 
-    await responseRecord.save();
+    if (Object.keys(linkErrors).length > 0) {
+      return res.status(400).json({
+        message: Object.values(linkErrors)[0],
+        errors: linkErrors
+      });
+    }
 
-    // Try to submit to Airtable
-    try {
-      const airtableRecord = await makeAirtableRequest(
-        formOwner.airtableAccessToken,
-        `/${form.airtableBaseId}/${form.airtableTableId}`,
-        'POST',
-        {
-          fields: airtableFields,
-          typecast: true
-        }
-      );
+    // Claim the resumable uploads so no other submission can reuse their files
+    const attachmentResponses = visibleResponses.filter(r => uploadsByField[r.fieldId]);
+    const usedUploads = attachmentResponses.flatMap(response => uploadsByField[response.fieldId]);
+    if (!(await Upload.claimAll(usedUploads))) {
+      return res.status(409).json({ message: 'A file in this submission has already been submitted' });
+    }
 
-      // Mark as synced
-      await responseRecord.markAsSynced(airtableRecord.id);
+    // The claims are released if the response can't be stored
+    let responseRecord;
+    try {
+      // Store multipart files next to the resumable uploads; all of them are
+      // pushed to Airtable once the record exists
+      for (const response of attachmentResponses) {
+        const savedFiles = await Promise.all(
+          (filesByField[response.fieldId] || []).map(file => saveUpload(file, form._id.toString()))
+        );
       
-      // Increment form submission count
-      await form.incrementSubmissions();
+        response.files = [
+          ...savedFiles,
+          ...uploadsByField[response.fieldId].map(upload => ({
+            originalName: upload.originalName,
+            filename: upload.filename,
+            size: upload.size,
+            mimetype: upload.mimetype,
+            key: upload.key,
+            url: getSignedUrl(upload.key)
+          }))
+        ];
+      }
 
-      res.json({
-        success: true,
-        message: form.settings.successMessage || 'Thank you for your submission!',
-        responseId: responseRecord._id,
-        redirectUrl: form.settings.redirectUrl
+      // Create response record
+      responseRecord = new Response({
+        formId: form._id,
+        airtableBaseId: form.airtableBaseId,
+        airtableTableId: form.airtableTableId,
+        responses: visibleResponses,
+        edit: editedRecord ? getEditSnapshot(editedRecord, visibleFields, visibleResponses) : undefined,
+        submittedBy: {
+          ip: req.ip,
+          userAgent: req.get('User-Agent'),
+          referrer: req.get('Referrer'),
+          email: submissionData.email,
+          name: submissionData.name
+        },
+        status: 'pending',
+        syncStatus: {
+          nextAttemptAt: new Date() // Due right away
+        },
+        metadata: {
+          timeToComplete: parseInt(submissionData.timeToComplete) || 0,
+          deviceType: req.get('User-Agent')?.includes('Mobile') ? 'mobile' : 'desktop',
+          browserInfo: req.get('User-Agent')
+        }
       });
 
-    } catch (airtableError) {
-      console.error('Airtable submission error:', airtableError.response?.data || airtableError.message);
-      
-      // Update response with error
-      await responseRecord.addError(
-        'Failed to sync with Airtable',
-        airtableError.response?.data || airtableError.message
-      );
+      await responseRecord.save();
+    } catch (error) {
+      await Upload.releaseAll(usedUploads);
+      throw error;
+    }
 
-      // Still return success to user, but log the sync issue
-      res.json({
-        success: true,
-        message: form.settings.successMessage || 'Thank you for your submission!',
-        responseId: responseRecord._id,
-        note: 'Response saved locally, will sync later'
-      });
+    // The stored files now belong to the response
+    if (usedUploads.length > 0) {
+      await Upload.deleteMany({ _id: { $in: usedUploads.map(upload => upload._id) } });
     }
 
+    // Queue the response for Airtable; the sync worker creates records in
+    // batches, so bursts of submissions stay under the rate limit
+    requestSync();
+
+    // Increment form submission count (edits of a record don't count)
+    if (!editedRecord) {
+      await form.incrementSubmissions();
+    }
+
+    res.json({
+      success: true,
+      message: form.settings.successMessage || 'Thank you for your submission!',
+      responseId: responseRecord._id,
+      redirectUrl: form.settings.redirectUrl
+    });
+
   } catch (error) {
     console.error('Submit response error:', error);
     res.status(500).json({ 
@@ -282,13 +482,169 @@ router.post('/submit/:formId', optionalAuth, upload.any(), async (req, res) => {
   }
 });
 
+// @route   POST /api/responses/uploads/:formId
+// @desc    Start a resumable upload for an attachment field
+// @access  Public
+router.post('/uploads/:formId', async (req, res) => {
+  try {
+    const { fieldId, filename, mimetype } = req.body;
+    const size = Number(req.body.size);
+
+    const form = await findAvailableForm(req.params.formId, res);
+    if (!form) return;
+
+    const field = form.fields.find(f => f.airtableFieldId === fieldId);
+    if (!field || field.airtableFieldType !== 'attachment') {
+      return res.status(400).json({ message: 'Field does not accept files' });
+    }
+
+    if (!filename || !Number.isInteger(size) || size < 0) {
+      return res.status(400).json({ message: 'A file name and size are required' });
+    }
+
+    // Check type and size up front (the file count is checked on submit)
+    const error = getAttachmentError(field, [{ name: filename, size, type: mimetype }]);
+    if (error) {
+      return res.status(400).json({ message: error, errors: { [fieldId]: error } });
+    }
+
+    const { key, filename: storedFilename } = createFileKey(form._id.toString(), filename);
+    await getStorage().save(key, Buffer.alloc(0));
+
+    const { upload, token } = await Upload.start({
+      formId: form._id,
+      fieldId,
+      key,
+      originalName: filename,
+      filename: storedFilename,
+      mimetype,
+      size,
+      status: size === 0 ? 'complete' : 'uploading'
+    });
+
+    // The token is only sent once; later requests must present it
+    res.status(201).json({
+      ...upload.toStatus(),
+      uploadToken: token,
+      chunkSize: UPLOAD_CHUNK_SIZE
+    });
+
+  } catch (error) {
+    console.error('Create upload error:', error);
+    res.status(500).json({
+      message: 'Failed to start upload',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/responses/uploads/:formId/:uploadId
+// @desc    Get how much of a resumable upload has been received (to resume it; Upload-Token header)
+// @access  Public
+router.get('/uploads/:formId/:uploadId', async (req, res) => {
+  try {
+    const { formId, uploadId } = req.params;
+    if (!mongoose.isValidObjectId(formId) || !mongoose.isValidObjectId(uploadId)) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    const upload = await Upload.findByToken(formId, uploadId, req.get('Upload-Token'));
+    if (!upload) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    res.json({
+      ...upload.toStatus(),
+      chunkSize: UPLOAD_CHUNK_SIZE
+    });
+
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch upload',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/responses/uploads/:formId/:uploadId
+// @desc    Append a chunk to a resumable upload (Upload-Token and Upload-Offset headers, raw body)
+// @access  Public
+router.patch(
+  '/uploads/:formId/:uploadId',
+  uploadChunkLimiter,
+  express.raw({ type: 'application/offset+octet-stream', limit: UPLOAD_CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      const { formId, uploadId } = req.params;
+      const offset = Number(req.get('Upload-Offset'));
+
+      if (!mongoose.isValidObjectId(formId) || !mongoose.isValidObjectId(uploadId)) {
+        return res.status(404).json({ message: 'Upload not found' });
+      }
+
+      const upload = await Upload.findByToken(formId, uploadId, req.get('Upload-Token'));
+      if (!upload) {
+        return res.status(404).json({ message: 'Upload not found' });
+      }
+
+      // The declared size was checked against the field's rules when the
+      // upload started; check again in case the form changed since
+      const form = await findAvailableForm(formId, res);
+      if (!form) return;
+
+      const field = form.fields.find(f => f.airtableFieldId === upload.fieldId);
+      if (!field || upload.size > getAttachmentRules(field).maxFileSize) {
+        return res.status(413).json({ message: 'The file is larger than this field accepts' });
+      }
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(415).json({ message: 'Send chunks as application/offset+octet-stream' });
+      }
+
+      // The client must continue from where the server is; a mismatch
+      // (e.g. after a dropped response) tells it where to resume
+      if (offset !== upload.offset) {
+        return res.status(409).json({ message: 'Upload offset mismatch', ...upload.toStatus() });
+      }
+
+      // Never store more than the declared size
+      if (offset + req.body.length > upload.size) {
+        return res.status(400).json({ message: 'Chunk exceeds the file size' });
+      }
+
+      await getStorage().writeAt(upload.key, req.body, offset);
+
+      const updated = await Upload.findOneAndUpdate(
+        { _id: upload._id },
+        { $max: { offset: offset + req.body.length } },
+        { new: true }
+      );
+
+      if (updated.offset === updated.size && updated.status !== 'complete') {
+        updated.status = 'complete';
+        await updated.save();
+      }
+
+      res.json(updated.toStatus());
+
+    } catch (error) {
+      console.error('Upload chunk error:', error);
+      res.status(500).json({
+        message: 'Failed to store chunk',
+        error: error.message
+      });
+    }
+  }
+);
+
 // @route   POST /api/responses/validate/:formId
-// @desc    Validate form responses (for real-time validation)
+// @desc    Validate form responses (the viewer evaluates visibility locally; kept for API clients)
 // @access  Public
 router.post('/validate/:formId', async (req, res) => {
   try {
     const { formId } = req.params;
-    const { responses } = req.body;
+    const { responses, timeZone } = req.body;
 
     const form = await Form.findById(formId);
     if (!form) {
@@ -296,20 +652,17 @@ router.post('/validate/:formId', async (req, res) => {
     }
 
     const errors = {};
-    const visibleFields = [];
+    const visibleFields = getVisibleFields(form.fields, responses || [], { timeZone });
 
-    // Check which fields should be visible
-    for (const field of form.fields) {
-      if (shouldShowField(field, responses)) {
-        visibleFields.push(field);
-        
-        // Check required validation
-        if (field.required) {
-          const response = responses.find(r => r.fieldId === field.airtableFieldId);
-          if (!response || !response.value || response.value === '') {
-            errors[field.airtableFieldId] = `${field.label} is required`;
-          }
-        }
+    // Check type and required validation on visible fields
+    for (const field of visibleFields) {
+      const response = (responses || []).find(r => r.fieldId === field.airtableFieldId);
+      const { value, error } = coerceFieldValue(field, response?.value, { timeZone });
+      
+      if (error) {
+        errors[field.airtableFieldId] = error;
+      } else if (field.required && isEmptyValue(value)) {
+        errors[field.airtableFieldId] = `${field.label} is required`;
       }
     }
 
@@ -335,7 +688,7 @@ router.post('/validate/:formId', async (req, res) => {
 
 // @route   GET /api/responses/:id
 // @desc    Get a specific response
-// @access  Private (form owner only)
+// @access  Private (workspace analysts)
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const response = await Response.findById(req.params.id).populate('formId');
@@ -344,12 +697,13 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Response not found' });
     }
 
-    // Check if user owns the form
-    if (response.formId.userId.toString() !== req.user.userId) {
+    // Check the user's role in the form's workspace
+    const role = response.formId && await getFormRole(response.formId, req.user.userId);
+    if (!hasRole(role, 'analyst')) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    res.json({ response });
+    res.json({ response: withSignedFileUrls(response) });
 
   } catch (error) {
     console.error('Get response error:', error);
@@ -362,17 +716,20 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
 // @route   POST /api/responses/:id/retry-sync
 // @desc    Retry syncing a failed response to Airtable
-// @access  Private (form owner only)
+// @access  Private (workspace editors)
 router.post('/:id/retry-sync', authenticateToken, async (req, res) => {
+  let response = null;
+
   try {
-    const response = await Response.findById(req.params.id).populate('formId');
+    response = await Response.findById(req.params.id).populate('formId');
     
     if (!response) {
       return res.status(404).json({ message: 'Response not found' });
     }
 
-    // Check if user owns the form
-    if (response.formId.userId.toString() !== req.user.userId) {
+    // Check the user's role in the form's workspace
+    const role = response.formId && await getFormRole(response.formId, req.user.userId);
+    if (!hasRole(role, 'editor')) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -386,33 +743,33 @@ router.post('/:id/retry-sync', authenticateToken, async (req, res) => {
       return res.status(500).json({ message: 'Form owner access token not found' });
     }
 
-    // Prepare Airtable fields
-    const airtableFields = {};
-    response.responses.forEach(resp => {
-      const field = response.formId.fields.find(f => f.airtableFieldId === resp.fieldId);
-      if (field) {
-        airtableFields[field.airtableFieldName] = resp.value;
-      }
-    });
-
-    // Try to submit to Airtable
-    const airtableRecord = await makeAirtableRequest(
-      formOwner.airtableAccessToken,
-      `/${response.airtableBaseId}/${response.airtableTableId}`,
-      'POST',
-      {
-        fields: airtableFields,
-        typecast: true
-      }
-    );
-
-    // Mark as synced
-    await response.markAsSynced(airtableRecord.id);
+    // Make sure the sync worker isn't syncing the same response right now
+    const form = response.formId;
+    const claimed = await Response.claimForSync(response._id, SYNC_LOCK_DURATION);
+    if (!claimed) {
+      response = null;
+      return res.status(409).json({ message: 'Response is already being synced, try again shortly' });
+    }
+    response = claimed;
+
+    // A manual retry starts a fresh round of attempts, even for a dead response
+    await response.resetSyncAttempts();
+
+    // Creates the record unless an earlier attempt did, then uploads only
+    // the attachments that have not reached Airtable yet
+    const failedFiles = await syncResponse(formOwner, response, form);
+    if (failedFiles.length > 0) {
+      await response.updateAttachmentAttempt(failedFiles);
+      return res.status(502).json({
+        message: 'Some attachments failed to upload',
+        failedFiles: failedFiles.map(file => ({ filename: file.originalName, error: file.upload.error }))
+      });
+    }
 
     res.json({
       success: true,
       message: 'Response synced successfully',
-      airtableRecordId: airtableRecord.id
+      airtableRecordId: response.airtableRecordId
     });
 
   } catch (error) {
@@ -420,19 +777,21 @@ router.post('/:id/retry-sync', authenticateToken, async (req, res) => {
     
     // Update sync attempt
     if (response) {
-      await response.updateSyncAttempt(error);
+      await response.updateSyncAttempt(error).catch(saveError =>
+        console.error('Failed to record sync attempt:', saveError.message)
+      );
     }
 
     res.status(500).json({ 
       message: 'Failed to sync response',
-      error: error.response?.data?.error || error.message
+      error: error.message
     });
   }
 });
 
 // @route   DELETE /api/responses/:id
 // @desc    Delete a response
-// @access  Private (form owner only)
+// @access  Private (workspace editors)
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const response = await Response.findById(req.params.id).populate('formId');
@@ -441,12 +800,14 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Response not found' });
     }
 
-    // Check if user owns the form
-    if (response.formId.userId.toString() !== req.user.userId) {
+    // Check the user's role in the form's workspace
+    const role = response.formId && await getFormRole(response.formId, req.user.userId);
+    if (!hasRole(role, 'editor')) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
     await Response.findByIdAndDelete(req.params.id);
+    await removeResponseFiles(response);
 
     res.json({ message: 'Response deleted successfully' });
 
@@ -461,22 +822,12 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
 // @route   GET /api/responses/export/:formId
 // @desc    Export form responses as CSV/JSON
-// @access  Private (form owner only)
-router.get('/export/:formId', authenticateToken, async (req, res) => {
+// @access  Private (workspace analysts)
+router.get('/export/:formId', authenticateToken, authorizeForm('analyst', 'formId'), async (req, res) => {
   try {
-    const { formId } = req.params;
+    const form = req.resource;
     const { format = 'csv', startDate, endDate } = req.query;
 
-    const form = await Form.findById(formId);
-    if (!form) {
-      return res.status(404).json({ message: 'Form not found' });
-    }
-
-    // Check ownership
-    if (form.userId.toString() !== req.user.userId) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
     // Build query
     const query = { formId: form._id };
     if (startDate && endDate) {
@@ -489,7 +840,7 @@ router.get('/export/:formId', authenticateToken, async (req, res) => {
     const responses = await Response.find(query).sort({ createdAt: -1 });
 
     if (format === 'json') {
-      res.json({ responses });
+      res.json({ responses: responses.map(withSignedFileUrls) });
     } else {
       // CSV format
       const csvHeader = ['Submission Date', 'Status'];
@@ -507,12 +858,12 @@ router.get('/export/:formId', authenticateToken, async (req, res) => {
         
         form.fields.forEach(field => {
           const responseData = response.responses.find(r => r.fieldId === field.airtableFieldId);
-          const value = responseData ? responseData.value : '';
+          // Attachments are listed with links that work for FILE_URL_TTL from the export
+          const value = responseData?.files?.length > 0
+            ? responseData.files.map(file => file.key ? `${file.originalName} (${getSignedUrl(file.key)})` : file.originalName).join(', ')
+            : formatFieldValue(field, responseData?.value);
           // Escape CSV values
-          const escapedValue = typeof value === 'string' 
-            ? `"${value.replace(/"/g, '""')}"` 
-            : value;
-          row.push(escapedValue);
+          row.push(`"${value.replace(/"/g, '""')}"`);
         });
         
         csvRows.push(row.join(','));
@@ -0,0 +1,395 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Form = require('../models/Form');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const { INVITABLE_ROLES, isWorkspaceRole } = require('airtable-form-builder-shared');
+const { authenticateToken, authorizeWorkspace } = require('../middleware/auth');
+const { sendInviteEmail } = require('../utils/mailer');
+
+const router = express.Router();
+
+// Helper function to build the link an invite is accepted through
+const getInviteUrl = (token) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${clientUrl}/invites/${token}`;
+};
+
+// @route   GET /api/workspaces
+// @desc    List the workspaces the user is a member of
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Everyone has a personal workspace, even if they never opened one
+    await Workspace.findOrCreatePersonal(user);
+    const workspaces = await Workspace.findForUser(req.user.userId);
+
+    res.json({
+      workspaces: workspaces.map(workspace => workspace.toSummary(req.user.userId))
+    });
+
+  } catch (error) {
+    console.error('💥 Get workspaces error:', error);
+    res.status(500).json({
+      message: 'Failed to get workspaces',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/workspaces
+// @desc    Create a workspace, owned by the user
+// @access  Private
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const name = req.body.name && String(req.body.name).trim();
+    if (!name) {
+      return res.status(400).json({ message: 'Workspace name is required' });
+    }
+
+    const workspace = await Workspace.create({
+      name,
+      members: [{ userId: req.user.userId, role: 'owner' }]
+    });
+
+    console.log('✅ Workspace created:', workspace._id);
+
+    res.status(201).json({
+      success: true,
+      workspace: workspace.toSummary(req.user.userId),
+      message: 'Workspace created successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Create workspace error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Invalid workspace data',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to create workspace',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/workspaces/invites/:token
+// @desc    Preview an invite before accepting it
+// @access  Public
+router.get('/invites/:token', async (req, res) => {
+  try {
+    const workspace = await Workspace.findByInviteToken(req.params.token);
+    const invite = workspace && workspace.findInvite(req.params.token);
+
+    if (!invite) {
+      return res.status(404).json({ message: 'This invite is invalid or has expired' });
+    }
+
+    res.json({
+      invite: {
+        workspaceName: workspace.name,
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('💥 Get invite error:', error);
+    res.status(500).json({
+      message: 'Failed to get invite',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/workspaces/invites/:token/accept
+// @desc    Join a workspace through an invite sent to the user's email address
+// @access  Private
+router.post('/invites/:token/accept', authenticateToken, async (req, res) => {
+  try {
+    const workspace = await Workspace.findByInviteToken(req.params.token);
+    const invite = workspace && workspace.findInvite(req.params.token);
+
+    if (!invite) {
+      return res.status(404).json({ message: 'This invite is invalid or has expired' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.email || user.email.toLowerCase() !== invite.email) {
+      return res.status(403).json({
+        message: `This invite was sent to ${invite.email}. Sign in with that account to accept it.`
+      });
+    }
+
+    // Accepting again (or as an existing member) keeps the current role
+    if (!workspace.getRole(user._id)) {
+      workspace.members.push({ userId: user._id, role: invite.role });
+    }
+    workspace.invites.pull(invite._id);
+    await workspace.save();
+
+    console.log('✅ Invite accepted:', workspace._id, user._id);
+
+    res.json({
+      success: true,
+      workspace: workspace.toSummary(user._id),
+      message: `You joined ${workspace.name}`
+    });
+
+  } catch (error) {
+    console.error('💥 Accept invite error:', error);
+    res.status(500).json({
+      message: 'Failed to accept invite',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/workspaces/:id
+// @desc    Rename a workspace
+// @access  Private (workspace owners)
+router.put('/:id', authenticateToken, authorizeWorkspace('owner'), async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const name = req.body.name && String(req.body.name).trim();
+    if (!name) {
+      return res.status(400).json({ message: 'Workspace name is required' });
+    }
+
+    workspace.name = name;
+    await workspace.save();
+
+    res.json({
+      success: true,
+      workspace: workspace.toSummary(req.user.userId),
+      message: 'Workspace updated successfully'
+    });
+
+  } catch (error) {
+    console.error('💥 Update workspace error:', error);
+    res.status(500).json({
+      message: 'Failed to update workspace',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/workspaces/:id/members
+// @desc    List a workspace's members (and, for owners, its open invites)
+// @access  Private (workspace members)
+router.get('/:id/members', authenticateToken, authorizeWorkspace('viewer'), async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const users = await User.find(
+      { _id: { $in: workspace.members.map(member => member.userId) } },
+      'email profile.name'
+    );
+
+    const members = workspace.members.map(member => {
+      const user = users.find(u => u._id.equals(member.userId));
+      return {
+        userId: member.userId,
+        email: user?.email,
+        name: user?.profile?.name,
+        role: member.role,
+        joinedAt: member.joinedAt
+      };
+    });
+
+    const invites = req.workspaceRole === 'owner'
+      ? workspace.invites
+        .filter(invite => invite.expiresAt > new Date())
+        .map(invite => ({
+          id: invite._id,
+          email: invite.email,
+          role: invite.role,
+          expiresAt: invite.expiresAt
+        }))
+      : [];
+
+    res.json({ members, invites });
+
+  } catch (error) {
+    console.error('💥 Get members error:', error);
+    res.status(500).json({
+      message: 'Failed to get members',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/workspaces/:id/invites
+// @desc    Invite someone by email; also returns the link, to share it another way
+// @access  Private (workspace owners)
+router.post('/:id/invites', authenticateToken, authorizeWorkspace('owner'), async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email).trim())) {
+      return res.status(400).json({ message: 'A valid email address is required' });
+    }
+    if (!INVITABLE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${INVITABLE_ROLES.join(', ')}` });
+    }
+
+    const { token, invite } = await workspace.invite(String(email), role, req.user.userId);
+    const url = getInviteUrl(token);
+
+    console.log('✅ Invite created:', workspace._id, invite.email);
+
+    // The invite stands even if the email can't be sent; the owner still gets the link
+    let emailSent = true;
+    try {
+      await sendInviteEmail(invite.email, workspace.name, invite.role, url);
+    } catch (error) {
+      console.error('❌ Invite email error:', error.message);
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      success: true,
+      invite: {
+        id: invite._id,
+        email: invite.email,
+        role: invite.role,
+        expiresAt: invite.expiresAt
+      },
+      url,
+      emailSent,
+      message: emailSent ? 'Invite sent' : 'Invite created, but the email could not be sent'
+    });
+
+  } catch (error) {
+    console.error('💥 Create invite error:', error);
+    res.status(500).json({
+      message: 'Failed to create invite',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/invites/:inviteId
+// @desc    Cancel an invite
+// @access  Private (workspace owners)
+router.delete('/:id/invites/:inviteId', authenticateToken, authorizeWorkspace('owner'), async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const invite = mongoose.isValidObjectId(req.params.inviteId) && workspace.invites.id(req.params.inviteId);
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+
+    workspace.invites.pull(invite._id);
+    await workspace.save();
+
+    res.json({ message: 'Invite cancelled' });
+
+  } catch (error) {
+    console.error('💥 Cancel invite error:', error);
+    res.status(500).json({
+      message: 'Failed to cancel invite',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/workspaces/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (workspace owners)
+router.put('/:id/members/:userId', authenticateToken, authorizeWorkspace('owner'), async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!isWorkspaceRole(role)) {
+      return res.status(400).json({ message: 'Invalid role' });
+    }
+
+    const member = workspace.members.find(m => m.userId.toString() === userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && !workspace.findOtherOwner(userId)) {
+      return res.status(400).json({ message: 'A workspace needs at least one owner' });
+    }
+
+    member.role = role;
+    await workspace.save();
+
+    res.json({ message: 'Member role updated' });
+
+  } catch (error) {
+    console.error('💥 Update member error:', error);
+    res.status(500).json({
+      message: 'Failed to update member',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @desc    Remove a member (owners can remove anyone, members can leave)
+// @access  Private (workspace members)
+router.delete('/:id/members/:userId', authenticateToken, authorizeWorkspace('viewer'), async (req, res) => {
+  try {
+    const workspace = req.workspace;
+    const { userId } = req.params;
+    const isSelf = userId === req.user.userId;
+
+    if (!isSelf && req.workspaceRole !== 'owner') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const member = workspace.members.find(m => m.userId.toString() === userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (workspace.personalFor && workspace.personalFor.toString() === userId) {
+      return res.status(400).json({ message: 'You can\'t leave your personal workspace' });
+    }
+    if (member.role === 'owner' && !workspace.findOtherOwner(userId)) {
+      return res.status(400).json({ message: 'A workspace needs at least one owner' });
+    }
+
+    // The member's forms stay in the workspace with the owner removing them
+    // (or, when they leave, another owner), unpublished until that owner
+    // republishes them with their own Airtable access
+    const newOwnerId = isSelf ? workspace.findOtherOwner(userId).userId : req.user.userId;
+    const { modifiedCount } = await Form.reassignInWorkspace(workspace._id, userId, newOwnerId);
+
+    workspace.members = workspace.members.filter(m => m.userId.toString() !== userId);
+    await workspace.save();
+
+    const message = isSelf ? 'You left the workspace' : 'Member removed';
+    res.json({
+      message: modifiedCount > 0
+        ? `${message}; ${modifiedCount} form${modifiedCount === 1 ? ' was' : 's were'} handed over to ${isSelf ? 'an owner' : 'you'} and unpublished`
+        : message,
+      reassignedForms: modifiedCount
+    });
+
+  } catch (error) {
+    console.error('💥 Remove member error:', error);
+    res.status(500).json({
+      message: 'Failed to remove member',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
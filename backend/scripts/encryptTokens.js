@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+const { getCurrentKeyId, getKeyId, encrypt, decrypt } = require('../utils/tokenEncryption');
+
+// Encrypts stored Airtable tokens in place.
+//
+//   npm run tokens:migrate  - encrypt tokens still stored as plaintext
+//   npm run tokens:rotate   - also re-encrypt tokens under older keys with
+//                             the current TOKEN_ENCRYPTION_KEY_ID
+//
+// Works on the raw documents, and only writes a token if it hasn't changed
+// since it was read, so it is safe to run while the server is up.
+
+const TOKEN_FIELDS = ['airtableAccessToken', 'airtableRefreshToken'];
+
+const run = async ({ rotate }) => {
+  const currentKeyId = getCurrentKeyId();
+  const counts = { users: 0, encrypted: 0, reencrypted: 0, skipped: 0 };
+
+  const cursor = User.collection.find({}, { projection: Object.fromEntries(TOKEN_FIELDS.map(field => [field, 1])) });
+  for await (const user of cursor) {
+    counts.users += 1;
+
+    for (const field of TOKEN_FIELDS) {
+      const stored = user[field];
+      const keyId = getKeyId(stored);
+      if (!stored || keyId === currentKeyId || (keyId && !rotate)) continue;
+
+      const result = await User.collection.updateOne(
+        { _id: user._id, [field]: stored },
+        { $set: { [field]: encrypt(decrypt(stored, field), field) } }
+      );
+
+      if (result.modifiedCount === 0) {
+        counts.skipped += 1; // Changed meanwhile, and so already encrypted with the current key
+      } else if (keyId) {
+        counts.reencrypted += 1;
+      } else {
+        counts.encrypted += 1;
+      }
+    }
+  }
+
+  console.log(`🔐 Checked ${counts.users} users: ${counts.encrypted} tokens encrypted, ${counts.reencrypted} re-encrypted with key "${currentKeyId}", ${counts.skipped} skipped`);
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/airtable-form-builder')
+  .then(() => run({ rotate: process.argv.includes('--rotate') }))
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('💥 Token encryption failed:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const User = require('../models/User');
+
+// Brings the users collection's indexes in line with the User model.
+//
+//   npm run users:sync-indexes
+//
+// Run once when upgrading to local (email/password) accounts: databases
+// created earlier have a unique index on airtableUserId that allows only
+// one user without it. The index is rebuilt as a sparse one.
+
+const run = async () => {
+  const dropped = await User.syncIndexes();
+  console.log(dropped.length > 0
+    ? `🗂️ Rebuilt user indexes; dropped ${dropped.join(', ')}`
+    : '🗂️ User indexes are up to date');
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/airtable-form-builder')
+  .then(run)
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('💥 Index sync failed:', error.message);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
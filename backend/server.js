@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 const session = require('express-session');
+const MongoStore = require('connect-mongo');
 const passport = require('passport');
 const dotenv = require('dotenv');
 
@@ -16,6 +17,10 @@ const authRoutes = require('./routes/auth');
 const airtableRoutes = require('./routes/airtable');
 const formRoutes = require('./routes/forms');
 const responseRoutes = require('./routes/responses');
+const fileRoutes = require('./routes/files');
+const workspaceRoutes = require('./routes/workspaces');
+const { removeStaleUploads } = require('./utils/uploads');
+const { startSyncWorker } = require('./workers/syncWorker');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -32,8 +37,13 @@ const limiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
   standardHeaders: true,
   legacyHeaders: false,
-  // Skip rate limiting for localhost in development
+  // Skip rate limiting for localhost in development, and for upload chunks
+  // (a large file takes many requests). Chunks need the upload's secret token
+  // and can't exceed its declared size; routes/responses.js limits them.
   skip: (req) => {
+    if (req.method === 'PATCH' && req.path.startsWith('/api/responses/uploads/')) {
+      return true;
+    }
     return process.env.NODE_ENV === 'development' && req.ip === '127.0.0.1';
   }
 });
@@ -50,11 +60,16 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
-// Session configuration
+// Session configuration (holds the OAuth state; stored in Mongo so a
+// restart doesn't break sign-ins in progress)
 app.use(session({
   secret: process.env.SESSION_SECRET || 'your-secret-key',
   resave: false,
   saveUninitialized: false,
+  store: MongoStore.create({
+    clientPromise: mongoose.connection.asPromise().then(connection => connection.getClient()),
+    collectionName: 'httpSessions' // `sessions` holds sign-in sessions (models/Session)
+  }),
   cookie: {
     secure: false, // Set to false for localhost
     httpOnly: true,
@@ -71,7 +86,17 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/airtable-
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+
+  // Retry responses that failed to reach Airtable
+  startSyncWorker();
+
+  // Clean up abandoned resumable uploads every hour
+  setInterval(() => {
+    removeStaleUploads().catch(err => console.error('❌ Stale upload cleanup error:', err));
+  }, 60 * 60 * 1000);
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
@@ -79,6 +104,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/airtable', airtableRoutes);
 app.use('/api/forms', formRoutes);
 app.use('/api/responses', responseRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createLocalDiskStorage } = require('./localDisk');
+
+// Pluggable storage for form uploads. A driver implements save(key, buffer),
+// saveFile(key, path), writeAt(key, buffer, position), exists(key), read(key),
+// createReadStream(key) and remove(key); pick one with STORAGE_DRIVER (only "local" for now).
+const drivers = {
+  local: () => createLocalDiskStorage({
+    root: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads')
+  })
+};
+
+const DEFAULT_URL_TTL = 24 * 60 * 60; // seconds
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver "${driver}"`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+const getSigningSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+const sign = (key, expires) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(`${key}:${expires}`).digest('hex');
+
+// Helper function to build a URL Airtable (or the form owner) can fetch the
+// file from until it expires
+const getSignedUrl = (key, ttl = Number(process.env.FILE_URL_TTL) || DEFAULT_URL_TTL) => {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const baseUrl = process.env.SERVER_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+  return `${baseUrl}/api/files/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+};
+
+const verifySignedUrl = (key, expires, signature) => {
+  if (!/^\d+$/.test(String(expires)) || Number(expires) < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expires));
+  const actual = Buffer.from(String(signature || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Helper function to keep stored file names readable but safe
+const sanitizeFilename = (filename) =>
+  path.basename(filename).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '').slice(-100) || 'file';
+
+// Helper function to pick a new storage key for an uploaded file
+const createFileKey = (prefix, originalName) => {
+  const filename = sanitizeFilename(originalName);
+  return { key: `${prefix}/${crypto.randomUUID()}/${filename}`, filename };
+};
+
+// Store a multer file (written to disk by multer) and return the entry
+// recorded in Response.responses[].files
+const saveUpload = async (file, prefix) => {
+  const { key, filename } = createFileKey(prefix, file.originalname);
+
+  await getStorage().saveFile(key, file.path);
+
+  return {
+    originalName: file.originalname,
+    filename,
+    size: file.size,
+    mimetype: file.mimetype,
+    key,
+    url: getSignedUrl(key)
+  };
+};
+
+// Helper function to serialize a Response document with fresh signed links
+// to its files: the stored `url`s expire, their `key`s don't
+const withSignedFileUrls = (response) => {
+  const json = response.toJSON();
+  (json.responses || []).forEach(fieldResponse => {
+    (fieldResponse.files || []).forEach(file => {
+      if (file.key) {
+        file.url = getSignedUrl(file.key);
+      }
+    });
+  });
+  return json;
+};
+
+// Delete the stored files of one or more Response documents. Failures are
+// logged rather than thrown so a missing file never blocks a delete.
+const removeResponseFiles = async (responses) => {
+  const keys = [].concat(responses).flatMap(response =>
+    (response.responses || []).flatMap(fieldResponse =>
+      (fieldResponse.files || []).map(file => file.key).filter(Boolean)
+    )
+  );
+
+  const results = await Promise.allSettled(keys.map(key => getStorage().remove(key)));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error('🗑️ Failed to remove stored file:', keys[index], result.reason.message);
+    }
+  });
+};
+
+module.exports = {
+  getStorage,
+  getSignedUrl,
+  verifySignedUrl,
+  createFileKey,
+  saveUpload,
+  withSignedFileUrls,
+  removeResponseFiles
+};
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local disk storage driver: files live under `root`, addressed by keys
+// such as "<formId>/<uuid>/<filename>"
+const createLocalDiskStorage = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  // Helper function to map a key to a path, refusing keys that escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    // Copy the file at `sourcePath` (e.g. a temporary upload) into storage
+    async saveFile(key, sourcePath) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.copyFile(sourcePath, filePath);
+    },
+
+    // Write `buffer` at byte `position` of an existing file (used for
+    // resumable uploads; re-sending a chunk just overwrites the same bytes)
+    async writeAt(key, buffer, position) {
+      const handle = await fs.promises.open(resolveKey(key), 'r+');
+      try {
+        await handle.write(buffer, 0, buffer.length, position);
+      } finally {
+        await handle.close();
+      }
+    },
+
+    async exists(key) {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return stats.isFile();
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async read(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.rm(filePath, { force: true });
+
+      // Remove directories left empty by the delete, stopping at the root
+      let dir = path.dirname(filePath);
+      while (dir !== rootDir && dir.startsWith(rootDir + path.sep)) {
+        try {
+          await fs.promises.rmdir(dir);
+        } catch (error) {
+          break; // Not empty (or already gone)
+        }
+        dir = path.dirname(dir);
+      }
+    }
+  };
+};
+
+module.exports = { createLocalDiskStorage };
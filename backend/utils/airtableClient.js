@@ -0,0 +1,435 @@
+const axios = require('axios');
+const User = require('../models/User');
+
+// The one place that talks to the Airtable Web API. Requests are queued per
+// base to stay under Airtable's 5 requests/second limit, 429 and 5xx
+// responses are retried (honoring Retry-After), and failures are thrown as
+// the typed errors below instead of raw axios errors.
+//
+// Functions take either an access token or a User. With a User, its OAuth
+// access token is refreshed when it is about to expire (or Airtable rejects
+// it) and the new tokens are saved on the user; see getAccessToken.
+//
+// AIRTABLE_API_URL, AIRTABLE_CONTENT_URL and AIRTABLE_OAUTH_URL point the
+// client elsewhere (e.g. a local stub in tests).
+
+const REQUESTS_PER_SECOND = 5;
+const MAX_RETRIES = Number(process.env.AIRTABLE_MAX_RETRIES) || 3;
+const MAX_RETRY_DELAY = 60 * 1000;
+const REQUEST_TIMEOUT = 30 * 1000;
+const MAX_RECORDS_PER_REQUEST = 10; // Airtable's limit for batch create/update
+const REFRESH_MARGIN = 60 * 1000; // Refresh tokens this long before they expire
+const REFRESH_LOCK_DURATION = 30 * 1000;
+
+const getApiUrl = () => process.env.AIRTABLE_API_URL || 'https://api.airtable.com/v0';
+const getContentUrl = () => process.env.AIRTABLE_CONTENT_URL || 'https://content.airtable.com/v0';
+const getOAuthUrl = () => process.env.AIRTABLE_OAUTH_URL || 'https://airtable.com/oauth2/v1';
+
+// Typed errors. `status` is the HTTP status (undefined for network errors),
+// `type` Airtable's error type (e.g. "INVALID_PERMISSIONS") and `details`
+// the response body, for logging.
+class AirtableError extends Error {
+  constructor(message, { status, type, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.type = type;
+    this.details = details;
+  }
+}
+
+class AirtableAuthError extends AirtableError {} // 401/403: bad, expired or under-scoped token
+class AirtableTokenRevokedError extends AirtableAuthError {} // Refresh token revoked; the user must reconnect
+class AirtableNotFoundError extends AirtableError {} // 404
+class AirtableValidationError extends AirtableError {} // 422: bad fields, formula, etc.
+class AirtableRateLimitError extends AirtableError {} // 429 after retries ran out
+class AirtableServerError extends AirtableError {} // 5xx after retries ran out
+class AirtableNetworkError extends AirtableError {} // No response at all
+
+// Helper function to turn an axios error into a typed AirtableError
+const toAirtableError = (error) => {
+  if (!error.response) {
+    return new AirtableNetworkError(`Could not reach Airtable: ${error.message}`);
+  }
+
+  const { status, data } = error.response;
+  const airtableError = typeof data?.error === 'object' ? data.error : { type: data?.error };
+  const message = airtableError.message || airtableError.type || `Airtable request failed with status ${status}`;
+  const options = { status, type: airtableError.type, details: data };
+
+  if (status === 401 || status === 403) return new AirtableAuthError(message, options);
+  if (status === 404) return new AirtableNotFoundError(message, options);
+  if (status === 422) return new AirtableValidationError(message, options);
+  if (status === 429) return new AirtableRateLimitError(message, options);
+  if (status >= 500) return new AirtableServerError(message, options);
+  return new AirtableError(message, options);
+};
+
+// Per-base request queues: at most REQUESTS_PER_SECOND requests in any
+// one-second window for the same base (metadata calls share one queue). A
+// request holds its slot until a second after it finishes, so network
+// latency can't bunch requests up on Airtable's side.
+const queues = new Map();
+
+const schedule = (queueKey, task) => new Promise((resolve, reject) => {
+  if (!queues.has(queueKey)) {
+    queues.set(queueKey, { pending: [], slots: [], timer: null });
+  }
+  const queue = queues.get(queueKey);
+  queue.pending.push({ task, resolve, reject });
+  drain(queueKey);
+});
+
+const drain = (queueKey) => {
+  const queue = queues.get(queueKey);
+  if (queue.timer) return;
+
+  while (queue.pending.length > 0) {
+    const now = Date.now();
+    queue.slots = queue.slots.filter(slot => now - slot.finishedAt < 1000);
+
+    if (queue.slots.length >= REQUESTS_PER_SECOND) {
+      // In-flight slots (finishedAt = Infinity) call drain when they settle
+      const freedAt = Math.min(...queue.slots.map(slot => slot.finishedAt));
+      if (Number.isFinite(freedAt)) {
+        queue.timer = setTimeout(() => {
+          queue.timer = null;
+          drain(queueKey);
+        }, 1000 - (now - freedAt));
+      }
+      return;
+    }
+
+    const { task, resolve, reject } = queue.pending.shift();
+    const slot = { finishedAt: Infinity };
+    queue.slots.push(slot);
+    task()
+      .finally(() => {
+        slot.finishedAt = Date.now();
+        if (queue.pending.length > 0) drain(queueKey);
+      })
+      .then(resolve, reject);
+  }
+};
+
+// Helper function to read Retry-After (seconds or an HTTP date) in milliseconds
+const getRetryAfter = (response) => {
+  const header = response?.headers?.['retry-after'];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  const delay = Number.isFinite(seconds) ? seconds * 1000 : new Date(header).getTime() - Date.now();
+  return Number.isFinite(delay) ? Math.max(delay, 0) : null;
+};
+
+// Exponential backoff with jitter when Airtable doesn't say how long to wait
+const getBackoffDelay = (attempt) => {
+  const delay = 1000 * 2 ** attempt;
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// OAuth token refresh. Airtable rotates the refresh token on every refresh
+// and the old one stops working, so two refreshes for the same user must
+// never overlap: concurrent callers in this process share one refresh, and
+// a lock on the user document keeps other server instances out.
+const refreshing = new Map(); // userId -> promise of the new tokens
+
+const REVOKED_MESSAGE = 'Airtable access was revoked; reconnect your Airtable account';
+
+const needsRefresh = (user) =>
+  !!user.airtableRefreshToken &&
+  !!user.airtableTokenExpiresAt &&
+  user.airtableTokenExpiresAt.getTime() - Date.now() < REFRESH_MARGIN;
+
+// Helper function to call the OAuth token endpoint
+const requestTokens = async (params) => {
+  try {
+    const response = await axios.post(
+      `${getOAuthUrl()}/token`,
+      new URLSearchParams({ ...params, client_id: process.env.AIRTABLE_CLIENT_ID }),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        // Confidential clients authenticate with their secret
+        auth: process.env.AIRTABLE_CLIENT_SECRET
+          ? { username: process.env.AIRTABLE_CLIENT_ID, password: process.env.AIRTABLE_CLIENT_SECRET }
+          : undefined,
+        timeout: REQUEST_TIMEOUT
+      }
+    );
+    return response.data;
+  } catch (error) {
+    throw toAirtableError(error);
+  }
+};
+
+// Trade the code from the OAuth redirect (and its PKCE verifier) for tokens
+const exchangeAuthorizationCode = (code, codeVerifier) =>
+  requestTokens({
+    grant_type: 'authorization_code',
+    code,
+    code_verifier: codeVerifier,
+    redirect_uri: process.env.AIRTABLE_REDIRECT_URI
+  });
+
+// Helper function to trade a refresh token for new tokens
+const exchangeRefreshToken = async (refreshToken) => {
+  try {
+    return await requestTokens({ grant_type: 'refresh_token', refresh_token: refreshToken });
+  } catch (error) {
+    if (error.type === 'invalid_grant') {
+      throw new AirtableTokenRevokedError(REVOKED_MESSAGE, error);
+    }
+    throw error;
+  }
+};
+
+// Helper function to refresh a user's token while holding the refresh lock
+const refreshLockedUser = async (user, staleToken) => {
+  try {
+    // Another instance refreshed while we waited for the lock
+    if (user.airtableAccessToken !== staleToken && !needsRefresh(user)) {
+      return user;
+    }
+    if (user.airtableTokenRevokedAt) {
+      throw new AirtableTokenRevokedError(REVOKED_MESSAGE);
+    }
+
+    const { access_token, refresh_token, expires_in } = await exchangeRefreshToken(user.airtableRefreshToken);
+    const tokens = {
+      airtableAccessToken: access_token,
+      airtableRefreshToken: refresh_token || user.airtableRefreshToken,
+      airtableTokenExpiresAt: new Date(Date.now() + expires_in * 1000)
+    };
+    await User.updateOne({ _id: user._id }, { $set: tokens });
+    console.log(`🔑 Refreshed Airtable token for user ${user._id}`);
+    return tokens;
+  } catch (error) {
+    if (error instanceof AirtableTokenRevokedError && !user.airtableTokenRevokedAt) {
+      // Shown to the owner as a reconnect banner until they log in again
+      await User.updateOne({ _id: user._id }, { $set: { airtableTokenRevokedAt: new Date() } });
+      console.error(`🔌 Airtable access revoked for user ${user._id}; they need to reconnect`);
+    }
+    throw error;
+  } finally {
+    await User.updateOne({ _id: user._id }, { $unset: { airtableTokenRefreshLockedUntil: 1 } });
+  }
+};
+
+// Helper function to refresh a user's token unless `staleToken` has already
+// been replaced; resolves with the user's current tokens
+const refreshUserTokens = async (userId, staleToken) => {
+  for (;;) {
+    const now = new Date();
+    const user = await User.findOneAndUpdate(
+      {
+        _id: userId,
+        $or: [
+          { airtableTokenRefreshLockedUntil: null },
+          { airtableTokenRefreshLockedUntil: { $lt: now } }
+        ]
+      },
+      { $set: { airtableTokenRefreshLockedUntil: new Date(now.getTime() + REFRESH_LOCK_DURATION) } },
+      { new: true }
+    );
+    if (user) {
+      return refreshLockedUser(user, staleToken);
+    }
+
+    // Locked by another instance (or the user is gone): wait for its result
+    await wait(500);
+    const current = await User.findById(userId);
+    if (!current) {
+      throw new AirtableAuthError('User not found');
+    }
+    if (current.airtableTokenRevokedAt) {
+      throw new AirtableTokenRevokedError(REVOKED_MESSAGE);
+    }
+    if (current.airtableAccessToken !== staleToken && !needsRefresh(current)) {
+      return current;
+    }
+  }
+};
+
+// Refresh a user's OAuth token now; `staleToken` is the token that was found
+// to be expired or rejected
+const refreshAccessToken = async (user, staleToken = user.airtableAccessToken) => {
+  const userId = user._id.toString();
+  if (!refreshing.has(userId)) {
+    refreshing.set(userId, refreshUserTokens(userId, staleToken).finally(() => refreshing.delete(userId)));
+  }
+
+  const { airtableAccessToken, airtableTokenExpiresAt } = await refreshing.get(userId);
+  // Keep the caller's copy current; the refresh token stays in the database
+  user.airtableAccessToken = airtableAccessToken;
+  user.airtableTokenExpiresAt = airtableTokenExpiresAt;
+  return airtableAccessToken;
+};
+
+// Resolve the access token to send: a token string as is, or a User's OAuth
+// token, refreshed first when it is about to expire
+const getAccessToken = async (auth) => {
+  if (typeof auth === 'string') {
+    return auth;
+  }
+  if (auth.airtableTokenRevokedAt) {
+    throw new AirtableTokenRevokedError(REVOKED_MESSAGE);
+  }
+  return needsRefresh(auth) ? refreshAccessToken(auth) : auth.airtableAccessToken;
+};
+
+// Make a request to Airtable.
+//   auth      - access token, or the User whose OAuth token to use
+//   baseId    - base the request is for (selects the rate-limit queue)
+//   idempotent - whether 5xx responses may be retried; defaults to false for
+//               POST so a record is never created twice
+//   content   - use the content API (attachment uploads)
+const request = async (auth, {
+  method = 'GET',
+  path,
+  baseId,
+  params,
+  data,
+  idempotent = method !== 'POST',
+  content = false
+}) => {
+  let token = await getAccessToken(auth);
+  let refreshed = false;
+
+  for (let attempt = 0; ; attempt += 1) {
+    const config = {
+      method,
+      url: `${content ? getContentUrl() : getApiUrl()}${path}`,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      params,
+      data,
+      timeout: REQUEST_TIMEOUT,
+      maxBodyLength: Infinity
+    };
+
+    try {
+      const response = await schedule(baseId || 'meta', () => axios(config));
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+
+      // Token expired or revoked before its recorded expiry: refresh once
+      if (status === 401 && !refreshed && typeof auth !== 'string' && auth.airtableRefreshToken) {
+        refreshed = true;
+        token = await refreshAccessToken(auth, token);
+        continue;
+      }
+
+      const retryable = status === 429 || (status >= 500 && idempotent);
+
+      if (!retryable || attempt >= MAX_RETRIES) {
+        throw toAirtableError(error);
+      }
+
+      const delay = Math.min(getRetryAfter(error.response) ?? getBackoffDelay(attempt), MAX_RETRY_DELAY);
+      console.warn(`⏳ Airtable returned ${status}, retrying ${method} ${path} in ${Math.round(delay / 1000)}s`);
+      await wait(delay);
+    }
+  }
+};
+
+// Metadata
+const whoami = (token) => request(token, { path: '/meta/whoami' });
+
+const listBases = (token) => request(token, { path: '/meta/bases' });
+
+const getBaseSchema = (token, baseId) =>
+  request(token, { path: `/meta/bases/${baseId}/tables`, baseId });
+
+// Records
+const listRecords = (token, baseId, tableId, params) =>
+  request(token, { path: `/${baseId}/${tableId}`, baseId, params });
+
+const getRecord = (token, baseId, tableId, recordId, params) =>
+  request(token, { path: `/${baseId}/${tableId}/${recordId}`, baseId, params });
+
+const createRecord = (token, baseId, tableId, fields, options = {}) =>
+  request(token, {
+    method: 'POST',
+    path: `/${baseId}/${tableId}`,
+    baseId,
+    data: { fields, ...options }
+  });
+
+// Create up to MAX_RECORDS_PER_REQUEST records in one request. Airtable
+// returns them in the order of `fieldsList`; an invalid record fails the
+// whole request.
+const createRecords = (token, baseId, tableId, fieldsList, options = {}) =>
+  request(token, {
+    method: 'POST',
+    path: `/${baseId}/${tableId}`,
+    baseId,
+    data: { records: fieldsList.map(fields => ({ fields })), ...options }
+  });
+
+// Create or update up to MAX_RECORDS_PER_REQUEST records: a record whose
+// `fieldsToMergeOn` values match an existing one updates it. The result
+// lists the IDs in `createdRecords` and `updatedRecords`.
+const upsertRecords = (token, baseId, tableId, fieldsList, fieldsToMergeOn, options = {}) =>
+  request(token, {
+    method: 'PATCH',
+    path: `/${baseId}/${tableId}`,
+    baseId,
+    data: {
+      performUpsert: { fieldsToMergeOn },
+      records: fieldsList.map(fields => ({ fields })),
+      ...options
+    }
+  });
+
+const updateRecord = (token, baseId, tableId, recordId, fields, options = {}) =>
+  request(token, {
+    method: 'PATCH',
+    path: `/${baseId}/${tableId}/${recordId}`,
+    baseId,
+    data: { fields, ...options }
+  });
+
+// Attachments (file is { buffer, contentType, filename }; at most 5MB)
+const uploadAttachment = (token, baseId, recordId, fieldId, { buffer, contentType, filename }) =>
+  request(token, {
+    method: 'POST',
+    path: `/${baseId}/${recordId}/${fieldId}/uploadAttachment`,
+    baseId,
+    content: true,
+    data: {
+      contentType,
+      file: buffer.toString('base64'),
+      filename
+    }
+  });
+
+module.exports = {
+  AirtableError,
+  AirtableAuthError,
+  AirtableTokenRevokedError,
+  AirtableNotFoundError,
+  AirtableValidationError,
+  AirtableRateLimitError,
+  AirtableServerError,
+  AirtableNetworkError,
+  MAX_RECORDS_PER_REQUEST,
+  exchangeAuthorizationCode,
+  getAccessToken,
+  refreshAccessToken,
+  request,
+  whoami,
+  listBases,
+  getBaseSchema,
+  listRecords,
+  getRecord,
+  createRecord,
+  createRecords,
+  upsertRecords,
+  updateRecord,
+  uploadAttachment
+};
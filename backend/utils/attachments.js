@@ -0,0 +1,133 @@
+const { getSignedUrl, getStorage } = require('../storage');
+const { getRecord, updateRecord, uploadAttachment } = require('./airtableClient');
+
+// Pushes stored uploads to Airtable once the record exists. Files are sent
+// to the per-record uploadAttachment endpoint; files over its size limit
+// fall back to a signed URL that Airtable downloads itself. Each file keeps
+// its own upload status so a retry only re-sends what is still missing.
+
+const MAX_CONTENT_UPLOAD_SIZE = 5 * 1024 * 1024; // Airtable's uploadAttachment limit
+
+const isUploaded = (file) => file.upload?.status === 'uploaded';
+
+const usesUrlFallback = (file) => file.size > MAX_CONTENT_UPLOAD_SIZE;
+
+// Helper function to list the attachment answers of a response with their form field
+const getAttachmentResponses = (response, fields) =>
+  response.responses
+    .map(fieldResponse => ({
+      fieldResponse,
+      field: fields.find(f => f.airtableFieldId === fieldResponse.fieldId)
+    }))
+    .filter(({ field, fieldResponse }) =>
+      field && field.airtableFieldType === 'attachment' && (fieldResponse.files || []).length > 0
+    );
+
+const toUrlAttachment = (file) => ({ url: getSignedUrl(file.key), filename: file.originalName });
+
+// Helper function to record the outcome of one upload attempt on a file
+const setUploadResult = (file, method, error = null) => {
+  file.upload = {
+    status: error ? 'failed' : 'uploaded',
+    method,
+    attempts: (file.upload?.attempts || 0) + 1,
+    error: error ? error.message : undefined,
+    uploadedAt: error ? undefined : new Date()
+  };
+};
+
+// Helper function to send one stored file to Airtable's content endpoint
+const uploadStoredFile = async (token, response, field, file) => {
+  const buffer = await getStorage().read(file.key);
+
+  return uploadAttachment(token, response.airtableBaseId, response.airtableRecordId, field.airtableFieldId, {
+    buffer,
+    contentType: file.mimetype || 'application/octet-stream',
+    filename: file.originalName
+  });
+};
+
+// Helper function to add URL attachments to an existing record without
+// dropping the attachments it already has
+const appendUrlAttachments = async (token, response, field, files) => {
+  const { airtableBaseId, airtableTableId, airtableRecordId } = response;
+
+  const record = await getRecord(token, airtableBaseId, airtableTableId, airtableRecordId, {
+    returnFieldsByFieldId: true
+  });
+  const existing = (record.fields[field.airtableFieldId] || []).map(attachment => ({ id: attachment.id }));
+
+  await updateRecord(token, airtableBaseId, airtableTableId, airtableRecordId, {
+    [field.airtableFieldId]: [...existing, ...files.map(toUrlAttachment)]
+  });
+};
+
+// Attachment values to send with the create request: only the oversized
+// files, everything else is uploaded once the record exists
+const getUrlAttachmentFields = (response, fields) => {
+  const airtableFields = {};
+
+  getAttachmentResponses(response, fields).forEach(({ field, fieldResponse }) => {
+    const urlFiles = fieldResponse.files.filter(file => file.key && usesUrlFallback(file) && !isUploaded(file));
+    if (urlFiles.length > 0) {
+      airtableFields[field.airtableFieldName] = urlFiles.map(toUrlAttachment);
+    }
+  });
+
+  return airtableFields;
+};
+
+// Mark the files sent by URL with the create request as uploaded
+const markUrlAttachmentsUploaded = (response, fields) => {
+  getAttachmentResponses(response, fields).forEach(({ fieldResponse }) => {
+    fieldResponse.files
+      .filter(file => file.key && usesUrlFallback(file) && !isUploaded(file))
+      .forEach(file => setUploadResult(file, 'url'));
+  });
+};
+
+// Upload every file of `response` that has not reached Airtable yet. The
+// record must already exist. Progress is saved after each file; returns
+// the files that failed.
+const uploadPendingAttachments = async (token, response, fields) => {
+  const failedFiles = [];
+
+  for (const { field, fieldResponse } of getAttachmentResponses(response, fields)) {
+    const pendingFiles = fieldResponse.files.filter(file => file.key && !isUploaded(file));
+
+    for (const file of pendingFiles.filter(f => !usesUrlFallback(f))) {
+      try {
+        await uploadStoredFile(token, response, field, file);
+        setUploadResult(file, 'content');
+      } catch (error) {
+        console.error('📎 Attachment upload error:', file.originalName, error.details || error.message);
+        setUploadResult(file, 'content', error);
+        failedFiles.push(file);
+      }
+      await response.save();
+    }
+
+    // Oversized files that missed the create request (e.g. added on a retry)
+    const urlFiles = pendingFiles.filter(usesUrlFallback);
+    if (urlFiles.length > 0) {
+      try {
+        await appendUrlAttachments(token, response, field, urlFiles);
+        urlFiles.forEach(file => setUploadResult(file, 'url'));
+      } catch (error) {
+        console.error('📎 Attachment URL error:', error.details || error.message);
+        urlFiles.forEach(file => setUploadResult(file, 'url', error));
+        failedFiles.push(...urlFiles);
+      }
+      await response.save();
+    }
+  }
+
+  return failedFiles;
+};
+
+module.exports = {
+  MAX_CONTENT_UPLOAD_SIZE,
+  getUrlAttachmentFields,
+  markUrlAttachmentsUploaded,
+  uploadPendingAttachments
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// Signed links that let someone edit one Airtable record through a form:
+// /form/:formId?record=recXXX&token=<expires>.<signature>. The signature
+// covers the form, the record and the expiry, so a link can't be pointed
+// at another record or used once it has expired.
+
+const DEFAULT_EDIT_LINK_TTL = 7 * 24 * 60 * 60; // seconds
+const MAX_EDIT_LINK_TTL = 90 * 24 * 60 * 60;
+
+const getSigningSecret = () => process.env.EDIT_LINK_SECRET || process.env.JWT_SECRET;
+
+const sign = (formId, recordId, expires) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(`edit:${formId}:${recordId}:${expires}`).digest('hex');
+
+// Helper function to create the edit link for a record; `ttl` in seconds
+const createEditLink = (formId, recordId, ttl = Number(process.env.EDIT_LINK_TTL) || DEFAULT_EDIT_LINK_TTL) => {
+  const expires = Math.floor(Date.now() / 1000) + Math.min(ttl, MAX_EDIT_LINK_TTL);
+  const token = `${expires}.${sign(formId, recordId, expires)}`;
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+  return {
+    url: `${clientUrl}/form/${formId}?record=${encodeURIComponent(recordId)}&token=${token}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+// Returns the link's expiry date when `token` is valid for the form and
+// record, otherwise null
+const verifyEditToken = (formId, recordId, token) => {
+  const [expires, signature] = String(token || '').split('.');
+  if (!/^\d+$/.test(expires || '') || Number(expires) < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(formId, recordId, expires));
+  const actual = Buffer.from(String(signature || ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return new Date(Number(expires) * 1000);
+};
+
+module.exports = {
+  MAX_EDIT_LINK_TTL,
+  createEditLink,
+  verifyEditToken
+};
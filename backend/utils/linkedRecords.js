@@ -0,0 +1,154 @@
+const { getBaseSchema, listRecords } = require('./airtableClient');
+
+// Lists and checks records of a linked table on behalf of a form's owner.
+// The owner's token never leaves the server: respondents only receive record
+// IDs and primary field values.
+
+const PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100; // Airtable's limit
+const MAX_SEARCH_LENGTH = 100;
+const SCHEMA_CACHE_TTL = 10 * 60 * 1000; // 10 minutes
+
+const primaryFieldCache = new Map();
+
+// Helper function to find the primary field name of a table (cached per table)
+const getPrimaryFieldName = async (token, baseId, tableId) => {
+  const cacheKey = `${baseId}/${tableId}`;
+  const cached = primaryFieldCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.name;
+  }
+
+  const { tables } = await getBaseSchema(token, baseId);
+  const table = tables.find(t => t.id === tableId);
+  if (!table) {
+    throw new Error('Linked table not found');
+  }
+
+  const primaryField = table.fields.find(f => f.id === table.primaryFieldId) || table.fields[0];
+  primaryFieldCache.set(cacheKey, { name: primaryField.name, expiresAt: Date.now() + SCHEMA_CACHE_TTL });
+  return primaryField.name;
+};
+
+// Helper function to quote text inside an Airtable formula string
+const escapeFormulaString = (text) => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// Helper function to reference a field by name inside a formula
+const fieldReference = (name) => `{${String(name).replace(/}/g, '\\}')}}`;
+
+// Helper function to AND together the non-empty formula parts
+const combineFormulas = (parts) => {
+  const formulas = parts.filter(Boolean);
+  if (formulas.length === 0) return undefined;
+  if (formulas.length === 1) return formulas[0];
+  return `AND(${formulas.join(', ')})`;
+};
+
+// Helper function to build a formula matching any of `recordIds`
+const recordIdFormula = (recordIds) =>
+  `OR(${recordIds.map(id => `RECORD_ID() = "${escapeFormulaString(id)}"`).join(', ')})`;
+
+// Helper function to fetch records by ID. IDs are looked up in batches of
+// one page, so no batch's matches are cut off by paging.
+const listRecordsById = async (token, baseId, tableId, recordIds, { fields, view, formula }) => {
+  const records = [];
+  for (let i = 0; i < recordIds.length; i += MAX_PAGE_SIZE) {
+    const data = await listRecords(token, baseId, tableId, {
+      pageSize: MAX_PAGE_SIZE,
+      fields,
+      view,
+      filterByFormula: combineFormulas([formula, recordIdFormula(recordIds.slice(i, i + MAX_PAGE_SIZE))])
+    });
+    records.push(...data.records);
+  }
+  return records;
+};
+
+const formatPrimaryValue = (value, recordId) => {
+  if (Array.isArray(value)) return value.join(', ') || recordId;
+  if (value === undefined || value === null || value === '') return recordId;
+  return String(value);
+};
+
+// The view and formula the form owner configured to restrict choices
+const getRestrictions = (field) => {
+  const { view, filterByFormula } = field.linkSettings || {};
+  return {
+    view: view || undefined,
+    formula: filterByFormula?.trim() ? `(${filterByFormula.trim()})` : undefined
+  };
+};
+
+// List selectable records of a multipleRecordLinks field, optionally
+// searching the linked table's primary field
+const listLinkedRecords = async (token, form, field, { search, offset } = {}) => {
+  const tableId = field.typeOptions?.linkedTableId;
+  const primaryFieldName = await getPrimaryFieldName(token, form.airtableBaseId, tableId);
+  const { view, formula } = getRestrictions(field);
+  const searchText = String(search || '').trim().slice(0, MAX_SEARCH_LENGTH);
+
+  const data = await listRecords(token, form.airtableBaseId, tableId, {
+    pageSize: PAGE_SIZE,
+    fields: [primaryFieldName],
+    view,
+    offset: offset || undefined,
+    filterByFormula: combineFormulas([
+      formula,
+      searchText && `SEARCH(LOWER("${escapeFormulaString(searchText)}"), LOWER(${fieldReference(primaryFieldName)} & ""))`
+    ])
+  });
+
+  return {
+    records: data.records.map(record => ({
+      id: record.id,
+      name: formatPrimaryValue(record.fields[primaryFieldName], record.id)
+    })),
+    offset: data.offset || null
+  };
+};
+
+// Return the subset of `recordIds` the field allows (in the configured view
+// and matching its formula). IDs must already be validated as record IDs.
+const findAllowedRecordIds = async (token, form, field, recordIds) => {
+  if (recordIds.length === 0) {
+    return new Set();
+  }
+
+  const tableId = field.typeOptions?.linkedTableId;
+  const primaryFieldName = await getPrimaryFieldName(token, form.airtableBaseId, tableId);
+  const { view, formula } = getRestrictions(field);
+
+  const records = await listRecordsById(token, form.airtableBaseId, tableId, recordIds, {
+    fields: [primaryFieldName],
+    view,
+    formula
+  });
+
+  return new Set(records.map(record => record.id));
+};
+
+// Primary field values of linked records keyed by record ID, so a form
+// editing an existing record can show the records it already links to
+const getLinkedRecordNames = async (token, form, field, recordIds) => {
+  if (recordIds.length === 0) {
+    return {};
+  }
+
+  const tableId = field.typeOptions?.linkedTableId;
+  const primaryFieldName = await getPrimaryFieldName(token, form.airtableBaseId, tableId);
+
+  const records = await listRecordsById(token, form.airtableBaseId, tableId, recordIds, {
+    fields: [primaryFieldName]
+  });
+
+  return records.reduce((names, record) => ({
+    ...names,
+    [record.id]: formatPrimaryValue(record.fields[primaryFieldName], record.id)
+  }), {});
+};
+
+module.exports = {
+  listLinkedRecords,
+  findAllowedRecordIds,
+  getLinkedRecordNames
+};
@@ -0,0 +1,83 @@
+const nodemailer = require('nodemailer');
+
+// Sends account and invite emails. With SMTP_HOST set mail goes through
+// that server; without it (e.g. in development) each message, links
+// included, is printed to the server console instead.
+
+let transport = null;
+
+const getTransport = () => {
+  if (transport) return transport;
+
+  if (process.env.SMTP_HOST) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  } else {
+    console.warn('⚠️ SMTP_HOST is not set; emails will be printed to the console');
+    transport = {
+      sendMail: async ({ to, subject, text }) => {
+        console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+        return { messageId: 'console' };
+      }
+    };
+  }
+  return transport;
+};
+
+const getClientUrl = (path) => `${process.env.CLIENT_URL || 'http://localhost:3000'}${path}`;
+
+// Helper function to send a plain-text email
+const sendMail = ({ to, subject, text }) =>
+  getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'FormBuilder <no-reply@localhost>',
+    to,
+    subject,
+    text
+  });
+
+// Helper function to send the link that verifies a new account's email
+const sendVerificationEmail = (email, token) =>
+  sendMail({
+    to: email,
+    subject: 'Verify your FormBuilder email address',
+    text: `Welcome to FormBuilder! Confirm your email address to finish creating your account:\n\n${getClientUrl(`/verify-email?token=${token}`)}\n\nThe link expires in 24 hours. If you didn't sign up, you can ignore this email.`
+  });
+
+// Helper function to tell the owner of an email address someone tried to
+// sign up with it again (so sign-up doesn't reveal which emails have accounts)
+const sendAccountExistsEmail = (email) =>
+  sendMail({
+    to: email,
+    subject: 'You already have a FormBuilder account',
+    text: `Someone tried to create a FormBuilder account with this email address, but you already have one. Sign in at ${getClientUrl('/login')}, or reset your password at ${getClientUrl('/forgot-password')}.\n\nIf this wasn't you, you can ignore this email.`
+  });
+
+// Helper function to send a password reset link
+const sendPasswordResetEmail = (email, token) =>
+  sendMail({
+    to: email,
+    subject: 'Reset your FormBuilder password',
+    text: `Choose a new password for your FormBuilder account:\n\n${getClientUrl(`/reset-password?token=${token}`)}\n\nThe link expires in 1 hour. If you didn't ask to reset your password, you can ignore this email.`
+  });
+
+// Helper function to send a workspace invite link
+const sendInviteEmail = (email, workspaceName, role, url) =>
+  sendMail({
+    to: email,
+    subject: `You're invited to ${workspaceName} on FormBuilder`,
+    text: `You've been invited to join the ${workspaceName} workspace on FormBuilder as ${/^[aeiou]/.test(role) ? 'an' : 'a'} ${role}. Accept the invite here:\n\n${url}\n\nThe link expires in 7 days and works for the account with this email address.`
+  });
+
+module.exports = {
+  sendMail,
+  sendVerificationEmail,
+  sendAccountExistsEmail,
+  sendPasswordResetEmail,
+  sendInviteEmail
+};
@@ -0,0 +1,135 @@
+const { getMergeFields, toAirtableValue } = require('airtable-form-builder-shared');
+const { AirtableValidationError, createRecords, updateRecord, upsertRecords } = require('./airtableClient');
+const {
+  getUrlAttachmentFields,
+  markUrlAttachmentsUploaded,
+  uploadPendingAttachments
+} = require('./attachments');
+
+// Pushes stored Responses to Airtable. Used by the manual retry route and
+// by the background sync worker, so every path resumes from the same place:
+// the record is created once, then only the attachments still missing are
+// uploaded. Forms in upsert mode update the record matching their merge
+// fields instead of creating one, and responses sent through an edit link
+// update the record the link points to.
+
+// Helper function to map stored answers to Airtable fields (attachments
+// are uploaded separately once the record exists)
+const getRecordFields = (response, fields) => {
+  const airtableFields = {};
+
+  response.responses.forEach(fieldResponse => {
+    const field = fields.find(f => f.airtableFieldId === fieldResponse.fieldId);
+    if (field && field.airtableFieldType !== 'attachment') {
+      airtableFields[field.airtableFieldName] = toAirtableValue(field, fieldResponse.value);
+    }
+  });
+
+  return airtableFields;
+};
+
+// Helper function to build the fields of the create request (oversized
+// attachments go along as URLs)
+const getCreateFields = (response, fields) => ({
+  ...getRecordFields(response, fields),
+  ...getUrlAttachmentFields(response, fields)
+});
+
+// Helper function to finish a response whose record exists: upload the
+// missing attachments and mark it synced once none failed
+const completeSync = async (token, response, fields) => {
+  const failedFiles = await uploadPendingAttachments(token, response, fields);
+  if (failedFiles.length === 0) {
+    await response.markAsSynced(response.airtableRecordId);
+  }
+  return failedFiles;
+};
+
+// Helper function to write the records of `entries` ({ response, form })
+// in one request: a batch create, or a batch upsert when the forms merge on
+// fields. Resolves with one { id, action } per entry, in order.
+const writeRecords = async (token, entries) => {
+  const { response: { airtableBaseId, airtableTableId }, form } = entries[0];
+  const fieldsList = entries.map(entry => getCreateFields(entry.response, entry.form.fields));
+  const mergeFieldNames = getMergeFields(form.settings, form.fields).map(field => field.airtableFieldName);
+
+  if (mergeFieldNames.length === 0) {
+    const { records } = await createRecords(token, airtableBaseId, airtableTableId, fieldsList, { typecast: true });
+    return records.map(record => ({ id: record.id, action: 'created' }));
+  }
+
+  const { records, updatedRecords = [] } = await upsertRecords(
+    token, airtableBaseId, airtableTableId, fieldsList, mergeFieldNames, { typecast: true }
+  );
+  return records.map(record => ({
+    id: record.id,
+    action: updatedRecords.includes(record.id) ? 'updated' : 'created'
+  }));
+};
+
+// Sync `response` using the form owner's token. Throws when the record
+// can't be written; otherwise resolves with the files that failed to
+// upload (an empty list means the response is fully synced and marked so).
+const syncResponse = async (token, response, form) => {
+  if (!response.airtableRecordId && response.edit?.recordId) {
+    // Attachments are left out: new files are added to the existing ones
+    await updateRecord(
+      token,
+      response.airtableBaseId,
+      response.airtableTableId,
+      response.edit.recordId,
+      response.edit.after,
+      { typecast: true }
+    );
+    await response.markRecordCreated(response.edit.recordId, 'updated');
+  } else if (!response.airtableRecordId) {
+    const [record] = await writeRecords(token, [{ response, form }]);
+    markUrlAttachmentsUploaded(response, form.fields);
+    await response.markRecordCreated(record.id, record.action);
+  }
+
+  return completeSync(token, response, form.fields);
+};
+
+// Sync responses that have no record yet with one batch request. `entries`
+// are { response, form } for forms sharing the base, table and merge
+// fields, at most MAX_RECORDS_PER_REQUEST of them. Airtable
+// rejects the whole batch when one record is invalid (422), so then each
+// record is retried on its own and only the invalid ones fail. Never
+// throws; resolves with one { response, failedFiles } or { response, error }
+// per entry.
+const syncNewResponses = async (token, entries) => {
+  let records;
+
+  try {
+    records = await writeRecords(token, entries);
+  } catch (error) {
+    if (!(error instanceof AirtableValidationError) || entries.length === 1) {
+      return entries.map(({ response }) => ({ response, error }));
+    }
+
+    const results = [];
+    for (const entry of entries) {
+      results.push(...await syncNewResponses(token, [entry]));
+    }
+    return results;
+  }
+
+  const results = [];
+  for (const [index, { response, form }] of entries.entries()) {
+    try {
+      markUrlAttachmentsUploaded(response, form.fields);
+      await response.markRecordCreated(records[index].id, records[index].action);
+      results.push({ response, failedFiles: await completeSync(token, response, form.fields) });
+    } catch (error) {
+      results.push({ response, error });
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  getRecordFields,
+  syncResponse,
+  syncNewResponses
+};
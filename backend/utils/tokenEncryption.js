@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// Field-level encryption for secrets kept in Mongo (Airtable tokens). Values
+// are encrypted with AES-256-GCM and stored as
+// "enc:<keyId>:<iv>:<authTag>:<ciphertext>" (base64url parts). The field
+// name is authenticated as well, so a value can't be copied into another
+// field and still decrypt.
+//
+// TOKEN_ENCRYPTION_KEYS lists the keys as comma-separated "id:base64key"
+// pairs (32-byte keys); TOKEN_ENCRYPTION_KEY_ID picks the key new values are
+// encrypted with and defaults to the first. To rotate, add a new key, make
+// it current and run `npm run tokens:rotate`; the old key can be removed
+// once that has finished.
+
+const PREFIX = 'enc';
+const ALGORITHM = 'aes-256-gcm';
+const DEFAULT_KEY_ID = 'default';
+
+let keyring = null;
+
+// Helper function to read the keys from the environment (once)
+const getKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  for (const entry of (process.env.TOKEN_ENCRYPTION_KEYS || '').split(',')) {
+    if (!entry.trim()) continue;
+
+    const [id, encodedKey] = entry.trim().split(':');
+    const key = Buffer.from(encodedKey || '', 'base64');
+    if (!/^[\w-]+$/.test(id) || key.length !== 32) {
+      throw new Error(`Invalid TOKEN_ENCRYPTION_KEYS entry "${id}": expected id:base64 of 32 bytes`);
+    }
+    keys.set(id, key);
+  }
+
+  if (keys.size === 0) {
+    // Development fallback, like the other secrets that fall back to JWT_SECRET
+    console.warn('⚠️ TOKEN_ENCRYPTION_KEYS is not set; encrypting tokens with a key derived from JWT_SECRET');
+    keys.set(DEFAULT_KEY_ID, crypto.createHash('sha256').update(`tokens:${process.env.JWT_SECRET}`).digest());
+  }
+
+  const currentKeyId = process.env.TOKEN_ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${currentKeyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { keys, currentKeyId };
+  return keyring;
+};
+
+const getCurrentKeyId = () => getKeyring().currentKeyId;
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+// Key ID a stored value is encrypted with; null for plaintext
+const getKeyId = (value) => (isEncrypted(value) ? value.split(':')[1] : null);
+
+// Encrypt `value` for storing in `field` with the current key. Empty and
+// already encrypted values are returned as they are.
+const encrypt = (value, field) => {
+  if (!value || isEncrypted(value)) return value;
+
+  const { keys, currentKeyId } = getKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+  cipher.setAAD(Buffer.from(field));
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    currentKeyId,
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join(':');
+};
+
+// Decrypt a value stored in `field`. Plaintext (not yet migrated) is returned
+// as it is; a missing key or tampered value throws.
+const decrypt = (value, field) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, keyId, iv, authTag, ciphertext] = value.split(':');
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Token encryption key "${keyId}" is not in TOKEN_ENCRYPTION_KEYS`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(field));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64url'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  getCurrentKeyId,
+  isEncrypted,
+  getKeyId,
+  encrypt,
+  decrypt
+};
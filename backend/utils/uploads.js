@@ -0,0 +1,26 @@
+const Upload = require('../models/Upload');
+const { getStorage } = require('../storage');
+
+// Resumable uploads that are never finished or never submitted are removed
+// (with their partial files) after a day
+const STALE_UPLOAD_AGE = 24 * 60 * 60 * 1000;
+
+const removeStaleUploads = async () => {
+  const uploads = await Upload.findStale(STALE_UPLOAD_AGE);
+
+  for (const upload of uploads) {
+    try {
+      await getStorage().remove(upload.key);
+      await Upload.deleteOne({ _id: upload._id });
+    } catch (error) {
+      console.error('🗑️ Failed to remove stale upload:', upload.key, error.message);
+    }
+  }
+
+  return uploads.length;
+};
+
+module.exports = {
+  STALE_UPLOAD_AGE,
+  removeStaleUploads
+};
@@ -0,0 +1,189 @@
+const { getMergeFields } = require('airtable-form-builder-shared');
+const Form = require('../models/Form');
+const Response = require('../models/Response');
+const User = require('../models/User');
+const { MAX_RECORDS_PER_REQUEST } = require('../utils/airtableClient');
+const { syncResponse, syncNewResponses } = require('../utils/responseSync');
+
+// In-process worker that pushes responses to Airtable: new submissions and
+// retries of failed ones. All scheduling state (attempts, next attempt time,
+// locks) lives on the Response documents, so retries carry on after a
+// restart and several server instances can run the worker side by side.
+//
+// New responses for the same base and table are created with batch
+// requests of up to 10 records, so a burst of submissions costs a fraction
+// of Airtable's rate limit.
+
+const POLL_INTERVAL = (Number(process.env.SYNC_POLL_INTERVAL) || 30) * 1000;
+const BATCH_WINDOW = (Number(process.env.SYNC_BATCH_WINDOW) || 2) * 1000;
+const CYCLE_SIZE = 50; // Responses claimed per cycle
+const LOCK_DURATION = 10 * 60 * 1000; // Longer than any single sync should take
+
+let timer = null;
+let flushTimer = null;
+let running = false;
+let rerun = false;
+
+// Helper function to record the outcome of syncing one response
+const recordOutcome = async ({ response, failedFiles = [], error }) => {
+  if (error) {
+    console.error(`🔄 Sync failed for response ${response._id}:`, error.details || error.message);
+    await response.addError('Failed to sync with Airtable', error.details || error.message);
+    await response.updateSyncAttempt(error);
+
+    if (response.status === 'dead') {
+      console.error(`☠️ Response ${response._id} moved to dead letter after ${response.syncStatus.syncAttempts} attempts`);
+    }
+  } else if (failedFiles.length > 0) {
+    // The record exists; the next attempt only re-sends these files
+    await response.addError(
+      'Failed to upload attachments to Airtable',
+      failedFiles.map(file => ({ filename: file.originalName, error: file.upload.error }))
+    );
+    await response.updateAttachmentAttempt(failedFiles);
+
+    if (response.syncStatus.attachmentsFailedAt) {
+      console.error(`☠️ Gave up uploading ${failedFiles.length} attachment(s) of response ${response._id}`);
+    }
+  } else {
+    console.log(`🔄 Synced response ${response._id} to Airtable`);
+  }
+};
+
+// Helper function to group claimed responses into sync batches. Responses
+// without a record are grouped per base, table, form owner (whose token is
+// used) and upsert merge fields, and split into batches of
+// MAX_RECORDS_PER_REQUEST; responses whose record exists (or that edit an
+// existing record) go one by one.
+const groupResponses = async (responses) => {
+  const forms = new Map();
+  const groups = new Map();
+  const batches = [];
+
+  for (const response of responses) {
+    const formId = response.formId.toString();
+    if (!forms.has(formId)) {
+      const form = await Form.findById(formId);
+      const owner = form && await User.findById(form.userId);
+      forms.set(formId, { form, owner });
+    }
+    const { form, owner } = forms.get(formId);
+
+    if (!owner || !owner.airtableAccessToken) {
+      await recordOutcome({ response, error: new Error('Form or form owner access token not found') });
+      continue;
+    }
+
+    const entry = { response, form };
+    if (response.airtableRecordId || response.edit?.recordId) {
+      batches.push({ token: owner, entries: [entry], single: true });
+      continue;
+    }
+
+    const mergeFieldNames = getMergeFields(form.settings, form.fields).map(field => field.airtableFieldName);
+    const key = [response.airtableBaseId, response.airtableTableId, owner._id, ...mergeFieldNames].join('/');
+    if (!groups.has(key)) {
+      groups.set(key, { token: owner, entries: [] });
+    }
+    groups.get(key).entries.push(entry);
+  }
+
+  groups.forEach(({ token, entries }) => {
+    for (let i = 0; i < entries.length; i += MAX_RECORDS_PER_REQUEST) {
+      batches.push({ token, entries: entries.slice(i, i + MAX_RECORDS_PER_REQUEST) });
+    }
+  });
+
+  return batches;
+};
+
+// Helper function to sync one batch; resolves with one outcome per response
+const syncBatch = async ({ token, entries, single }) => {
+  if (!single) {
+    return syncNewResponses(token, entries);
+  }
+
+  const [{ response, form }] = entries;
+  try {
+    return [{ response, failedFiles: await syncResponse(token, response, form) }];
+  } catch (error) {
+    return [{ response, error }];
+  }
+};
+
+// Sync every response that is new or whose retry is due
+const runSyncCycle = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+
+  try {
+    const due = await Response.findPendingSync().limit(CYCLE_SIZE).select('_id');
+
+    const claimed = [];
+    for (const { _id } of due) {
+      const response = await Response.claimForSync(_id, LOCK_DURATION);
+      if (response) claimed.push(response); // Otherwise claimed by another worker in the meantime
+    }
+
+    for (const batch of await groupResponses(claimed)) {
+      const results = await syncBatch(batch);
+
+      for (const result of results) {
+        try {
+          await recordOutcome(result);
+        } catch (error) {
+          console.error(`💥 Sync worker error for response ${result.response._id}:`, error.message);
+        }
+      }
+    }
+
+    // More are waiting (e.g. a burst of submissions): keep going
+    if (due.length === CYCLE_SIZE) rerun = true;
+  } catch (error) {
+    console.error('💥 Sync worker error:', error.message);
+  } finally {
+    running = false;
+  }
+
+  if (rerun) {
+    rerun = false;
+    requestSync();
+  }
+};
+
+// Run a cycle shortly, so a new submission doesn't wait for the next poll.
+// Submissions arriving within BATCH_WINDOW share the cycle, and so the
+// batch requests.
+const requestSync = () => {
+  if (flushTimer) return;
+
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    runSyncCycle();
+  }, BATCH_WINDOW);
+};
+
+const startSyncWorker = () => {
+  if (timer || process.env.SYNC_WORKER_ENABLED === 'false') return;
+
+  timer = setInterval(runSyncCycle, POLL_INTERVAL);
+  runSyncCycle();
+  console.log('🔄 Airtable sync worker started');
+};
+
+const stopSyncWorker = () => {
+  clearInterval(timer);
+  clearTimeout(flushTimer);
+  timer = null;
+  flushTimer = null;
+};
+
+module.exports = {
+  requestSync,
+  runSyncCycle,
+  startSyncWorker,
+  stopSyncWorker
+};
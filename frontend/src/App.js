@@ -5,6 +5,7 @@ import 'react-toastify/dist/ReactToastify.css';
 // Context
 import { AuthProvider } from './contexts/AuthContext';
 import { FormProvider } from './contexts/FormContext';
+import { WorkspaceProvider } from './contexts/WorkspaceContext';
 
 // Components
 import ProtectedRoute from './components/Auth/ProtectedRoute';
@@ -18,97 +19,119 @@ import FormAnalytics from './pages/FormAnalytics';
 import FormBuilder from './pages/FormBuilder';
 import FormEditor from './pages/FormEditor';
 import FormResponses from './pages/FormResponses';
+import ForgotPassword from './pages/ForgotPassword';
 import FormViewer from './pages/FormViewer';
+import InviteAccept from './pages/InviteAccept';
 import Landing from './pages/Landing';
+import Login from './pages/Login';
 import NotFound from './pages/NotFound';
+import ResetPassword from './pages/ResetPassword';
 import Settings from './pages/Settings';
+import VerifyEmail from './pages/VerifyEmail';
+import WorkspaceMembers from './pages/WorkspaceMembers';
 
 function App() {
   return (
     <Router>
       <AuthProvider>
-        <FormProvider>
-          <div className="App min-h-screen bg-gray-50">
-            <Routes>
-              {/* Public routes */}
-              <Route path="/" element={<Landing />} />
-              <Route path="/form/:id" element={<FormViewer />} />
-              <Route path="/embed/:id" element={<FormViewer embedded={true} />} />
-              <Route path="/auth/callback" element={<AuthCallback />} />
-              <Route path="/auth/error" element={<AuthError />} />
+        <WorkspaceProvider>
+          <FormProvider>
+            <div className="App min-h-screen bg-gray-50">
+              <Routes>
+                {/* Public routes */}
+                <Route path="/" element={<Landing />} />
+                <Route path="/form/:id" element={<FormViewer />} />
+                <Route path="/embed/:id" element={<FormViewer embedded={true} />} />
+                <Route path="/auth/callback" element={<AuthCallback />} />
+                <Route path="/auth/error" element={<AuthError />} />
+                <Route path="/invites/:token" element={<InviteAccept />} />
+                <Route path="/login" element={<Login />} />
+                <Route path="/register" element={<Login mode="register" />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
               
-              {/* Protected routes */}
-              <Route path="/dashboard" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <Dashboard />
-                  </Layout>
-                </ProtectedRoute>
-              } />
+                {/* Protected routes */}
+                <Route path="/dashboard" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <Dashboard />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
               
-              <Route path="/forms/new" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <FormBuilder />
-                  </Layout>
-                </ProtectedRoute>
-              } />
+                <Route path="/forms/new" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <FormBuilder />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
               
-              <Route path="/forms/:id/edit" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <FormEditor />
-                  </Layout>
-                </ProtectedRoute>
-              } />
+                <Route path="/forms/:id/edit" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <FormEditor />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
               
-              <Route path="/forms/:id/analytics" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <FormAnalytics />
-                  </Layout>
-                </ProtectedRoute>
-              } />
+                <Route path="/forms/:id/analytics" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <FormAnalytics />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
               
-              <Route path="/forms/:id/responses" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <FormResponses />
-                  </Layout>
-                </ProtectedRoute>
-              } />
+                <Route path="/forms/:id/responses" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <FormResponses />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
               
-              <Route path="/settings" element={
-                <ProtectedRoute>
-                  <Layout>
-                    <Settings />
-                  </Layout>
-                </ProtectedRoute>
-              } />
+                <Route path="/workspace/members" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <WorkspaceMembers />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
               
-              {/* Redirects */}
-              <Route path="/forms" element={<Navigate to="/dashboard" replace />} />
+                <Route path="/settings" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <Settings />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
               
-              {/* 404 */}
-              <Route path="*" element={<NotFound />} />
-            </Routes>
+                {/* Redirects */}
+                <Route path="/forms" element={<Navigate to="/dashboard" replace />} />
+              
+                {/* 404 */}
+                <Route path="*" element={<NotFound />} />
+              </Routes>
             
-            {/* Toast notifications */}
-            <ToastContainer
-              position="top-right"
-              autoClose={5000}
-              hideProgressBar={false}
-              newestOnTop={false}
-              closeOnClick
-              rtl={false}
-              pauseOnFocusLoss
-              draggable
-              pauseOnHover
-              theme="light"
-              className="mt-16"
-            />
-          </div>
-        </FormProvider>
+              {/* Toast notifications */}
+              <ToastContainer
+                position="top-right"
+                autoClose={5000}
+                hideProgressBar={false}
+                newestOnTop={false}
+                closeOnClick
+                rtl={false}
+                pauseOnFocusLoss
+                draggable
+                pauseOnHover
+                theme="light"
+                className="mt-16"
+              />
+            </div>
+          </FormProvider>
+        </WorkspaceProvider>
       </AuthProvider>
     </Router>
   );
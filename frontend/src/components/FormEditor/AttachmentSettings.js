@@ -0,0 +1,115 @@
+import {
+  ATTACHMENT_TYPE_PRESETS,
+  MAX_ATTACHMENT_FILES,
+  MAX_ATTACHMENT_FILE_SIZE,
+  getAttachmentRules,
+  getAttachmentRulesError
+} from 'airtable-form-builder-shared';
+import { Paperclip } from 'lucide-react';
+import { useState } from 'react';
+
+const MB = 1024 * 1024;
+
+const PRESET_TYPES = ATTACHMENT_TYPE_PRESETS.flatMap(preset => preset.types);
+
+// Upload rules for attachment fields: accepted file types, size and count.
+// The same rules are enforced by the server and the form's upload area.
+const AttachmentSettings = ({ field, onChange }) => {
+  // Saved values as typed (a cleared limit is null), with defaults filled in
+  const defaults = getAttachmentRules(field);
+  const saved = field.attachmentRules || {};
+  const rules = {
+    acceptedTypes: saved.acceptedTypes ?? defaults.acceptedTypes,
+    maxFileSize: saved.maxFileSize === undefined ? defaults.maxFileSize : saved.maxFileSize,
+    maxFiles: saved.maxFiles === undefined ? defaults.maxFiles : saved.maxFiles
+  };
+  const [customTypes, setCustomTypes] = useState(
+    rules.acceptedTypes.filter(type => !PRESET_TYPES.includes(type)).join(', ')
+  );
+
+  const update = (updates) => {
+    onChange({ attachmentRules: { ...rules, ...updates } });
+  };
+
+  const isPresetChecked = (preset) => preset.types.every(type => rules.acceptedTypes.includes(type));
+
+  const togglePreset = (preset) => {
+    const others = rules.acceptedTypes.filter(type => !preset.types.includes(type));
+    update({ acceptedTypes: isPresetChecked(preset) ? others : [...others, ...preset.types] });
+  };
+
+  const handleCustomTypesChange = (text) => {
+    setCustomTypes(text);
+    const custom = text.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+    update({
+      acceptedTypes: [...rules.acceptedTypes.filter(type => PRESET_TYPES.includes(type)), ...custom]
+    });
+  };
+
+  const error = getAttachmentRulesError(field.attachmentRules);
+
+  return (
+    <div className="border-t border-gray-200 pt-4 space-y-3">
+      <h4 className="text-sm font-medium text-gray-900 flex items-center">
+        <Paperclip className="h-4 w-4 mr-2" />
+        Upload Rules
+      </h4>
+
+      <div>
+        <label className="label">Accepted file types</label>
+        <div className="grid grid-cols-2 gap-2">
+          {ATTACHMENT_TYPE_PRESETS.map(preset => (
+            <label key={preset.value} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={isPresetChecked(preset)}
+                onChange={() => togglePreset(preset)}
+                className="h-4 w-4 mr-2 text-primary-600 rounded border-gray-300 focus:ring-primary-500"
+              />
+              {preset.label}
+            </label>
+          ))}
+        </div>
+        <input
+          type="text"
+          className="input mt-2 font-mono text-sm"
+          value={customTypes}
+          onChange={(e) => handleCustomTypesChange(e.target.value)}
+          placeholder="Other MIME types, e.g. application/zip, image/*"
+        />
+        <p className="help-text">
+          {rules.acceptedTypes.length === 0 ? 'Any file type is accepted.' : 'Only these file types can be uploaded.'}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="label">Max size per file (MB)</label>
+          <input
+            type="number"
+            className="input"
+            min="1"
+            max={MAX_ATTACHMENT_FILE_SIZE / MB}
+            value={rules.maxFileSize === null ? '' : Math.round(rules.maxFileSize / MB * 10) / 10}
+            onChange={(e) => update({ maxFileSize: e.target.value === '' ? null : Math.round(Number(e.target.value) * MB) })}
+          />
+        </div>
+        <div>
+          <label className="label">Max number of files</label>
+          <input
+            type="number"
+            className="input"
+            min="1"
+            max={MAX_ATTACHMENT_FILES}
+            value={rules.maxFiles ?? ''}
+            onChange={(e) => update({ maxFiles: e.target.value === '' ? null : Number(e.target.value) })}
+          />
+        </div>
+      </div>
+
+      {error && <p className="error-text">{error}</p>}
+    </div>
+  );
+};
+
+export default AttachmentSettings;
@@ -0,0 +1,378 @@
+import { AlertCircle, Filter, Plus, X } from 'lucide-react';
+import { isDateFieldType } from 'airtable-form-builder-shared';
+import {
+  COMBINATORS,
+  CONDITION_OPERATORS,
+  MAX_CONDITION_DEPTH,
+  createGroup,
+  createRule,
+  describeConditions,
+  getDefaultValue,
+  getOperator,
+  getRootGroup,
+  getRuleError,
+  getSourceFields,
+  isGroup
+} from '../../utils/conditions';
+
+const SELECT_TYPES = ['singleSelect', 'multipleSelect'];
+
+const hasOptions = (source) =>
+  !!source && SELECT_TYPES.includes(source.airtableFieldType) && source.options?.length > 0;
+
+const RuleValueInput = ({ rule, source, onChange }) => {
+  const operator = getOperator(rule.operator);
+  if (!operator?.needsValue) {
+    return null;
+  }
+
+  // Date fields compare against dates, whichever comparison is chosen
+  const isDateSource = isDateFieldType(source?.airtableFieldType);
+  const valueKind = isDateSource && operator.valueKind === 'number' ? 'date' : operator.valueKind;
+
+  switch (valueKind) {
+    case 'number':
+      return (
+        <input
+          type="text"
+          inputMode="decimal"
+          className="input"
+          value={rule.value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="Number"
+        />
+      );
+
+    case 'date':
+      return (
+        <input
+          type="date"
+          className="input"
+          value={rule.value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      );
+
+    case 'range': {
+      const [min = '', max = ''] = Array.isArray(rule.value) ? rule.value : [];
+
+      return (
+        <div className="flex items-center space-x-2">
+          <input
+            type={isDateSource ? 'date' : 'text'}
+            className="input"
+            value={min}
+            onChange={(e) => onChange([e.target.value, max])}
+            placeholder="Min"
+          />
+          <span className="text-xs text-gray-500">and</span>
+          <input
+            type={isDateSource ? 'date' : 'text'}
+            className="input"
+            value={max}
+            onChange={(e) => onChange([min, e.target.value])}
+            placeholder="Max"
+          />
+        </div>
+      );
+    }
+
+    case 'list': {
+      if (!hasOptions(source)) {
+        return (
+          <input
+            type="text"
+            className="input"
+            value={Array.isArray(rule.value) ? rule.value.join(', ') : rule.value ?? ''}
+            onChange={(e) => onChange(e.target.value)}
+            placeholder="Values, separated by commas"
+          />
+        );
+      }
+
+      const selected = Array.isArray(rule.value) ? rule.value : [];
+      const toggle = (name) => onChange(
+        selected.includes(name)
+          ? selected.filter(item => item !== name)
+          : [...selected, name]
+      );
+
+      return (
+        <div className="border border-gray-300 rounded-md p-2 max-h-32 overflow-y-auto space-y-1">
+          {source.options.map(option => (
+            <label key={option.id || option.name} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={selected.includes(option.name)}
+                onChange={() => toggle(option.name)}
+                className="h-4 w-4 mr-2 text-primary-600 rounded border-gray-300 focus:ring-primary-500"
+              />
+              {option.name}
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    case 'regex':
+      return (
+        <input
+          type="text"
+          className="input font-mono"
+          value={rule.value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="e.g. ^[A-Z]{3}-\d+$"
+        />
+      );
+
+    default:
+      break;
+  }
+
+  if (hasOptions(source)) {
+    return (
+      <select
+        className="select"
+        value={rule.value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <option value="">Select a value...</option>
+        {source.options.map(option => (
+          <option key={option.id || option.name} value={option.name}>
+            {option.name}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <input
+      type="text"
+      className="input"
+      value={rule.value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder="Value"
+    />
+  );
+};
+
+const RuleRow = ({ rule, label, field, fields, sourceFields, onChange, onRemove }) => {
+  const source = fields.find(candidate => candidate.airtableFieldId === rule.fieldId);
+  const error = getRuleError(rule, field, fields);
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-start space-x-2">
+        <span className="text-xs font-medium text-gray-500 w-10 pt-3">{label}</span>
+        <div className="flex-1 grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <select
+            className={`select ${error && !source ? 'input-error' : ''}`}
+            value={rule.fieldId}
+            onChange={(e) => onChange({ fieldId: e.target.value, value: getDefaultValue(rule.operator) })}
+          >
+            <option value="">Select a field...</option>
+            {sourceFields.map(candidate => (
+              <option key={candidate.airtableFieldId} value={candidate.airtableFieldId}>
+                {candidate.label}
+              </option>
+            ))}
+            {source && !sourceFields.includes(source) && (
+              <option value={source.airtableFieldId} disabled>
+                {source.label}
+              </option>
+            )}
+          </select>
+          <select
+            className="select"
+            value={rule.operator}
+            onChange={(e) => {
+              const next = e.target.value;
+              const keepValue = getOperator(next)?.valueKind === getOperator(rule.operator)?.valueKind;
+              onChange({ operator: next, value: keepValue ? rule.value : getDefaultValue(next) });
+            }}
+          >
+            {CONDITION_OPERATORS.map(operator => (
+              <option key={operator.value} value={operator.value}>
+                {operator.label}
+              </option>
+            ))}
+          </select>
+          <RuleValueInput
+            rule={rule}
+            source={source}
+            onChange={(value) => onChange({ value })}
+          />
+        </div>
+        <button
+          type="button"
+          onClick={onRemove}
+          className="p-2 mt-1 text-gray-400 hover:text-red-600 transition-colors"
+          title="Remove rule"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+      {error && (
+        <p className="error-text flex items-center ml-12">
+          <AlertCircle className="h-3 w-3 mr-1" />
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const ConditionGroup = ({ group, depth, field, fields, sourceFields, onChange, onRemove }) => {
+  const conditions = group.conditions || [];
+  const joiner = COMBINATORS.find(combinator => combinator.value === group.combinator)?.joiner || 'and';
+  const defaultSourceId = sourceFields[sourceFields.length - 1]?.airtableFieldId;
+
+  const updateCondition = (index, condition) => {
+    onChange({
+      ...group,
+      conditions: conditions.map((current, i) => (i === index ? condition : current))
+    });
+  };
+
+  const removeCondition = (index) => {
+    onChange({ ...group, conditions: conditions.filter((_, i) => i !== index) });
+  };
+
+  const addCondition = (condition) => {
+    onChange({ ...group, conditions: [...conditions, condition] });
+  };
+
+  return (
+    <div className={depth > 1 ? 'border border-gray-200 rounded-lg p-3 space-y-3 bg-gray-50' : 'space-y-3'}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center text-sm text-gray-700">
+          <span>Match</span>
+          <select
+            className="select mx-2 w-auto py-1"
+            value={group.combinator}
+            onChange={(e) => onChange({ ...group, combinator: e.target.value })}
+          >
+            {COMBINATORS.map(combinator => (
+              <option key={combinator.value} value={combinator.value}>
+                {combinator.label}
+              </option>
+            ))}
+          </select>
+          <span>of the following</span>
+        </div>
+        {onRemove && (
+          <button
+            type="button"
+            onClick={onRemove}
+            className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+            title="Remove group"
+          >
+            <X className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+
+      {conditions.map((condition, index) => {
+        const label = index === 0 ? 'When' : joiner.charAt(0).toUpperCase() + joiner.slice(1);
+
+        return isGroup(condition) ? (
+          <div key={index} className="flex items-start space-x-2">
+            <span className="text-xs font-medium text-gray-500 w-10 pt-3">{label}</span>
+            <div className="flex-1">
+              <ConditionGroup
+                group={condition}
+                depth={depth + 1}
+                field={field}
+                fields={fields}
+                sourceFields={sourceFields}
+                onChange={(updated) => updateCondition(index, updated)}
+                onRemove={() => removeCondition(index)}
+              />
+            </div>
+          </div>
+        ) : (
+          <RuleRow
+            key={index}
+            rule={condition}
+            label={label}
+            field={field}
+            fields={fields}
+            sourceFields={sourceFields}
+            onChange={(updates) => updateCondition(index, { ...condition, ...updates })}
+            onRemove={() => removeCondition(index)}
+          />
+        );
+      })}
+
+      {depth > 1 && conditions.length === 0 && (
+        <p className="error-text flex items-center">
+          <AlertCircle className="h-3 w-3 mr-1" />
+          Add at least one rule to this group
+        </p>
+      )}
+
+      <div className="flex space-x-2">
+        <button
+          type="button"
+          onClick={() => addCondition(createRule(defaultSourceId))}
+          disabled={sourceFields.length === 0}
+          className="btn btn-secondary btn-sm"
+          title={sourceFields.length === 0 ? 'Only fields above this one can be used in rules' : undefined}
+        >
+          <Plus className="h-3 w-3 mr-1" />
+          Add Rule
+        </button>
+        {depth < MAX_CONDITION_DEPTH && (
+          <button
+            type="button"
+            onClick={() => addCondition(createGroup(
+              group.combinator === 'any' ? 'all' : 'any',
+              [createRule(defaultSourceId)]
+            ))}
+            disabled={sourceFields.length === 0}
+            className="btn btn-secondary btn-sm"
+          >
+            <Plus className="h-3 w-3 mr-1" />
+            Add Group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ConditionBuilder = ({ field, fields, onChange }) => {
+  const sourceFields = getSourceFields(field, fields);
+
+  return (
+    <div className="border-t border-gray-200 pt-4 space-y-3">
+      <h4 className="text-sm font-medium text-gray-900 flex items-center">
+        <Filter className="h-4 w-4 mr-2" />
+        Conditional Logic
+      </h4>
+
+      <p className="help-text">{describeConditions(field, fields)}</p>
+
+      {sourceFields.length === 0 && !field.showWhen?.length && (
+        <p className="text-xs text-gray-400">
+          Rules can only depend on fields placed above this one.
+        </p>
+      )}
+
+      <ConditionGroup
+        group={getRootGroup(field)}
+        depth={1}
+        field={field}
+        fields={fields}
+        sourceFields={sourceFields}
+        onChange={(group) => onChange({
+          showWhen: group.conditions,
+          showWhenCombinator: group.combinator
+        })}
+      />
+    </div>
+  );
+};
+
+export default ConditionBuilder;
@@ -0,0 +1,120 @@
+import { ChevronDown, ChevronUp, GripVertical, Trash2 } from 'lucide-react';
+import { FIELD_TYPE_LABELS, TYPES_WITHOUT_PLACEHOLDER } from '../../utils/fieldTypes';
+import { cn } from '../../utils/cn';
+
+const FieldCard = ({
+  field,
+  expanded,
+  isDragging,
+  dragHandleProps,
+  onToggle,
+  onChange,
+  onRemove,
+  children
+}) => {
+  return (
+    <div
+      className={cn(
+        "border rounded-lg bg-white transition-shadow",
+        isDragging ? "border-primary-400 shadow-lg" : "border-gray-200"
+      )}
+    >
+      {/* Summary row */}
+      <div className="flex items-center p-3">
+        <div {...dragHandleProps} className="drag-handle mr-3" title="Drag to reorder">
+          <GripVertical className="h-5 w-5" />
+        </div>
+
+        <button
+          type="button"
+          onClick={onToggle}
+          className="flex-1 flex items-center justify-between text-left min-w-0"
+        >
+          <div className="min-w-0">
+            <div className="font-medium text-gray-900 truncate">
+              {field.label || field.airtableFieldName}
+            </div>
+            <div className="text-sm text-gray-500 truncate">
+              {field.airtableFieldName} · {FIELD_TYPE_LABELS[field.airtableFieldType] || field.airtableFieldType}
+            </div>
+          </div>
+          <div className="flex items-center space-x-2 ml-3">
+            {field.showWhen?.length > 0 && <span className="badge badge-warning">Conditional</span>}
+            {field.required && <span className="badge badge-primary">Required</span>}
+            {expanded ? (
+              <ChevronUp className="h-4 w-4 text-gray-400" />
+            ) : (
+              <ChevronDown className="h-4 w-4 text-gray-400" />
+            )}
+          </div>
+        </button>
+
+        <button
+          type="button"
+          onClick={onRemove}
+          className="ml-2 p-2 text-gray-400 hover:text-red-600 transition-colors"
+          title="Remove field"
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </div>
+
+      {/* Field settings */}
+      {expanded && (
+        <div className="px-4 pb-4 pt-3 space-y-4 border-t border-gray-200">
+          <div>
+            <label className="label label-required">Label</label>
+            <input
+              type="text"
+              className="input"
+              value={field.label}
+              onChange={(e) => onChange({ label: e.target.value })}
+              placeholder={field.airtableFieldName}
+            />
+          </div>
+
+          {!TYPES_WITHOUT_PLACEHOLDER.includes(field.airtableFieldType) && (
+            <div>
+              <label className="label">Placeholder</label>
+              <input
+                type="text"
+                className="input"
+                value={field.placeholder || ''}
+                onChange={(e) => onChange({ placeholder: e.target.value })}
+                placeholder="Shown inside the empty input"
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="label">Description</label>
+            <textarea
+              className="textarea"
+              value={field.description || ''}
+              onChange={(e) => onChange({ description: e.target.value })}
+              placeholder="Help text shown under the label"
+              rows={2}
+            />
+          </div>
+
+          <div className="flex items-center">
+            <input
+              id={`required-${field.airtableFieldId}`}
+              type="checkbox"
+              checked={!!field.required}
+              onChange={(e) => onChange({ required: e.target.checked })}
+              className="h-4 w-4 text-primary-600 rounded border-gray-300 focus:ring-primary-500"
+            />
+            <label htmlFor={`required-${field.airtableFieldId}`} className="ml-2 text-sm text-gray-700">
+              Required field
+            </label>
+          </div>
+
+          {children}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FieldCard;
@@ -0,0 +1,56 @@
+import { Link2 } from 'lucide-react';
+
+// Restrict which records a linked-record field offers to respondents
+const RecordLinkSettings = ({ field, linkedTable, onChange }) => {
+  const linkSettings = field.linkSettings || {};
+
+  const update = (updates) => {
+    onChange({ linkSettings: { ...linkSettings, ...updates } });
+  };
+
+  return (
+    <div className="border-t border-gray-200 pt-4 space-y-3">
+      <h4 className="text-sm font-medium text-gray-900 flex items-center">
+        <Link2 className="h-4 w-4 mr-2" />
+        Linked Records
+      </h4>
+
+      <p className="help-text">
+        Respondents search {linkedTable ? `the ${linkedTable.name} table` : 'the linked table'} by
+        its primary field. Only the records allowed below can be picked.
+      </p>
+
+      <div>
+        <label className="label">Limit to view</label>
+        <select
+          className="select"
+          value={linkSettings.view || ''}
+          onChange={(e) => update({ view: e.target.value })}
+        >
+          <option value="">All records</option>
+          {(linkedTable?.views || []).map(view => (
+            <option key={view.id} value={view.id}>
+              {view.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="label">Filter formula</label>
+        <textarea
+          className="textarea font-mono text-sm"
+          value={linkSettings.filterByFormula || ''}
+          onChange={(e) => update({ filterByFormula: e.target.value })}
+          placeholder={'{Status} = "Active"'}
+          rows={2}
+        />
+        <p className="help-text">
+          Optional Airtable formula; only records where it is true are offered.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default RecordLinkSettings;
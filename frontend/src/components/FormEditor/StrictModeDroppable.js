@@ -0,0 +1,25 @@
+import { useEffect, useState } from 'react';
+import { Droppable } from 'react-beautiful-dnd';
+
+// react-beautiful-dnd loses track of droppables when React 18 StrictMode
+// mounts effects twice, so only render the Droppable after the first frame.
+const StrictModeDroppable = ({ children, ...props }) => {
+  const [enabled, setEnabled] = useState(false);
+
+  useEffect(() => {
+    const animation = requestAnimationFrame(() => setEnabled(true));
+
+    return () => {
+      cancelAnimationFrame(animation);
+      setEnabled(false);
+    };
+  }, []);
+
+  if (!enabled) {
+    return null;
+  }
+
+  return <Droppable {...props}>{children}</Droppable>;
+};
+
+export default StrictModeDroppable;
@@ -0,0 +1,80 @@
+import {
+  MAX_MERGE_FIELDS,
+  canMergeOn,
+  getUpsertSettingsError
+} from 'airtable-form-builder-shared';
+import { GitMerge } from 'lucide-react';
+
+// Upsert mode: a submission updates the Airtable record whose merge fields
+// match (e.g. the same email) instead of adding a duplicate row
+const UpsertSettings = ({ settings, fields, onChange }) => {
+  const upsert = settings.upsert || {};
+  const mergeFieldIds = upsert.mergeFieldIds || [];
+  const candidates = fields.filter(canMergeOn);
+
+  const update = (updates) => {
+    onChange({ upsert: { enabled: !!upsert.enabled, mergeFieldIds, ...updates } });
+  };
+
+  const toggleField = (fieldId) => {
+    update({
+      mergeFieldIds: mergeFieldIds.includes(fieldId)
+        ? mergeFieldIds.filter(id => id !== fieldId)
+        : [...mergeFieldIds, fieldId]
+    });
+  };
+
+  const error = getUpsertSettingsError(settings, fields);
+
+  return (
+    <div className="border-t border-gray-200 pt-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 flex items-center">
+            <GitMerge className="h-4 w-4 mr-2" />
+            Update Existing Records
+          </h4>
+          <p className="help-text">
+            Resubmissions update the matching Airtable record instead of creating a duplicate
+          </p>
+        </div>
+        <input
+          type="checkbox"
+          checked={!!upsert.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          className="h-4 w-4 text-primary-600 rounded border-gray-300 focus:ring-primary-500"
+        />
+      </div>
+
+      {upsert.enabled && (
+        <div>
+          <label className="label">Match records on</label>
+          {candidates.length === 0 ? (
+            <p className="help-text">Add a text, email, number or date field to the form to match records on it.</p>
+          ) : (
+            <div className="space-y-2">
+              {candidates.map(field => (
+                <label key={field.airtableFieldId} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={mergeFieldIds.includes(field.airtableFieldId)}
+                    onChange={() => toggleField(field.airtableFieldId)}
+                    className="h-4 w-4 mr-2 text-primary-600 rounded border-gray-300 focus:ring-primary-500"
+                  />
+                  {field.label}
+                </label>
+              ))}
+            </div>
+          )}
+          <p className="help-text">
+            Choose up to {MAX_MERGE_FIELDS} required fields; a record matches when all of them are equal.
+          </p>
+        </div>
+      )}
+
+      {error && <p className="error-text">{error}</p>}
+    </div>
+  );
+};
+
+export default UpsertSettings;
@@ -0,0 +1,154 @@
+import { Link2, Search, X } from 'lucide-react';
+import { useEffect, useRef, useState } from 'react';
+import { useForm } from '../../contexts/FormContext';
+import LoadingSpinner from '../UI/LoadingSpinner';
+
+const SEARCH_DELAY = 300;
+
+// Searchable picker for multipleRecordLinks fields. `value` holds record IDs;
+// `names` maps IDs to the primary field values shown on the chips.
+const RecordLinkPicker = ({ formId, fieldConfig, value, names, onChange, error }) => {
+  const { searchLinkedRecords } = useForm();
+  const [search, setSearch] = useState('');
+  const [records, setRecords] = useState([]);
+  const [offset, setOffset] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const containerRef = useRef(null);
+
+  const selectedIds = Array.isArray(value) ? value : [];
+  const single = !!fieldConfig.typeOptions?.prefersSingleRecordLink;
+
+  const loadRecords = async (searchText, pageOffset = null) => {
+    try {
+      setSearching(true);
+      setLoadError(null);
+      const result = await searchLinkedRecords(formId, fieldConfig.airtableFieldId, {
+        search: searchText || undefined,
+        offset: pageOffset || undefined
+      });
+      setRecords(prev => (pageOffset ? [...prev, ...result.records] : result.records));
+      setOffset(result.offset);
+    } catch (err) {
+      setLoadError(err.response?.data?.message || 'Failed to load records');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  // Debounce searches while the dropdown is open
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const timer = setTimeout(() => loadRecords(search), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [open, search]);
+
+  // Close the dropdown when clicking elsewhere
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const selectRecord = (record) => {
+    if (selectedIds.includes(record.id)) {
+      onChange(selectedIds.filter(id => id !== record.id), {});
+      return;
+    }
+
+    onChange(single ? [record.id] : [...selectedIds, record.id], { [record.id]: record.name });
+    if (single) {
+      setOpen(false);
+    }
+  };
+
+  const removeRecord = (recordId) => {
+    onChange(selectedIds.filter(id => id !== recordId), {});
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      {selectedIds.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {selectedIds.map(recordId => (
+            <span
+              key={recordId}
+              className="inline-flex items-center rounded-full bg-primary-50 text-primary-700 text-sm px-3 py-1"
+            >
+              <Link2 className="h-3 w-3 mr-1" />
+              {names[recordId] || recordId}
+              <button
+                type="button"
+                onClick={() => removeRecord(recordId)}
+                className="ml-1 text-primary-400 hover:text-primary-700"
+                title="Remove"
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400 pointer-events-none" />
+        <input
+          type="text"
+          className={`input pl-9 ${error ? 'input-error' : ''}`}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onFocus={() => setOpen(true)}
+          placeholder={fieldConfig.placeholder || (single ? 'Search for a record...' : 'Search for records...')}
+        />
+      </div>
+
+      {open && (
+        <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-60 overflow-y-auto">
+          {loadError ? (
+            <p className="p-3 text-sm text-red-600">{loadError}</p>
+          ) : records.length === 0 && !searching ? (
+            <p className="p-3 text-sm text-gray-500">No matching records</p>
+          ) : (
+            records.map(record => (
+              <button
+                key={record.id}
+                type="button"
+                onClick={() => selectRecord(record)}
+                className={`w-full text-left px-3 py-2 text-sm hover:bg-gray-50 ${
+                  selectedIds.includes(record.id) ? 'bg-primary-50 text-primary-700 font-medium' : 'text-gray-700'
+                }`}
+              >
+                {record.name}
+              </button>
+            ))
+          )}
+
+          {searching && (
+            <div className="p-3">
+              <LoadingSpinner size="sm" />
+            </div>
+          )}
+
+          {offset && !searching && (
+            <button
+              type="button"
+              onClick={() => loadRecords(search, offset)}
+              className="w-full px-3 py-2 text-sm text-primary-600 hover:bg-gray-50 border-t border-gray-100"
+            >
+              Load more
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecordLinkPicker;
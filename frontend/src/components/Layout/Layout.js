@@ -1,4 +1,5 @@
 import {
+    AlertTriangle,
     Bell,
     Home,
     LogOut,
@@ -7,24 +8,29 @@ import {
     Search,
     Settings,
     User,
+    Users,
     X
 } from 'lucide-react';
 import { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import { useWorkspace } from '../../contexts/WorkspaceContext';
 import { cn } from '../../utils/cn';
+import WorkspaceSwitcher from './WorkspaceSwitcher';
 
 const Layout = ({ children }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const { user, logout } = useAuth();
+  const { user, logout, loginWithAirtable } = useAuth();
+  const { permissions } = useWorkspace();
   const location = useLocation();
   const navigate = useNavigate();
 
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: Home },
-    { name: 'Create Form', href: '/forms/new', icon: Plus },
+    { name: 'Create Form', href: '/forms/new', icon: Plus, hidden: !permissions.editForms },
+    { name: 'Members', href: '/workspace/members', icon: Users },
     { name: 'Settings', href: '/settings', icon: Settings },
-  ];
+  ].filter(item => !item.hidden);
 
   const handleLogout = async () => {
     await logout();
@@ -61,6 +67,7 @@ const Layout = ({ children }) => {
                 FormBuilder
               </Link>
             </div>
+            <WorkspaceSwitcher />
             <nav className="mt-5 px-2 space-y-1">
               {navigation.map((item) => {
                 const Icon = item.icon;
@@ -107,6 +114,7 @@ const Layout = ({ children }) => {
                 FormBuilder
               </Link>
             </div>
+            <WorkspaceSwitcher />
             <nav className="mt-5 flex-1 px-2 space-y-1">
               {navigation.map((item) => {
                 const Icon = item.icon;
@@ -209,6 +217,20 @@ const Layout = ({ children }) => {
         {/* Main content area */}
         <main className="flex-1">
           <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+            {/* Airtable access revoked: forms can't sync until the owner reconnects */}
+            {user?.airtableTokenRevokedAt && (
+              <div className="mb-6 rounded-md bg-yellow-50 border border-yellow-200 p-4 flex items-center justify-between">
+                <div className="flex items-center">
+                  <AlertTriangle className="h-5 w-5 text-yellow-500 mr-3" />
+                  <p className="text-sm text-yellow-800">
+                    Airtable access for your account was revoked, so form responses can't be synced to Airtable until you reconnect.
+                  </p>
+                </div>
+                <button onClick={loginWithAirtable} className="btn btn-primary btn-sm ml-4">
+                  Reconnect Airtable
+                </button>
+              </div>
+            )}
             {children}
           </div>
         </main>
@@ -224,6 +246,7 @@ const getPageTitle = (pathname) => {
   if (pathname.includes('/forms/') && pathname.includes('/edit')) return 'Edit Form';
   if (pathname.includes('/forms/') && pathname.includes('/analytics')) return 'Form Analytics';
   if (pathname.includes('/forms/') && pathname.includes('/responses')) return 'Form Responses';
+  if (pathname === '/workspace/members') return 'Workspace Members';
   if (pathname === '/settings') return 'Settings';
   return 'FormBuilder';
 };
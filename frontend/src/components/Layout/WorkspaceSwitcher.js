@@ -0,0 +1,75 @@
+import { Plus } from 'lucide-react';
+import { useState } from 'react';
+import { useWorkspace } from '../../contexts/WorkspaceContext';
+
+// Sidebar control for picking the workspace the dashboard works in, or
+// starting a new one
+const WorkspaceSwitcher = () => {
+  const { workspaces, currentWorkspace, switchWorkspace, createWorkspace } = useWorkspace();
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    try {
+      await createWorkspace(name.trim());
+      setName('');
+      setCreating(false);
+    } catch (error) {
+      // createWorkspace shows the error
+    }
+  };
+
+  if (!currentWorkspace) {
+    return null;
+  }
+
+  return (
+    <div className="mt-5 px-4">
+      <label className="label">Workspace</label>
+      {creating ? (
+        <form onSubmit={handleCreate} className="space-y-2">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="input"
+            placeholder="Workspace name"
+            maxLength={100}
+            autoFocus
+          />
+          <div className="flex space-x-2">
+            <button type="submit" className="btn btn-primary btn-sm">Create</button>
+            <button type="button" onClick={() => setCreating(false)} className="btn btn-secondary btn-sm">
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex items-center space-x-2">
+          <select
+            value={currentWorkspace.id}
+            onChange={(e) => switchWorkspace(e.target.value)}
+            className="input"
+          >
+            {workspaces.map(workspace => (
+              <option key={workspace.id} value={workspace.id}>
+                {workspace.name}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setCreating(true)}
+            className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+            title="New workspace"
+          >
+            <Plus className="h-5 w-5" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceSwitcher;
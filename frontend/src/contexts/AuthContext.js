@@ -1,6 +1,6 @@
 import { createContext, useContext, useEffect, useReducer } from 'react';
 import { toast } from 'react-toastify';
-import { api } from '../config/api';
+import { API_BASE_URL, api } from '../config/api';
 
 // Initial state
 const initialState = {
@@ -19,7 +19,8 @@ const AUTH_ACTIONS = {
   LOGOUT: 'LOGOUT',
   SET_LOADING: 'SET_LOADING',
   CLEAR_ERROR: 'CLEAR_ERROR',
-  UPDATE_USER: 'UPDATE_USER'
+  UPDATE_USER: 'UPDATE_USER',
+  SET_TOKEN: 'SET_TOKEN'
 };
 
 // Reducer
@@ -80,6 +81,12 @@ const authReducer = (state, action) => {
         user: { ...state.user, ...action.payload }
       };
     
+    case AUTH_ACTIONS.SET_TOKEN:
+      return {
+        ...state,
+        token: action.payload
+      };
+    
     default:
       return state;
   }
@@ -88,6 +95,38 @@ const authReducer = (state, action) => {
 // Create context
 const AuthContext = createContext();
 
+// The access token is short-lived; the refresh token gets a new one (and is
+// replaced itself). Both live in localStorage so every tab shares them.
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// One session refresh at a time: requests that fail together wait for it
+let sessionRefresh = null;
+
+const refreshSession = () => {
+  if (!sessionRefresh) {
+    sessionRefresh = api
+      .post('/api/auth/token', { refreshToken: localStorage.getItem('refreshToken') }, { skipAuthRefresh: true })
+      .then(({ data }) => {
+        storeTokens(data);
+        return data.token;
+      })
+      .finally(() => {
+        sessionRefresh = null;
+      });
+  }
+  return sessionRefresh;
+};
+
 // Custom hook to use auth context
 export const useAuth = () => {
   const context = useContext(AuthContext);
@@ -106,8 +145,10 @@ export const AuthProvider = ({ children }) => {
     // Request interceptor to add token
     const requestInterceptor = api.interceptors.request.use(
       (config) => {
-        if (state.token) {
-          config.headers.Authorization = `Bearer ${state.token}`;
+        // Read from storage: the token may have been refreshed since render
+        const token = localStorage.getItem('token');
+        if (token) {
+          config.headers.Authorization = `Bearer ${token}`;
         }
         return config;
       },
@@ -117,15 +158,36 @@ export const AuthProvider = ({ children }) => {
     // Response interceptor to handle auth errors
     const responseInterceptor = api.interceptors.response.use(
       (response) => response,
-      (error) => {
-        if (error.response?.status === 401) {
+      async (error) => {
+        const { config, response } = error;
+
+        if (response?.status === 401 && !config?.skipAuthRefresh) {
           // Token expired or invalid
-          if (error.response.data?.needsRefresh) {
-            // Try to refresh token
-            refreshToken();
+          if (response.data?.tokenExpired && !config._retried && localStorage.getItem('refreshToken')) {
+            // Access token expired: get a new one and retry the request
+            try {
+              const token = await refreshSession();
+              dispatch({ type: AUTH_ACTIONS.SET_TOKEN, payload: token });
+
+              config._retried = true;
+              return api(config);
+            } catch (refreshError) {
+              console.error('Session refresh error:', refreshError);
+              clearTokens();
+              dispatch({ type: AUTH_ACTIONS.LOGOUT });
+              toast.error('Your session has expired. Please log in again.');
+            }
+          } else if (response.data?.needsReconnect) {
+            // Airtable access was revoked: the app session is still valid,
+            // Layout asks the user to reconnect
+            dispatch({
+              type: AUTH_ACTIONS.UPDATE_USER,
+              payload: { airtableTokenRevokedAt: new Date().toISOString() }
+            });
           } else {
-            // Logout user
-            logout();
+            // Session revoked or invalid: sign out
+            clearTokens();
+            dispatch({ type: AUTH_ACTIONS.LOGOUT });
             toast.error('Your session has expired. Please log in again.');
           }
         }
@@ -138,11 +200,33 @@ export const AuthProvider = ({ children }) => {
       api.interceptors.request.eject(requestInterceptor);
       api.interceptors.response.eject(responseInterceptor);
     };
-  }, [state.token]);
+  }, []);
 
   // Check if user is authenticated on app load
   useEffect(() => {
-    if (state.token) {
+    const getCurrentUser = async () => {
+      try {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
+        const response = await api.get('/api/auth/me');
+        
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: {
+            user: response.data,
+            token: localStorage.getItem('token')
+          }
+        });
+      } catch (error) {
+        console.error('Get current user error:', error);
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_FAILURE,
+          payload: error.response?.data?.message || 'Failed to get user data'
+        });
+        clearTokens();
+      }
+    };
+
+    if (localStorage.getItem('token')) {
       getCurrentUser();
     } else {
       dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
@@ -150,63 +234,32 @@ export const AuthProvider = ({ children }) => {
   }, []);
 
   // API functions
-  const getCurrentUser = async () => {
-    try {
-      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
-      const response = await api.get('/api/auth/me');
-      
-      dispatch({
-        type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: {
-          user: response.data,
-          token: state.token
-        }
-      });
-    } catch (error) {
-      console.error('Get current user error:', error);
-      dispatch({
-        type: AUTH_ACTIONS.LOGIN_FAILURE,
-        payload: error.response?.data?.message || 'Failed to get user data'
-      });
-      localStorage.removeItem('token');
-    }
+
+  const loginWithAirtable = () => {
+    dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+
+    // A full page navigation, so the backend's session cookie (holding the
+    // OAuth state) is set; the backend redirects on to Airtable
+    window.location.href = `${API_BASE_URL}/api/auth/airtable`;
   };
 
-  const loginWithAirtable = async () => {
-    try {
-      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
-      
-      const response = await api.get('/api/auth/airtable');
-      
-      // Redirect to Airtable OAuth
-      window.location.href = response.data.authUrl;
-    } catch (error) {
-      console.error('Airtable login error:', error);
-      dispatch({
-        type: AUTH_ACTIONS.LOGIN_FAILURE,
-        payload: error.response?.data?.message || 'Failed to initiate login'
-      });
-      toast.error('Failed to start login process');
-    }
+  // Store a new session's tokens and sign its user in
+  const signIn = ({ token, refreshToken, user }) => {
+    storeTokens({ token, refreshToken });
+    dispatch({
+      type: AUTH_ACTIONS.LOGIN_SUCCESS,
+      payload: {
+        user,
+        token
+      }
+    });
   };
 
-  const handleAuthCallback = async (token) => {
+  // Trade the one-time code the OAuth callback redirected with for a JWT
+  const handleAuthCallback = async (code) => {
     try {
-      // Store token
-      localStorage.setItem('token', token);
-      
-      // Get user data
-      const response = await api.get('/api/auth/me', {
-        headers: { Authorization: `Bearer ${token}` }
-      });
-      
-      dispatch({
-        type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: {
-          user: response.data,
-          token: token
-        }
-      });
+      const response = await api.post('/api/auth/exchange', { code });
+      signIn(response.data);
       
       toast.success('Successfully logged in!');
       return true;
@@ -216,33 +269,65 @@ export const AuthProvider = ({ children }) => {
         type: AUTH_ACTIONS.LOGIN_FAILURE,
         payload: error.response?.data?.message || 'Login failed'
       });
-      localStorage.removeItem('token');
+      clearTokens();
       toast.error('Login failed');
       return false;
     }
   };
 
-  const refreshToken = async () => {
+  // Local (email/password) accounts. Failed sign-ins answer 401, which must
+  // not be handled as an expired session.
+  const loginWithPassword = async (email, password) => {
     try {
-      await api.post('/api/auth/refresh');
-      // Token is refreshed automatically by the backend
-      toast.info('Session refreshed');
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+      const response = await api.post('/api/auth/login', { email, password }, { skipAuthRefresh: true });
+      signIn(response.data);
+      toast.success('Successfully logged in!');
+      return { success: true };
     } catch (error) {
-      console.error('Token refresh error:', error);
-      logout();
-      toast.error('Session expired. Please log in again.');
+      console.error('Password login error:', error);
+      const message = error.response?.data?.message || 'Login failed';
+      dispatch({ type: AUTH_ACTIONS.LOGIN_FAILURE, payload: message });
+      return { success: false, message, needsVerification: !!error.response?.data?.needsVerification };
     }
   };
 
+  const register = async ({ email, password, name }) => {
+    const response = await api.post('/api/auth/register', { email, password, name });
+    return response.data.message;
+  };
+
+  const verifyEmail = async (token) => {
+    const response = await api.post('/api/auth/verify-email', { token });
+    signIn(response.data);
+    toast.success('Email verified. Welcome to FormBuilder!');
+  };
+
+  const resendVerification = async (email) => {
+    const response = await api.post('/api/auth/resend-verification', { email });
+    return response.data.message;
+  };
+
+  const requestPasswordReset = async (email) => {
+    const response = await api.post('/api/auth/forgot-password', { email });
+    return response.data.message;
+  };
+
+  const resetPassword = async (token, password) => {
+    const response = await api.post('/api/auth/reset-password', { token, password });
+    return response.data.message;
+  };
+
   const logout = async () => {
     try {
-      if (state.token) {
-        await api.post('/api/auth/logout');
+      const refreshToken = localStorage.getItem('refreshToken');
+      if (refreshToken) {
+        await api.post('/api/auth/logout', { refreshToken }, { skipAuthRefresh: true });
       }
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('token');
+      clearTokens();
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
       toast.success('Logged out successfully');
     }
@@ -251,7 +336,7 @@ export const AuthProvider = ({ children }) => {
   const deleteAccount = async () => {
     try {
       await api.delete('/api/auth/account');
-      localStorage.removeItem('token');
+      clearTokens();
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
       toast.success('Account deleted successfully');
       return true;
@@ -262,6 +347,34 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const getSessions = async () => {
+    try {
+      const response = await api.get('/api/auth/sessions');
+      return response.data.sessions;
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      throw error;
+    }
+  };
+
+  const revokeSession = async (session) => {
+    try {
+      await api.delete(`/api/auth/sessions/${session.id}`);
+
+      if (session.current) {
+        clearTokens();
+        dispatch({ type: AUTH_ACTIONS.LOGOUT });
+        toast.success('Logged out successfully');
+      } else {
+        toast.success('Session revoked');
+      }
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      toast.error(error.response?.data?.message || 'Failed to revoke session');
+      throw error;
+    }
+  };
+
   const updateUser = (userData) => {
     dispatch({
       type: AUTH_ACTIONS.UPDATE_USER,
@@ -278,11 +391,18 @@ export const AuthProvider = ({ children }) => {
     ...state,
     loginWithAirtable,
     handleAuthCallback,
+    loginWithPassword,
+    register,
+    verifyEmail,
+    resendVerification,
+    requestPasswordReset,
+    resetPassword,
     logout,
     deleteAccount,
+    getSessions,
+    revokeSession,
     updateUser,
-    clearError,
-    refreshToken
+    clearError
   };
 
   return (
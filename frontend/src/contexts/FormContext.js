@@ -6,6 +6,7 @@ import { api } from '../config/api';
 const initialState = {
   forms: [],
   currentForm: null,
+  currentRole: null,
   bases: [],
   tables: [],
   fields: [],
@@ -22,6 +23,7 @@ const FORM_ACTIONS = {
   CLEAR_ERROR: 'CLEAR_ERROR',
   SET_FORMS: 'SET_FORMS',
   SET_CURRENT_FORM: 'SET_CURRENT_FORM',
+  SET_CURRENT_ROLE: 'SET_CURRENT_ROLE',
   ADD_FORM: 'ADD_FORM',
   UPDATE_FORM: 'UPDATE_FORM',
   DELETE_FORM: 'DELETE_FORM',
@@ -51,6 +53,9 @@ const formReducer = (state, action) => {
     case FORM_ACTIONS.SET_CURRENT_FORM:
       return { ...state, currentForm: action.payload };
     
+    case FORM_ACTIONS.SET_CURRENT_ROLE:
+      return { ...state, currentRole: action.payload };
+    
     case FORM_ACTIONS.ADD_FORM:
       return { ...state, forms: [action.payload, ...state.forms] };
     
@@ -147,6 +152,8 @@ export const FormProvider = ({ children }) => {
       setLoading(true);
       const response = await api.get(`/api/forms/${id}`);
       dispatch({ type: FORM_ACTIONS.SET_CURRENT_FORM, payload: response.data.form });
+      // The user's role in the form's workspace (null for public viewers)
+      dispatch({ type: FORM_ACTIONS.SET_CURRENT_ROLE, payload: response.data.role });
       return response.data.form;
     } catch (error) {
       console.error('Get form error:', error);
@@ -242,6 +249,19 @@ export const FormProvider = ({ children }) => {
     }
   };
 
+  // Signed, expiring link that edits one Airtable record through the form
+  const createEditLink = async (id, recordId, expiresInDays) => {
+    try {
+      const response = await api.post(`/api/forms/${id}/edit-links`, { recordId, expiresInDays });
+      return response.data;
+    } catch (error) {
+      console.error('Create edit link error:', error);
+      const message = error.response?.data?.message || 'Failed to create edit link';
+      toast.error(message);
+      throw error;
+    }
+  };
+
   // Airtable integration functions
   const getBases = async () => {
     try {
@@ -355,6 +375,71 @@ export const FormProvider = ({ children }) => {
     }
   };
 
+  // Resumable uploads for attachment fields: start one, check how much the
+  // server has (to resume), and send the next chunk
+  const createUpload = async (formId, fileInfo) => {
+    try {
+      const response = await api.post(`/api/responses/uploads/${formId}`, fileInfo);
+      return response.data;
+    } catch (error) {
+      console.error('Create upload error:', error);
+      throw error;
+    }
+  };
+
+  const getUpload = async (formId, { uploadId, uploadToken }) => {
+    try {
+      const response = await api.get(`/api/responses/uploads/${formId}/${uploadId}`, {
+        headers: { 'Upload-Token': uploadToken }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Get upload error:', error);
+      throw error;
+    }
+  };
+
+  const uploadChunk = async (formId, { uploadId, uploadToken }, offset, chunk, { onProgress, signal } = {}) => {
+    try {
+      const response = await api.patch(`/api/responses/uploads/${formId}/${uploadId}`, chunk, {
+        headers: {
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Token': uploadToken,
+          'Upload-Offset': offset
+        },
+        timeout: 2 * 60 * 1000, // Chunks can be slow on mobile connections
+        onUploadProgress: (event) => onProgress?.(event.loaded),
+        signal
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Upload chunk error:', error);
+      throw error;
+    }
+  };
+
+  // Records a linked-record field can point to (the backend proxies the owner's token)
+  const searchLinkedRecords = async (formId, fieldId, params = {}) => {
+    try {
+      const response = await api.get(`/api/forms/${formId}/fields/${fieldId}/records`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Search linked records error:', error);
+      throw error;
+    }
+  };
+
+  // Current values of the record an edit link points to
+  const getEditRecord = async (formId, recordId, token) => {
+    try {
+      const response = await api.get(`/api/responses/edit/${formId}`, { params: { record: recordId, token } });
+      return response.data;
+    } catch (error) {
+      console.error('Get edit record error:', error);
+      throw error;
+    }
+  };
+
   // Analytics functions
   const getAnalytics = async (formId, params = {}) => {
     try {
@@ -410,6 +495,7 @@ export const FormProvider = ({ children }) => {
     deleteForm,
     duplicateForm,
     publishForm,
+    createEditLink,
     // Airtable integration
     getBases,
     getTables,
@@ -419,6 +505,11 @@ export const FormProvider = ({ children }) => {
     getResponses,
     submitResponse,
     validateResponse,
+    createUpload,
+    getUpload,
+    uploadChunk,
+    searchLinkedRecords,
+    getEditRecord,
     // Analytics
     getAnalytics,
     exportResponses,
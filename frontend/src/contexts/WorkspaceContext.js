@@ -0,0 +1,230 @@
+import { getRolePermissions } from 'airtable-form-builder-shared';
+import { createContext, useContext, useEffect, useReducer } from 'react';
+import { toast } from 'react-toastify';
+import { api } from '../config/api';
+import { useAuth } from './AuthContext';
+
+// Initial state
+const initialState = {
+  workspaces: [],
+  currentWorkspaceId: localStorage.getItem('workspaceId'),
+  loading: false
+};
+
+// Action types
+const WORKSPACE_ACTIONS = {
+  SET_LOADING: 'SET_LOADING',
+  SET_WORKSPACES: 'SET_WORKSPACES',
+  ADD_WORKSPACE: 'ADD_WORKSPACE',
+  UPDATE_WORKSPACE: 'UPDATE_WORKSPACE',
+  SET_CURRENT_WORKSPACE: 'SET_CURRENT_WORKSPACE'
+};
+
+// Reducer
+const workspaceReducer = (state, action) => {
+  switch (action.type) {
+    case WORKSPACE_ACTIONS.SET_LOADING:
+      return { ...state, loading: action.payload };
+
+    case WORKSPACE_ACTIONS.SET_WORKSPACES:
+      return { ...state, workspaces: action.payload };
+
+    case WORKSPACE_ACTIONS.ADD_WORKSPACE:
+      return { ...state, workspaces: [...state.workspaces, action.payload] };
+
+    case WORKSPACE_ACTIONS.UPDATE_WORKSPACE:
+      return {
+        ...state,
+        workspaces: state.workspaces.map(workspace =>
+          workspace.id === action.payload.id ? action.payload : workspace
+        )
+      };
+
+    case WORKSPACE_ACTIONS.SET_CURRENT_WORKSPACE:
+      return { ...state, currentWorkspaceId: action.payload };
+
+    default:
+      return state;
+  }
+};
+
+// Create context
+const WorkspaceContext = createContext();
+
+// Custom hook to use workspace context
+export const useWorkspace = () => {
+  const context = useContext(WorkspaceContext);
+  if (!context) {
+    throw new Error('useWorkspace must be used within a WorkspaceProvider');
+  }
+  return context;
+};
+
+// Workspace provider component
+export const WorkspaceProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(workspaceReducer, initialState);
+  const { isAuthenticated } = useAuth();
+
+  // Load workspaces once signed in
+  useEffect(() => {
+    if (isAuthenticated) {
+      getWorkspaces().catch(() => {});
+    } else {
+      dispatch({ type: WORKSPACE_ACTIONS.SET_WORKSPACES, payload: [] });
+    }
+  }, [isAuthenticated]);
+
+  // The remembered workspace, falling back to the personal one (e.g. after
+  // leaving the remembered workspace)
+  const currentWorkspace =
+    state.workspaces.find(workspace => workspace.id === state.currentWorkspaceId) ||
+    state.workspaces.find(workspace => workspace.personal) ||
+    state.workspaces[0] ||
+    null;
+
+  const switchWorkspace = (workspaceId) => {
+    localStorage.setItem('workspaceId', workspaceId);
+    dispatch({ type: WORKSPACE_ACTIONS.SET_CURRENT_WORKSPACE, payload: workspaceId });
+  };
+
+  // Workspace management functions
+  const getWorkspaces = async () => {
+    try {
+      dispatch({ type: WORKSPACE_ACTIONS.SET_LOADING, payload: true });
+      const response = await api.get('/api/workspaces');
+      dispatch({ type: WORKSPACE_ACTIONS.SET_WORKSPACES, payload: response.data.workspaces });
+      return response.data.workspaces;
+    } catch (error) {
+      console.error('Get workspaces error:', error);
+      throw error;
+    } finally {
+      dispatch({ type: WORKSPACE_ACTIONS.SET_LOADING, payload: false });
+    }
+  };
+
+  const createWorkspace = async (name) => {
+    try {
+      const response = await api.post('/api/workspaces', { name });
+      dispatch({ type: WORKSPACE_ACTIONS.ADD_WORKSPACE, payload: response.data.workspace });
+      switchWorkspace(response.data.workspace.id);
+      toast.success('Workspace created successfully!');
+      return response.data.workspace;
+    } catch (error) {
+      console.error('Create workspace error:', error);
+      toast.error(error.response?.data?.message || 'Failed to create workspace');
+      throw error;
+    }
+  };
+
+  const renameWorkspace = async (workspaceId, name) => {
+    try {
+      const response = await api.put(`/api/workspaces/${workspaceId}`, { name });
+      dispatch({ type: WORKSPACE_ACTIONS.UPDATE_WORKSPACE, payload: response.data.workspace });
+      toast.success('Workspace renamed');
+      return response.data.workspace;
+    } catch (error) {
+      console.error('Rename workspace error:', error);
+      toast.error(error.response?.data?.message || 'Failed to rename workspace');
+      throw error;
+    }
+  };
+
+  // Member management functions
+  const getMembers = async (workspaceId) => {
+    try {
+      const response = await api.get(`/api/workspaces/${workspaceId}/members`);
+      return response.data;
+    } catch (error) {
+      console.error('Get members error:', error);
+      throw error;
+    }
+  };
+
+  const inviteMember = async (workspaceId, email, role) => {
+    try {
+      const response = await api.post(`/api/workspaces/${workspaceId}/invites`, { email, role });
+      return response.data;
+    } catch (error) {
+      console.error('Invite member error:', error);
+      toast.error(error.response?.data?.message || 'Failed to invite member');
+      throw error;
+    }
+  };
+
+  const cancelInvite = async (workspaceId, inviteId) => {
+    try {
+      await api.delete(`/api/workspaces/${workspaceId}/invites/${inviteId}`);
+      toast.success('Invite cancelled');
+    } catch (error) {
+      console.error('Cancel invite error:', error);
+      toast.error(error.response?.data?.message || 'Failed to cancel invite');
+      throw error;
+    }
+  };
+
+  const updateMemberRole = async (workspaceId, userId, role) => {
+    try {
+      await api.put(`/api/workspaces/${workspaceId}/members/${userId}`, { role });
+      toast.success('Role updated');
+    } catch (error) {
+      console.error('Update member error:', error);
+      toast.error(error.response?.data?.message || 'Failed to update role');
+      throw error;
+    }
+  };
+
+  const removeMember = async (workspaceId, userId) => {
+    try {
+      const response = await api.delete(`/api/workspaces/${workspaceId}/members/${userId}`);
+      toast.success(response.data.message);
+      await getWorkspaces();
+    } catch (error) {
+      console.error('Remove member error:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove member');
+      throw error;
+    }
+  };
+
+  // Invite functions
+  const getInvite = async (token) => {
+    const response = await api.get(`/api/workspaces/invites/${token}`);
+    return response.data.invite;
+  };
+
+  const acceptInvite = async (token) => {
+    try {
+      const response = await api.post(`/api/workspaces/invites/${token}/accept`);
+      await getWorkspaces();
+      switchWorkspace(response.data.workspace.id);
+      toast.success(response.data.message);
+      return response.data.workspace;
+    } catch (error) {
+      console.error('Accept invite error:', error);
+      throw error;
+    }
+  };
+
+  // Context value
+  const value = {
+    ...state,
+    currentWorkspace,
+    permissions: getRolePermissions(currentWorkspace?.role),
+    switchWorkspace,
+    getWorkspaces,
+    createWorkspace,
+    renameWorkspace,
+    getMembers,
+    inviteMember,
+    cancelInvite,
+    updateMemberRole,
+    removeMember,
+    getInvite,
+    acceptInvite
+  };
+
+  return (
+    <WorkspaceContext.Provider value={value}>
+      {children}
+    </WorkspaceContext.Provider>
+  );
+};
@@ -1,5 +1,5 @@
 import { CheckCircle, XCircle } from 'lucide-react';
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import { useAuth } from '../contexts/AuthContext';
@@ -9,10 +9,15 @@ const AuthCallback = () => {
   const [searchParams] = useSearchParams();
   const { handleAuthCallback } = useAuth();
   const [status, setStatus] = useState('processing'); // processing, success, error
+  const handled = useRef(false);
 
   useEffect(() => {
     const processCallback = async () => {
-      const token = searchParams.get('token');
+      // The login code works once; don't redeem it twice (StrictMode)
+      if (handled.current) return;
+      handled.current = true;
+
+      const code = searchParams.get('code');
       const error = searchParams.get('error');
 
       if (error) {
@@ -23,7 +28,7 @@ const AuthCallback = () => {
         return;
       }
 
-      if (!token) {
+      if (!code) {
         setStatus('error');
         setTimeout(() => {
           navigate('/');
@@ -32,11 +37,14 @@ const AuthCallback = () => {
       }
 
       try {
-        const success = await handleAuthCallback(token);
+        const success = await handleAuthCallback(code);
         if (success) {
           setStatus('success');
+          // Back to the invite the user signed in to accept, if any
+          const pendingInvite = sessionStorage.getItem('pendingInvite');
+          sessionStorage.removeItem('pendingInvite');
           setTimeout(() => {
-            navigate('/dashboard');
+            navigate(pendingInvite || '/dashboard');
           }, 2000);
         } else {
           setStatus('error');
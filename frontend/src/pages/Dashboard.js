@@ -6,6 +6,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import { useAuth } from '../contexts/AuthContext';
 import { useForm } from '../contexts/FormContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -18,6 +19,7 @@ const Dashboard = () => {
     publishForm,
     exportResponses
   } = useForm();
+  const { currentWorkspace, permissions } = useWorkspace();
   
   const navigate = useNavigate();
   
@@ -33,13 +35,16 @@ const Dashboard = () => {
   const [duplicateTitle, setDuplicateTitle] = useState('');
   const [isExporting, setIsExporting] = useState(false);
 
+  // Reload when another workspace is picked in the sidebar
   useEffect(() => {
-    loadForms();
-  }, []);
+    if (currentWorkspace) {
+      loadForms();
+    }
+  }, [currentWorkspace?.id]);
 
   const loadForms = async () => {
     try {
-      await getForms();
+      await getForms({ workspaceId: currentWorkspace.id });
     } catch (error) {
       console.error('Failed to load forms:', error);
       toast.error('Failed to load forms');
@@ -93,19 +98,21 @@ const Dashboard = () => {
               <p className="text-white/90 text-lg">
                 {forms.length === 0 
                   ? "Ready to create your first amazing form?"
-                  : `You have ${forms.length} form${forms.length !== 1 ? 's' : ''} in your workspace`
+                  : `There ${forms.length !== 1 ? 'are' : 'is'} ${forms.length} form${forms.length !== 1 ? 's' : ''} in ${currentWorkspace?.name || 'your workspace'}`
                 }
               </p>
             </div>
-            <div className="flex space-x-3">
-              <Link
-                to="/forms/new"
-                className="btn bg-white text-primary-600 hover:bg-white/90 border-0 shadow-lg"
-              >
-                <Plus className="h-5 w-5 mr-2" />
-                Create Form
-              </Link>
-            </div>
+            {permissions.editForms && (
+              <div className="flex space-x-3">
+                <Link
+                  to="/forms/new"
+                  className="btn bg-white text-primary-600 hover:bg-white/90 border-0 shadow-lg"
+                >
+                  <Plus className="h-5 w-5 mr-2" />
+                  Create Form
+                </Link>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,76 @@
+import { Mail } from 'lucide-react';
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+const ForgotPassword = () => {
+  const { requestPasswordReset } = useAuth();
+  const [email, setEmail] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [sentMessage, setSentMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      setSentMessage(await requestPasswordReset(email));
+    } catch (error) {
+      setError(error.response?.data?.message || 'Something went wrong, please try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <div className="max-w-md w-full">
+        <div className="card">
+          <div className="card-body py-10 space-y-6">
+            <div className="text-center">
+              <Link to="/" className="text-2xl font-bold text-primary-600">
+                FormBuilder
+              </Link>
+              <h1 className="mt-4 text-xl font-bold text-gray-900">Reset your password</h1>
+            </div>
+
+            {sentMessage ? (
+              <div className="text-center space-y-4">
+                <Mail className="mx-auto h-12 w-12 text-primary-500" />
+                <p className="text-gray-600">{sentMessage}</p>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label className="label">Email</label>
+                  <input
+                    type="email"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="input"
+                    autoComplete="email"
+                  />
+                  <p className="help-text">
+                    We'll email you a link to choose a new password. If you've only signed in with Airtable, this adds a password to your account.
+                  </p>
+                </div>
+                {error && <p className="error-text">{error}</p>}
+                <button type="submit" disabled={submitting} className="btn btn-primary w-full">
+                  {submitting ? 'Sending...' : 'Send Reset Link'}
+                </button>
+              </form>
+            )}
+
+            <Link to="/login" className="btn btn-secondary w-full">
+              Back to Sign In
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
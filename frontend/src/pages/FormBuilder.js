@@ -13,6 +13,8 @@ import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import { useForm } from '../contexts/FormContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+import { isSupportedFieldType, toFormField } from '../utils/fieldTypes';
 
 const FormBuilder = () => {
   const navigate = useNavigate();
@@ -27,6 +29,7 @@ const FormBuilder = () => {
     createForm,
     testAirtableConnection 
   } = useForm();
+  const { currentWorkspace } = useWorkspace();
 
   const [currentStep, setCurrentStep] = useState(0);
   const [formData, setFormData] = useState({
@@ -66,7 +69,10 @@ const FormBuilder = () => {
         loadBases();
       }, 1000);
     } catch (error) {
-      toast.error('Please check your Airtable connection and try again.');
+      // Local accounts that never signed in with Airtable have no connection
+      toast.error(error.response?.data?.needsAirtable
+        ? 'Sign in with Airtable to connect your account before creating forms.'
+        : 'Please check your Airtable connection and try again.');
     }
   };
 
@@ -155,16 +161,9 @@ const FormBuilder = () => {
         airtableBaseName: formData.selectedBase.name,
         airtableTableId: formData.selectedTable.id,
         airtableTableName: formData.selectedTable.name,
-        fields: formData.selectedFields.map(field => ({
-          airtableFieldId: field.id,
-          airtableFieldName: field.name,
-          airtableFieldType: field.type,
-          label: field.label,
-          required: field.required,
-          options: field.options,
-          order: field.order
-        })),
-        settings: formData.settings
+        fields: formData.selectedFields.map((field, index) => toFormField(field, index)),
+        settings: formData.settings,
+        workspaceId: currentWorkspace?.id
       };
 
       const newForm = await createForm(formPayload);
@@ -312,7 +311,7 @@ const FormBuilder = () => {
             </div>
 
             <div className="space-y-4">
-              {fields.map((field) => {
+              {fields.filter(field => isSupportedFieldType(field.type)).map((field) => {
                 const isSelected = formData.selectedFields.find(f => f.id === field.id);
                 
                 return (
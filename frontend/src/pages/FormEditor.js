@@ -1,19 +1,46 @@
-import { ArrowLeft, Eye, Save, Settings } from 'lucide-react';
+import { ArrowLeft, Columns, Eye, Plus, Save, Settings } from 'lucide-react';
+import { getAttachmentRulesError, getUpsertSettingsError } from 'airtable-form-builder-shared';
 import { useEffect, useState } from 'react';
+import { DragDropContext, Draggable } from 'react-beautiful-dnd';
 import { useNavigate, useParams } from 'react-router-dom';
 import { toast } from 'react-toastify';
+import AttachmentSettings from '../components/FormEditor/AttachmentSettings';
+import ConditionBuilder from '../components/FormEditor/ConditionBuilder';
+import FieldCard from '../components/FormEditor/FieldCard';
+import RecordLinkSettings from '../components/FormEditor/RecordLinkSettings';
+import StrictModeDroppable from '../components/FormEditor/StrictModeDroppable';
+import UpsertSettings from '../components/FormEditor/UpsertSettings';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import { useForm } from '../contexts/FormContext';
+import { getConditionErrors } from '../utils/conditions';
+import {
+  FIELD_TYPE_LABELS,
+  isSupportedFieldType,
+  normalizeFieldOrder,
+  toFormField
+} from '../utils/fieldTypes';
 
 const FormEditor = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { currentForm, loading, getForm, updateForm } = useForm();
+  const {
+    currentForm,
+    fields: tableFields,
+    tables,
+    loading,
+    getForm,
+    getFields,
+    getTables,
+    updateForm
+  } = useForm();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    settings: {}
+    settings: {},
+    fields: []
   });
+  const [expandedField, setExpandedField] = useState(null);
+  const [fieldToAdd, setFieldToAdd] = useState('');
 
   useEffect(() => {
     if (id) {
@@ -26,29 +53,132 @@ const FormEditor = () => {
       setFormData({
         title: currentForm.title,
         description: currentForm.description || '',
-        settings: currentForm.settings || {}
+        settings: currentForm.settings || {},
+        fields: normalizeFieldOrder(
+          [...(currentForm.fields || [])].sort((a, b) => a.order - b.order)
+        )
       });
     }
   }, [currentForm]);
 
   const loadForm = async () => {
     try {
-      await getForm(id);
+      const form = await getForm(id);
+      loadTableFields(form);
     } catch (error) {
       toast.error('Failed to load form');
       navigate('/dashboard');
     }
   };
 
+  const loadTableFields = async (form) => {
+    try {
+      await getFields(form.airtableBaseId, form.airtableTableId);
+    } catch (error) {
+      toast.error('Failed to load Airtable fields for this table');
+      return;
+    }
+
+    // Views of linked tables are offered when restricting linked-record fields
+    try {
+      await getTables(form.airtableBaseId);
+    } catch (error) {
+      toast.error('Failed to load the tables in this base');
+    }
+  };
+
+  const updateFields = (updater) => {
+    setFormData(prev => ({
+      ...prev,
+      fields: normalizeFieldOrder(updater(prev.fields))
+    }));
+  };
+
+  const handleDragEnd = (result) => {
+    const { source, destination } = result;
+    if (!destination || source.index === destination.index) return;
+
+    updateFields(fields => {
+      const reordered = [...fields];
+      const [moved] = reordered.splice(source.index, 1);
+      reordered.splice(destination.index, 0, moved);
+      return reordered;
+    });
+  };
+
+  const handleFieldChange = (fieldId, updates) => {
+    updateFields(fields => fields.map(field =>
+      field.airtableFieldId === fieldId ? { ...field, ...updates } : field
+    ));
+  };
+
+  const handleRemoveField = (fieldId) => {
+    updateFields(fields => fields.filter(field => field.airtableFieldId !== fieldId));
+    if (expandedField === fieldId) {
+      setExpandedField(null);
+    }
+  };
+
+  const handleAddField = () => {
+    const tableField = tableFields.find(field => field.id === fieldToAdd);
+    if (!tableField) return;
+
+    updateFields(fields => [...fields, toFormField(tableField, fields.length)]);
+    setExpandedField(tableField.id);
+    setFieldToAdd('');
+  };
+
   const handleSave = async () => {
+    if (!formData.title.trim()) {
+      toast.error('Please enter a form title');
+      return;
+    }
+
+    const unlabeled = formData.fields.find(field => !field.label?.trim());
+    if (unlabeled) {
+      toast.error(`Please enter a label for "${unlabeled.airtableFieldName}"`);
+      setExpandedField(unlabeled.airtableFieldId);
+      return;
+    }
+
+    const [conditionError] = getConditionErrors(formData.fields);
+    if (conditionError) {
+      toast.error(`Fix the conditional logic on "${conditionError.label}": ${conditionError.message}`);
+      setExpandedField(conditionError.fieldId);
+      return;
+    }
+
+    const uploadRulesField = formData.fields.find(field =>
+      field.airtableFieldType === 'attachment' && getAttachmentRulesError(field.attachmentRules)
+    );
+    if (uploadRulesField) {
+      toast.error(`Fix the upload rules on "${uploadRulesField.label}": ${getAttachmentRulesError(uploadRulesField.attachmentRules)}`);
+      setExpandedField(uploadRulesField.airtableFieldId);
+      return;
+    }
+
+    const upsertError = getUpsertSettingsError(formData.settings, formData.fields);
+    if (upsertError) {
+      toast.error(`Fix the record matching settings: ${upsertError}`);
+      return;
+    }
+
     try {
-      await updateForm(id, formData);
-      toast.success('Form saved successfully!');
+      await updateForm(id, {
+        ...formData,
+        fields: normalizeFieldOrder(formData.fields)
+      });
     } catch (error) {
       toast.error('Failed to save form');
     }
   };
 
+  // Airtable fields from the bound table that are not on the form yet
+  const availableFields = tableFields.filter(tableField =>
+    isSupportedFieldType(tableField.type) &&
+    !formData.fields.some(field => field.airtableFieldId === tableField.id)
+  );
+
   if (loading && !currentForm) {
     return (
       <div className="flex items-center justify-center py-12">
@@ -143,6 +273,15 @@ const FormEditor = () => {
                   rows={3}
                 />
               </div>
+
+              <UpsertSettings
+                settings={formData.settings}
+                fields={formData.fields}
+                onChange={(updates) => setFormData(prev => ({
+                  ...prev,
+                  settings: { ...prev.settings, ...updates }
+                }))}
+              />
             </div>
           </div>
         </div>
@@ -151,22 +290,104 @@ const FormEditor = () => {
         <div className="lg:col-span-2">
           <div className="card">
             <div className="card-header">
-              <h2 className="text-lg font-medium text-gray-900">Form Fields</h2>
+              <h2 className="text-lg font-medium text-gray-900 flex items-center">
+                <Columns className="h-5 w-5 mr-2" />
+                Form Fields ({formData.fields.length})
+              </h2>
             </div>
-            <div className="card-body">
-              <div className="text-center py-12">
-                <p className="text-gray-500 mb-4">
-                  Form field editor coming soon! For now, you can edit the basic form settings.
-                </p>
-                <div className="space-y-2">
-                  {currentForm.fields?.map((field, index) => (
-                    <div key={field.airtableFieldId} className="p-3 border border-gray-200 rounded-lg text-left">
-                      <div className="font-medium text-gray-900">{field.label}</div>
-                      <div className="text-sm text-gray-500">{field.airtableFieldType}</div>
-                      {field.required && <span className="badge badge-primary">Required</span>}
-                    </div>
-                  ))}
+            <div className="card-body space-y-4">
+              {formData.fields.length === 0 ? (
+                <div className="text-center py-8">
+                  <p className="text-gray-500">This form has no fields yet. Add one from your Airtable table below.</p>
                 </div>
+              ) : (
+                <DragDropContext onDragEnd={handleDragEnd}>
+                  <StrictModeDroppable droppableId="form-fields">
+                    {(provided) => (
+                      <div
+                        ref={provided.innerRef}
+                        {...provided.droppableProps}
+                        className="space-y-3"
+                      >
+                        {formData.fields.map((field, index) => (
+                          <Draggable
+                            key={field.airtableFieldId}
+                            draggableId={field.airtableFieldId}
+                            index={index}
+                          >
+                            {(dragProvided, snapshot) => (
+                              <div
+                                ref={dragProvided.innerRef}
+                                {...dragProvided.draggableProps}
+                              >
+                                <FieldCard
+                                  field={field}
+                                  expanded={expandedField === field.airtableFieldId}
+                                  isDragging={snapshot.isDragging}
+                                  dragHandleProps={dragProvided.dragHandleProps}
+                                  onToggle={() => setExpandedField(prev =>
+                                    prev === field.airtableFieldId ? null : field.airtableFieldId
+                                  )}
+                                  onChange={(updates) => handleFieldChange(field.airtableFieldId, updates)}
+                                  onRemove={() => handleRemoveField(field.airtableFieldId)}
+                                >
+                                  {field.airtableFieldType === 'attachment' && (
+                                    <AttachmentSettings
+                                      field={field}
+                                      onChange={(updates) => handleFieldChange(field.airtableFieldId, updates)}
+                                    />
+                                  )}
+                                  {field.airtableFieldType === 'multipleRecordLinks' && (
+                                    <RecordLinkSettings
+                                      field={field}
+                                      linkedTable={tables.find(table => table.id === field.typeOptions?.linkedTableId)}
+                                      onChange={(updates) => handleFieldChange(field.airtableFieldId, updates)}
+                                    />
+                                  )}
+                                  <ConditionBuilder
+                                    field={field}
+                                    fields={formData.fields}
+                                    onChange={(updates) => handleFieldChange(field.airtableFieldId, updates)}
+                                  />
+                                </FieldCard>
+                              </div>
+                            )}
+                          </Draggable>
+                        ))}
+                        {provided.placeholder}
+                      </div>
+                    )}
+                  </StrictModeDroppable>
+                </DragDropContext>
+              )}
+            </div>
+            <div className="card-footer">
+              <label className="label">Add a field from {currentForm.airtableTableName}</label>
+              <div className="flex space-x-2">
+                <select
+                  className="select"
+                  value={fieldToAdd}
+                  onChange={(e) => setFieldToAdd(e.target.value)}
+                  disabled={availableFields.length === 0}
+                >
+                  <option value="">
+                    {availableFields.length === 0 ? 'No more supported fields' : 'Select a field...'}
+                  </option>
+                  {availableFields.map(field => (
+                    <option key={field.id} value={field.id}>
+                      {field.name} ({FIELD_TYPE_LABELS[field.type]})
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={handleAddField}
+                  disabled={!fieldToAdd}
+                  className="btn btn-secondary whitespace-nowrap"
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  Add Field
+                </button>
               </div>
             </div>
           </div>
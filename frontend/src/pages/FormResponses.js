@@ -1,15 +1,70 @@
+import { getRolePermissions } from 'airtable-form-builder-shared';
 import { format } from 'date-fns';
-import { ArrowLeft, Download, Search } from 'lucide-react';
+import { ArrowLeft, Download, Link2, Search } from 'lucide-react';
 import { useEffect, useState } from 'react';
 import { Link, useParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import { useForm } from '../contexts/FormContext';
 
+// Shows how many attachments have reached Airtable while a response is
+// still waiting on some of them
+const AttachmentProgress = ({ response }) => {
+  const files = response.responses?.flatMap(r => r.files || []) || [];
+  if (response.status === 'synced' || files.length === 0) {
+    return null;
+  }
+
+  const uploaded = files.filter(file => file.upload?.status === 'uploaded').length;
+  return (
+    <div className="text-xs text-gray-500 mt-1">
+      {uploaded} of {files.length} files uploaded
+    </div>
+  );
+};
+
+// Lists the fields a response changed when it edited a record through an
+// edit link; hovering shows the values before and after
+const EditChanges = ({ response, fields }) => {
+  if (!response.edit?.recordId) {
+    return null;
+  }
+
+  const { before = {}, after = {} } = response.edit;
+  const changed = Object.keys(after).filter(fieldId =>
+    JSON.stringify(before[fieldId] ?? null) !== JSON.stringify(after[fieldId] ?? null)
+  );
+
+  const label = (fieldId) => fields?.find(f => f.airtableFieldId === fieldId)?.label || fieldId;
+  const show = (value) => (value === null || value === undefined ? '(empty)' : Array.isArray(value) ? value.join(', ') : String(value));
+
+  return (
+    <div
+      className="text-xs text-gray-500 mt-1"
+      title={changed.map(fieldId => `${label(fieldId)}: ${show(before[fieldId])} → ${show(after[fieldId])}`).join('\n')}
+    >
+      {changed.length > 0
+        ? `Edited ${changed.map(label).join(', ')}`
+        : 'Edited, no changes'}
+    </div>
+  );
+};
+
 const FormResponses = () => {
   const { id } = useParams();
-  const { currentForm, responses, loading, getForm, getResponses, exportResponses } = useForm();
+  const {
+    currentForm,
+    currentRole,
+    responses,
+    loading,
+    getForm,
+    getResponses,
+    exportResponses,
+    createEditLink
+  } = useForm();
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  const permissions = getRolePermissions(currentRole);
 
   useEffect(() => {
     if (id) {
@@ -34,6 +89,16 @@ const FormResponses = () => {
     }
   };
 
+  const handleCopyEditLink = async (recordId) => {
+    try {
+      const { url, expiresAt } = await createEditLink(id, recordId);
+      await navigator.clipboard.writeText(url);
+      toast.success(`Edit link copied; it expires ${format(new Date(expiresAt), 'MMM d, yyyy')}`);
+    } catch (error) {
+      console.error('Copy edit link failed:', error);
+    }
+  };
+
   const filteredResponses = responses?.filter(response => {
     const matchesStatus = statusFilter === 'all' || response.status === statusFilter;
     const matchesSearch = !searchTerm || 
@@ -115,6 +180,7 @@ const FormResponses = () => {
               <option value="synced">Synced</option>
               <option value="pending">Pending</option>
               <option value="failed">Failed</option>
+              <option value="dead">Dead letter</option>
             </select>
           </div>
         </div>
@@ -146,6 +212,9 @@ const FormResponses = () => {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Responses
                     </th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
                   </tr>
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
@@ -162,6 +231,30 @@ const FormResponses = () => {
                         }`}>
                           {response.status}
                         </span>
+                        {response.airtableRecordAction && (
+                          <span className={`badge ml-1 ${
+                            response.airtableRecordAction === 'updated' ? 'badge-primary' : 'badge-gray'
+                          }`}>
+                            {response.airtableRecordAction === 'updated' ? 'updated record' : 'new record'}
+                          </span>
+                        )}
+                        <EditChanges response={response} fields={currentForm?.fields} />
+                        <AttachmentProgress response={response} />
+                        {['failed', 'submitted'].includes(response.status) && response.syncStatus?.nextAttemptAt && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            Retrying {format(new Date(response.syncStatus.nextAttemptAt), 'MMM d, h:mm a')}
+                          </div>
+                        )}
+                        {response.syncStatus?.attachmentsFailedAt && (
+                          <div className="text-xs text-gray-500 mt-1" title={response.syncStatus?.lastSyncError}>
+                            Gave up uploading the remaining files
+                          </div>
+                        )}
+                        {response.status === 'dead' && (
+                          <div className="text-xs text-gray-500 mt-1" title={response.syncStatus?.lastSyncError}>
+                            Gave up after {response.syncStatus?.syncAttempts} attempts
+                          </div>
+                        )}
                       </td>
                       <td className="px-6 py-4">
                         <div className="space-y-1">
@@ -180,6 +273,18 @@ const FormResponses = () => {
                           )}
                         </div>
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        {response.airtableRecordId && permissions.editForms && (
+                          <button
+                            onClick={() => handleCopyEditLink(response.airtableRecordId)}
+                            className="btn btn-secondary btn-sm"
+                            title="Copy a link that lets someone update this record"
+                          >
+                            <Link2 className="h-4 w-4 mr-1" />
+                            Edit link
+                          </button>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
@@ -4,24 +4,75 @@ import {
     ArrowRight,
     CheckCircle,
     FileText,
+    Pencil,
+    RotateCw,
+    Star,
     Upload,
     X
 } from 'lucide-react';
-import { useEffect, useState } from 'react';
+import {
+    coerceFieldValue,
+    describeAttachmentRules,
+    formatDateValue,
+    formatFileSize,
+    fromAirtableValue,
+    getAttachmentError,
+    getAttachmentRules,
+    getPrecision,
+    getRatingMax,
+    getVisibleFields,
+    isEmptyValue,
+    parseDateTime,
+    resolveTimeZone
+} from 'airtable-form-builder-shared';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import { useDropzone } from 'react-dropzone';
-import { useParams } from 'react-router-dom';
+import { useParams, useSearchParams } from 'react-router-dom';
 import { toast } from 'react-toastify';
+import RecordLinkPicker from '../components/FormViewer/RecordLinkPicker';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import { useForm } from '../contexts/FormContext';
+import { uploadFile } from '../utils/uploads';
+
+// Input attributes for single line fields. URLs use a text input so
+// addresses typed without https:// aren't blocked; the server adds it.
+const TEXT_INPUT_PROPS = {
+  singleLineText: { type: 'text' },
+  email: { type: 'email', inputMode: 'email', autoComplete: 'email' },
+  url: { type: 'text', inputMode: 'url', autoComplete: 'url' },
+  phoneNumber: { type: 'tel', inputMode: 'tel', autoComplete: 'tel' }
+};
+
+// The respondent's timezone, for dateTime fields set to show local time
+const CLIENT_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
 const FormViewer = ({ embedded = false }) => {
   const { id } = useParams();
-  const { currentForm, loading, getForm, submitResponse, validateResponse } = useForm();
+  const [searchParams] = useSearchParams();
+  const {
+    currentForm,
+    loading,
+    getForm,
+    submitResponse,
+    createUpload,
+    getUpload,
+    uploadChunk,
+    getEditRecord
+  } = useForm();
+  
+  // Edit links (?record=recXXX&token=...) update that record instead of creating one
+  const editRecordId = searchParams.get('record');
+  const editToken = searchParams.get('token');
+  const [editRecord, setEditRecord] = useState(null);
+  const [editError, setEditError] = useState(null);
   
   const [responses, setResponses] = useState({});
+  // Attachment files per field: { id, file, uploaded, status, upload, error }
+  // (`upload` is the finished upload's { uploadId, uploadToken })
   const [files, setFiles] = useState({});
+  const uploadControllers = useRef(new Map());
+  const [recordNames, setRecordNames] = useState({});
   const [errors, setErrors] = useState({});
-  const [visibleFields, setVisibleFields] = useState([]);
   const [currentStep, setCurrentStep] = useState(0);
   const [submitting, setSubmitting] = useState(false);
   const [submitted, setSubmitted] = useState(false);
@@ -33,43 +84,102 @@ const FormViewer = ({ embedded = false }) => {
     }
   }, [id]);
 
+  // Visibility is evaluated locally with the shared logic engine; the
+  // server re-checks it when the response is submitted
+  const visibleFields = useMemo(() => {
+    if (!currentForm?.fields) return [];
+
+    return getVisibleFields(currentForm.fields, responses, { timeZone: CLIENT_TIME_ZONE }).map(f => ({
+      id: f.airtableFieldId,
+      label: f.label,
+      type: f.airtableFieldType,
+      required: f.required
+    }));
+  }, [currentForm, responses]);
+
+  const fieldsPerStep = Math.max(Math.ceil(visibleFields.length / 3), 1);
+  const totalSteps = Math.max(Math.ceil(visibleFields.length / fieldsPerStep), 1);
+  const currentStepFields = visibleFields.slice(
+    currentStep * fieldsPerStep,
+    (currentStep + 1) * fieldsPerStep
+  );
+
+  // Keep the current step in range when fields are hidden
   useEffect(() => {
-    if (currentForm?.fields) {
-      updateVisibleFields();
+    if (currentStep > totalSteps - 1) {
+      setCurrentStep(totalSteps - 1);
     }
-  }, [currentForm, responses]);
+  }, [currentStep, totalSteps]);
 
   const loadForm = async () => {
+    let form;
     try {
-      await getForm(id);
+      form = await getForm(id);
     } catch (error) {
       toast.error('Form not found or unavailable');
+      return;
     }
-  };
 
-  const updateVisibleFields = async () => {
-    if (!currentForm) return;
+    if (editRecordId) {
+      loadEditRecord(form);
+    }
+  };
 
+  // Pre-fill the form with the current values of the record being edited
+  const loadEditRecord = async (form) => {
     try {
-      const responseArray = Object.keys(responses).map(fieldId => ({
-        fieldId,
-        value: responses[fieldId]
-      }));
+      const record = await getEditRecord(form._id, editRecordId, editToken);
+      const values = {};
+      form.fields.forEach(field => {
+        const value = fromAirtableValue(field, record.values[field.airtableFieldId], { timeZone: CLIENT_TIME_ZONE });
+        if (value !== null) {
+          values[field.airtableFieldId] = value;
+        }
+      });
 
-      const validation = await validateResponse(currentForm._id, responseArray);
-      setVisibleFields(validation.visibleFields || []);
-      setErrors(validation.errors || {});
+      setResponses(values);
+      setRecordNames(record.recordNames || {});
+      setEditRecord(record);
     } catch (error) {
-      // Fallback to showing all fields if validation fails
-      setVisibleFields(currentForm.fields.map(f => ({
-        id: f.airtableFieldId,
-        label: f.label,
-        type: f.airtableFieldType,
-        required: f.required
-      })));
+      setEditError(error.response?.data?.message || 'This record could not be loaded');
     }
   };
 
+  const validateFields = (fieldsToCheck) => {
+    const newErrors = {};
+
+    fieldsToCheck.forEach(field => {
+      const value = field.type === 'attachment' ? files[field.id]?.map(entry => entry.file) : responses[field.id];
+      // Files already on an edited record satisfy a required attachment field
+      const hasRecordFiles = field.type === 'attachment' && editRecord?.values[field.id]?.length > 0;
+      if (field.required && isEmptyValue(value) && !hasRecordFiles) {
+        newErrors[field.id] = `${field.label} is required`;
+        return;
+      }
+
+      // Same checks the server runs on submit (emails, numbers, dates, upload rules...)
+      const fieldConfig = currentForm.fields.find(f => f.airtableFieldId === field.id);
+      const error = field.type === 'attachment'
+        ? getAttachmentError(fieldConfig, value || [])
+        : coerceFieldValue(fieldConfig, value, { timeZone: CLIENT_TIME_ZONE }).error;
+      if (error) {
+        newErrors[field.id] = error;
+        return;
+      }
+
+      // Files must finish uploading before the form can be submitted
+      const entries = field.type === 'attachment' ? files[field.id] || [] : [];
+      if (entries.some(entry => entry.status !== 'complete')) {
+        newErrors[field.id] = entries.some(entry => entry.status === 'uploading')
+          ? `Wait for the files in ${field.label} to finish uploading`
+          : `Resume or remove the files in ${field.label} that didn't finish uploading`;
+      }
+    });
+
+    setErrors(newErrors);
+    return newErrors;
+  };
+
   const handleInputChange = (fieldId, value) => {
     setResponses(prev => ({
       ...prev,
@@ -85,45 +195,142 @@ const FormViewer = ({ embedded = false }) => {
     }
   };
 
+  const handleNextStep = () => {
+    const stepErrors = validateFields(currentStepFields);
+    if (Object.keys(stepErrors).length > 0) return;
+
+    setCurrentStep(prev => prev + 1);
+  };
+
+  // Helper function to update one file entry of an attachment field
+  const updateFileEntry = (fieldId, entryId, updates) => {
+    setFiles(prev => ({
+      ...prev,
+      [fieldId]: (prev[fieldId] || []).map(entry => (entry.id === entryId ? { ...entry, ...updates } : entry))
+    }));
+  };
+
+  // Send a file in chunks; a dropped connection pauses it so it can be resumed
+  const startUpload = async (fieldId, entry) => {
+    const controller = new AbortController();
+    uploadControllers.current.set(entry.id, controller);
+    updateFileEntry(fieldId, entry.id, { status: 'uploading', error: null });
+
+    try {
+      const upload = await uploadFile({
+        formId: currentForm._id,
+        fieldId,
+        file: entry.file,
+        api: { createUpload, getUpload, uploadChunk },
+        onProgress: (uploaded) => updateFileEntry(fieldId, entry.id, { uploaded }),
+        signal: controller.signal
+      });
+      updateFileEntry(fieldId, entry.id, { status: 'complete', uploaded: entry.file.size, upload });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+
+      updateFileEntry(fieldId, entry.id, error.response
+        ? { status: 'failed', error: error.response.data?.message || 'Upload failed' }
+        : { status: 'paused', error: 'Connection lost' });
+    } finally {
+      uploadControllers.current.delete(entry.id);
+    }
+  };
+
   const handleFileUpload = (fieldId, acceptedFiles) => {
+    const entries = acceptedFiles.map(file => ({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      file,
+      uploaded: 0,
+      status: 'uploading'
+    }));
+    const fieldFiles = [...(files[fieldId] || []), ...entries];
+
     setFiles(prev => ({
       ...prev,
-      [fieldId]: acceptedFiles
+      [fieldId]: fieldFiles
     }));
     
     // Update responses to include file names
-    const fileNames = acceptedFiles.map(file => file.name).join(', ');
-    handleInputChange(fieldId, fileNames);
+    handleInputChange(fieldId, fieldFiles.map(entry => entry.file.name).join(', '));
+
+    entries.forEach(entry => startUpload(fieldId, entry));
+  };
+
+  const handleFileRemove = (fieldId, entryId) => {
+    uploadControllers.current.get(entryId)?.abort();
+    const fieldFiles = (files[fieldId] || []).filter(entry => entry.id !== entryId);
+
+    setFiles(prev => ({
+      ...prev,
+      [fieldId]: fieldFiles
+    }));
+    handleInputChange(fieldId, fieldFiles.map(entry => entry.file.name).join(', '));
   };
 
+  // Resume paused uploads when the connection comes back
+  useEffect(() => {
+    const handleOnline = () => {
+      Object.entries(files).forEach(([fieldId, entries]) => {
+        entries.filter(entry => entry.status === 'paused').forEach(entry => startUpload(fieldId, entry));
+      });
+    };
+
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [files]);
+
+  // Stop uploads still running when the form is left
+  useEffect(() => {
+    const controllers = uploadControllers.current;
+    return () => controllers.forEach(controller => controller.abort());
+  }, []);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
     if (submitting) return;
     
+    const validationErrors = validateFields(visibleFields);
+    const firstInvalid = visibleFields.findIndex(field => validationErrors[field.id]);
+    if (firstInvalid >= 0) {
+      setCurrentStep(Math.floor(firstInvalid / fieldsPerStep));
+      toast.error('Please fix the highlighted fields');
+      return;
+    }
+    
     setSubmitting(true);
     
     try {
-      // Prepare file uploads
-      const fileUploads = [];
-      Object.keys(files).forEach(fieldId => {
-        files[fieldId].forEach(file => {
-          fileUploads.push({
-            fieldName: fieldId,
-            file: file
-          });
-        });
-      });
-
+      const visibleIds = new Set(visibleFields.map(field => field.id));
+      
       // Calculate completion time
       const timeToComplete = Math.round((Date.now() - startTime) / 1000);
       
-      const responseData = {
-        ...responses,
-        timeToComplete
-      };
+      // Answers to fields hidden by conditional logic are not submitted;
+      // date-times are sent as ISO strings
+      const responseData = { timeToComplete, timeZone: CLIENT_TIME_ZONE };
+      if (editRecord) {
+        responseData.record = editRecordId;
+        responseData.editToken = editToken;
+      }
+      Object.keys(responses).forEach(fieldId => {
+        if (!visibleIds.has(fieldId)) return;
 
-      const result = await submitResponse(currentForm._id, responseData, fileUploads);
+        const fieldConfig = currentForm.fields.find(f => f.airtableFieldId === fieldId);
+        responseData[fieldId] = fieldConfig?.airtableFieldType === 'dateTime'
+          ? parseDateTime(responses[fieldId], fieldConfig, CLIENT_TIME_ZONE) || responses[fieldId]
+          : responses[fieldId];
+      });
+
+      // Attachments were uploaded already; the submission references them by upload ID and token
+      Object.keys(files).filter(fieldId => visibleIds.has(fieldId)).forEach(fieldId => {
+        responseData[fieldId] = files[fieldId]
+          .map(entry => `${entry.upload.uploadId}:${entry.upload.uploadToken}`)
+          .join(',');
+      });
+
+      const result = await submitResponse(currentForm._id, responseData);
       
       setSubmitted(true);
       toast.success(result.message || 'Form submitted successfully!');
@@ -137,6 +344,17 @@ const FormViewer = ({ embedded = false }) => {
       
     } catch (error) {
       console.error('Submit error:', error);
+      
+      // Show per-field errors from server-side validation
+      const fieldErrors = error.response?.data?.errors;
+      if (fieldErrors) {
+        setErrors(fieldErrors);
+        const firstInvalidField = visibleFields.findIndex(field => fieldErrors[field.id]);
+        if (firstInvalidField >= 0) {
+          setCurrentStep(Math.floor(firstInvalidField / fieldsPerStep));
+        }
+      }
+      
       toast.error(error.response?.data?.message || 'Failed to submit form');
     } finally {
       setSubmitting(false);
@@ -152,6 +370,9 @@ const FormViewer = ({ embedded = false }) => {
 
     switch (field.type) {
       case 'singleLineText':
+      case 'email':
+      case 'url':
+      case 'phoneNumber':
         return (
           <div key={field.id} className="form-field">
             <label className={`label ${field.required ? 'label-required' : ''}`}>
@@ -161,7 +382,7 @@ const FormViewer = ({ embedded = false }) => {
               <p className="help-text">{fieldConfig.description}</p>
             )}
             <input
-              type="text"
+              {...TEXT_INPUT_PROPS[field.type]}
               className={`input ${error ? 'input-error' : ''}`}
               value={value}
               onChange={(e) => handleInputChange(field.id, e.target.value)}
@@ -256,6 +477,161 @@ const FormViewer = ({ embedded = false }) => {
           </div>
         );
 
+      case 'number':
+      case 'currency':
+      case 'percent': {
+        const precision = getPrecision(fieldConfig);
+        const symbol = field.type === 'currency' ? fieldConfig.typeOptions?.symbol || '$' : null;
+
+        return (
+          <div key={field.id} className="form-field">
+            <label className={`label ${field.required ? 'label-required' : ''}`}>
+              {field.label}
+            </label>
+            {fieldConfig.description && (
+              <p className="help-text">{fieldConfig.description}</p>
+            )}
+            <div className="relative">
+              {symbol && (
+                <span className="absolute inset-y-0 left-0 pl-3 flex items-center text-gray-500 text-sm pointer-events-none">
+                  {symbol}
+                </span>
+              )}
+              <input
+                type="number"
+                inputMode="decimal"
+                step={precision > 0 ? `0.${'0'.repeat(precision - 1)}1` : '1'}
+                className={`input ${symbol ? 'pl-8' : ''} ${field.type === 'percent' ? 'pr-8' : ''} ${error ? 'input-error' : ''}`}
+                value={value}
+                onChange={(e) => handleInputChange(field.id, e.target.value)}
+                onBlur={(e) => {
+                  // Round to the precision configured in Airtable
+                  if (e.target.value !== '' && !isNaN(e.target.value)) {
+                    handleInputChange(field.id, Number(e.target.value).toFixed(precision));
+                  }
+                }}
+                placeholder={fieldConfig.placeholder || `Enter ${field.label.toLowerCase()}`}
+                required={field.required}
+              />
+              {field.type === 'percent' && (
+                <span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500 text-sm pointer-events-none">
+                  %
+                </span>
+              )}
+            </div>
+            {error && <p className="error-text">{error}</p>}
+          </div>
+        );
+      }
+
+      case 'rating':
+        return (
+          <div key={field.id} className="form-field">
+            <label className={`label ${field.required ? 'label-required' : ''}`}>
+              {field.label}
+            </label>
+            {fieldConfig.description && (
+              <p className="help-text">{fieldConfig.description}</p>
+            )}
+            <RatingInput
+              value={Number(value) || 0}
+              max={getRatingMax(fieldConfig)}
+              onChange={(rating) => handleInputChange(field.id, rating || '')}
+            />
+            {error && <p className="error-text">{error}</p>}
+          </div>
+        );
+
+      case 'checkbox':
+        return (
+          <div key={field.id} className="form-field">
+            <div className="flex items-center justify-between">
+              <label
+                htmlFor={`toggle-${field.id}`}
+                className={`label mb-0 ${field.required ? 'label-required' : ''}`}
+              >
+                {field.label}
+              </label>
+              <button
+                id={`toggle-${field.id}`}
+                type="button"
+                role="switch"
+                aria-checked={value === true}
+                onClick={() => handleInputChange(field.id, value === true ? '' : true)}
+                className={`relative inline-flex h-6 w-11 flex-shrink-0 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2 ${
+                  value === true ? 'bg-primary-600' : 'bg-gray-200'
+                }`}
+              >
+                <span
+                  className={`inline-block h-4 w-4 transform rounded-full bg-white shadow transition-transform ${
+                    value === true ? 'translate-x-6' : 'translate-x-1'
+                  }`}
+                />
+              </button>
+            </div>
+            {fieldConfig.description && (
+              <p className="help-text">{fieldConfig.description}</p>
+            )}
+            {error && <p className="error-text">{error}</p>}
+          </div>
+        );
+
+      case 'date':
+      case 'dateTime': {
+        const isDateTime = field.type === 'dateTime';
+        const timeZone = resolveTimeZone(fieldConfig, CLIENT_TIME_ZONE);
+
+        return (
+          <div key={field.id} className="form-field">
+            <label className={`label ${field.required ? 'label-required' : ''}`}>
+              {field.label}
+            </label>
+            {fieldConfig.description && (
+              <p className="help-text">{fieldConfig.description}</p>
+            )}
+            <input
+              type={isDateTime ? 'datetime-local' : 'date'}
+              className={`input ${error ? 'input-error' : ''}`}
+              value={value}
+              onChange={(e) => handleInputChange(field.id, e.target.value)}
+              required={field.required}
+            />
+            {(value || isDateTime) && (
+              <p className="help-text">
+                {value && formatDateValue(fieldConfig, value, CLIENT_TIME_ZONE)}
+                {value && isDateTime && ' · '}
+                {isDateTime && `Time zone: ${timeZone}`}
+              </p>
+            )}
+            {error && <p className="error-text">{error}</p>}
+          </div>
+        );
+      }
+
+      case 'multipleRecordLinks':
+        return (
+          <div key={field.id} className="form-field">
+            <label className={`label ${field.required ? 'label-required' : ''}`}>
+              {field.label}
+            </label>
+            {fieldConfig.description && (
+              <p className="help-text">{fieldConfig.description}</p>
+            )}
+            <RecordLinkPicker
+              formId={currentForm._id}
+              fieldConfig={fieldConfig}
+              value={responses[field.id]}
+              names={recordNames}
+              onChange={(recordIds, names) => {
+                setRecordNames(prev => ({ ...prev, ...names }));
+                handleInputChange(field.id, recordIds);
+              }}
+              error={error}
+            />
+            {error && <p className="error-text">{error}</p>}
+          </div>
+        );
+
       case 'attachment':
         return (
           <FileUploadField
@@ -263,7 +639,10 @@ const FormViewer = ({ embedded = false }) => {
             field={field}
             fieldConfig={fieldConfig}
             files={files[field.id] || []}
-            onFilesChange={(files) => handleFileUpload(field.id, files)}
+            recordFiles={editRecord?.values[field.id] || []}
+            onFilesAdd={(newFiles) => handleFileUpload(field.id, newFiles)}
+            onFileRemove={(entryId) => handleFileRemove(field.id, entryId)}
+            onFileResume={(entry) => startUpload(field.id, entry)}
             error={error}
           />
         );
@@ -293,6 +672,22 @@ const FormViewer = ({ embedded = false }) => {
     );
   }
 
+  if (editRecordId && (editError || !editRecord)) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        {editError ? (
+          <div className="text-center">
+            <AlertCircle className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+            <h1 className="text-xl font-medium text-gray-900 mb-2">Can't Edit This Record</h1>
+            <p className="text-gray-500">{editError}</p>
+          </div>
+        ) : (
+          <LoadingSpinner size="lg" text="Loading record..." />
+        )}
+      </div>
+    );
+  }
+
   if (submitted) {
     return (
       <div className={`min-h-screen flex items-center justify-center ${embedded ? 'bg-transparent' : 'bg-gray-50'}`}>
@@ -316,12 +711,6 @@ const FormViewer = ({ embedded = false }) => {
     );
   }
 
-  const fieldsPerStep = Math.ceil(visibleFields.length / 3);
-  const totalSteps = Math.ceil(visibleFields.length / fieldsPerStep);
-  const currentStepFields = visibleFields.slice(
-    currentStep * fieldsPerStep,
-    (currentStep + 1) * fieldsPerStep
-  );
 
   return (
     <div className={`min-h-screen ${embedded ? 'bg-transparent' : 'bg-gray-50 py-8'}`}>
@@ -336,6 +725,13 @@ const FormViewer = ({ embedded = false }) => {
               {currentForm.description && (
                 <p className="text-gray-600">{currentForm.description}</p>
               )}
+
+              {editRecord && (
+                <div className="mt-4 flex items-center justify-center text-sm text-primary-700 bg-primary-50 rounded-md px-3 py-2">
+                  <Pencil className="h-4 w-4 mr-2 flex-shrink-0" />
+                  You're updating an existing record. This link expires on {new Date(editRecord.expiresAt).toLocaleDateString()}.
+                </div>
+              )}
               
               {/* Progress Bar */}
               {currentForm.settings.showProgressBar && totalSteps > 1 && (
@@ -397,7 +793,7 @@ const FormViewer = ({ embedded = false }) => {
                 ) : (
                   <button
                     type="button"
-                    onClick={() => setCurrentStep(prev => prev + 1)}
+                    onClick={handleNextStep}
                     className="btn btn-primary"
                   >
                     Next
@@ -413,22 +809,67 @@ const FormViewer = ({ embedded = false }) => {
   );
 };
 
+// Star Rating Component
+const RatingInput = ({ value, max, onChange }) => {
+  const [hovered, setHovered] = useState(0);
+  const shown = hovered || value;
+
+  return (
+    <div className="flex items-center space-x-1" onMouseLeave={() => setHovered(0)}>
+      {Array.from({ length: max }, (_, index) => index + 1).map(rating => (
+        <button
+          key={rating}
+          type="button"
+          onClick={() => onChange(rating === value ? 0 : rating)}
+          onMouseEnter={() => setHovered(rating)}
+          className="p-0.5 focus:outline-none focus:ring-2 focus:ring-primary-500 rounded"
+          title={`${rating} of ${max}`}
+          aria-label={`Rate ${rating} of ${max}`}
+          aria-pressed={rating <= value}
+        >
+          <Star
+            className={`h-6 w-6 transition-colors ${
+              rating <= shown ? 'text-yellow-400 fill-yellow-400' : 'text-gray-300'
+            }`}
+          />
+        </button>
+      ))}
+      {value > 0 && (
+        <span className="ml-2 text-sm text-gray-500">{value}/{max}</span>
+      )}
+    </div>
+  );
+};
+
 // File Upload Field Component
-const FileUploadField = ({ field, fieldConfig, files, onFilesChange, error }) => {
+// `files` are upload entries: each file is sent in chunks as soon as it is
+// added, with a progress bar and a resume button if the connection drops
+const FileUploadField = ({ field, fieldConfig, files, recordFiles = [], onFilesAdd, onFileRemove, onFileResume, error }) => {
+  // Same upload rules the server enforces for this field
+  const rules = getAttachmentRules(fieldConfig);
+
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
-    onDrop: onFilesChange,
-    maxFiles: 5,
-    maxSize: 10 * 1024 * 1024, // 10MB
-    accept: {
-      'image/*': ['.png', '.jpg', '.jpeg', '.gif'],
-      'application/pdf': ['.pdf'],
-      'application/msword': ['.doc'],
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
-      'text/plain': ['.txt'],
-      'text/csv': ['.csv'],
-      'application/vnd.ms-excel': ['.xls'],
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
-    }
+    onDrop: (acceptedFiles) => {
+      if (acceptedFiles.length === 0) return;
+
+      // The file count covers files added earlier too
+      const allFiles = [...files.map(entry => entry.file), ...acceptedFiles];
+      if (allFiles.length > rules.maxFiles) {
+        toast.error(getAttachmentError(fieldConfig, allFiles));
+        return;
+      }
+      onFilesAdd(acceptedFiles);
+    },
+    onDropRejected: (rejections) => {
+      toast.error(
+        getAttachmentError(fieldConfig, rejections.map(rejection => rejection.file)) ||
+        rejections[0].errors[0].message
+      );
+    },
+    maxSize: rules.maxFileSize,
+    accept: rules.acceptedTypes.length > 0
+      ? Object.fromEntries(rules.acceptedTypes.map(type => [type, []]))
+      : undefined
   });
 
   return (
@@ -460,34 +901,73 @@ const FileUploadField = ({ field, fieldConfig, files, onFilesChange, error }) =>
               Drag & drop files here, or click to select
             </p>
             <p className="text-sm text-gray-500">
-              Max 5 files, 10MB each
+              {describeAttachmentRules(fieldConfig)}
             </p>
           </div>
         )}
       </div>
 
+      {/* Files already on the record being edited; new files are added to them */}
+      {recordFiles.length > 0 && (
+        <p className="help-text">
+          Already attached: {recordFiles.map(file => file.filename).join(', ')}
+        </p>
+      )}
+
       {/* File List */}
       {files.length > 0 && (
         <div className="mt-3 space-y-2">
-          {files.map((file, index) => (
-            <div key={index} className="flex items-center justify-between bg-gray-50 rounded-md p-2">
-              <div className="flex items-center">
-                <FileText className="h-4 w-4 text-gray-500 mr-2" />
-                <span className="text-sm text-gray-700">{file.name}</span>
-                <span className="text-xs text-gray-500 ml-2">
-                  ({(file.size / 1024 / 1024).toFixed(1)} MB)
-                </span>
+          {files.map(entry => (
+            <div key={entry.id} className="bg-gray-50 rounded-md p-2">
+              <div className="flex items-center justify-between">
+                <div className="flex items-center min-w-0">
+                  <FileText className="h-4 w-4 text-gray-500 mr-2 flex-shrink-0" />
+                  <span className="text-sm text-gray-700 truncate">{entry.file.name}</span>
+                  <span className="text-xs text-gray-500 ml-2 flex-shrink-0">
+                    ({formatFileSize(entry.file.size)})
+                  </span>
+                </div>
+                <div className="flex items-center space-x-2 ml-2">
+                  {(entry.status === 'paused' || entry.status === 'failed') && (
+                    <button
+                      type="button"
+                      onClick={() => onFileResume(entry)}
+                      className="text-primary-600 hover:text-primary-700"
+                      title={entry.status === 'paused' ? 'Resume upload' : 'Retry upload'}
+                    >
+                      <RotateCw className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => onFileRemove(entry.id)}
+                    className="text-red-500 hover:text-red-700"
+                    title="Remove"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
               </div>
-              <button
-                type="button"
-                onClick={() => {
-                  const newFiles = files.filter((_, i) => i !== index);
-                  onFilesChange(newFiles);
-                }}
-                className="text-red-500 hover:text-red-700"
-              >
-                <X className="h-4 w-4" />
-              </button>
+
+              {entry.status !== 'complete' && (
+                <div className="mt-2">
+                  <div className="w-full bg-gray-200 rounded-full h-1.5">
+                    <div
+                      className={`h-1.5 rounded-full transition-all ${
+                        entry.status === 'uploading' ? 'bg-primary-600' : 'bg-yellow-500'
+                      }`}
+                      style={{ width: `${entry.file.size ? Math.round((entry.uploaded / entry.file.size) * 100) : 0}%` }}
+                    />
+                  </div>
+                  <p className={`text-xs mt-1 ${entry.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                    {entry.status === 'uploading'
+                      ? `Uploading... ${entry.file.size ? Math.round((entry.uploaded / entry.file.size) * 100) : 0}%`
+                      : entry.status === 'paused'
+                      ? `${entry.error}. Upload paused; it resumes when you're back online.`
+                      : entry.error}
+                  </p>
+                </div>
+              )}
             </div>
           ))}
         </div>
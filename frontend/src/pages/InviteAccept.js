@@ -0,0 +1,119 @@
+import { format } from 'date-fns';
+import { Home, Users, XCircle } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import LoadingSpinner from '../components/UI/LoadingSpinner';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+
+const InviteAccept = () => {
+  const { token } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { isAuthenticated, loading: authLoading, user, loginWithAirtable } = useAuth();
+  const { getInvite, acceptInvite } = useWorkspace();
+  const [invite, setInvite] = useState(null);
+  const [error, setError] = useState(null);
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    getInvite(token)
+      .then(setInvite)
+      .catch(error => setError(error.response?.data?.message || 'This invite is invalid or has expired'));
+  }, [token]);
+
+  // Sign in with Airtable, or with email on the page at `path`; either way
+  // the user is brought back here once signed in
+  const handleSignIn = (path) => {
+    sessionStorage.setItem('pendingInvite', location.pathname);
+    if (path) {
+      navigate(path);
+    } else {
+      loginWithAirtable();
+    }
+  };
+
+  const handleAccept = async () => {
+    try {
+      setAccepting(true);
+      await acceptInvite(token);
+      navigate('/dashboard');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to accept invite');
+      setAccepting(false);
+    }
+  };
+
+  if (!invite && !error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" text="Loading invite..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <div className="max-w-md w-full text-center">
+        <div className="card">
+          <div className="card-body py-12">
+            {error ? (
+              <>
+                <XCircle className="mx-auto h-16 w-16 text-red-500 mb-4" />
+                <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                  Can't Accept Invite
+                </h1>
+                <p className="text-gray-600 mb-6">{error}</p>
+                <Link to={isAuthenticated ? '/dashboard' : '/'} className="btn btn-secondary w-full">
+                  <Home className="h-4 w-4 mr-2" />
+                  {isAuthenticated ? 'Go to Dashboard' : 'Back to Home'}
+                </Link>
+              </>
+            ) : (
+              <>
+                <Users className="mx-auto h-16 w-16 text-primary-500 mb-4" />
+                <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                  Join {invite.workspaceName}
+                </h1>
+                <p className="text-gray-600 mb-1">
+                  You've been invited as <span className="font-medium capitalize">{invite.role}</span>.
+                </p>
+                <p className="text-sm text-gray-500 mb-6">
+                  Sent to {invite.email} · expires {format(new Date(invite.expiresAt), 'MMM d, yyyy')}
+                </p>
+                {authLoading ? (
+                  <LoadingSpinner />
+                ) : isAuthenticated ? (
+                  <>
+                    {user?.email?.toLowerCase() !== invite.email && (
+                      <p className="text-sm text-yellow-700 mb-4">
+                        You're signed in as {user?.email}; this invite can only be accepted by {invite.email}.
+                      </p>
+                    )}
+                    <button onClick={handleAccept} disabled={accepting} className="btn btn-primary w-full">
+                      {accepting ? 'Joining...' : 'Accept Invite'}
+                    </button>
+                  </>
+                ) : (
+                  <div className="space-y-3">
+                    <button onClick={() => handleSignIn()} className="btn btn-primary w-full">
+                      Sign in with Airtable to Accept
+                    </button>
+                    <button onClick={() => handleSignIn('/login')} className="btn btn-secondary w-full">
+                      Sign in with Email
+                    </button>
+                    <button onClick={() => handleSignIn('/register')} className="text-sm text-primary-600 hover:text-primary-700">
+                      No account? Create one with {invite.email}
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InviteAccept;
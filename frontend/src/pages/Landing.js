@@ -99,7 +99,10 @@ const Landing = () => {
                 FormBuilder
               </span>
             </div>
-            <div className="md:flex items-center justify-end md:flex-1 lg:w-0">
+            <div className="md:flex items-center justify-end md:flex-1 lg:w-0 space-x-3">
+              <Link to="/login" className="btn btn-secondary">
+                Sign in with Email
+              </Link>
               <button
                 onClick={loginWithAirtable}
                 disabled={loading}
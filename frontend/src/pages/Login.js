@@ -0,0 +1,189 @@
+import { Mail } from 'lucide-react';
+import { useState } from 'react';
+import { Link, Navigate, useNavigate } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+
+// Email/password sign in (mode "login") and sign up (mode "register") for
+// local accounts, with Airtable sign in offered alongside
+const Login = ({ mode = 'login' }) => {
+  const navigate = useNavigate();
+  const {
+    isAuthenticated,
+    loginWithAirtable,
+    loginWithPassword,
+    register,
+    resendVerification
+  } = useAuth();
+  const [formData, setFormData] = useState({ name: '', email: '', password: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [needsVerification, setNeedsVerification] = useState(false);
+  const [sentMessage, setSentMessage] = useState(null);
+
+  const isRegister = mode === 'register';
+
+  if (isAuthenticated) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    setNeedsVerification(false);
+
+    try {
+      if (isRegister) {
+        setSentMessage(await register(formData));
+        return;
+      }
+
+      const result = await loginWithPassword(formData.email, formData.password);
+      if (result.success) {
+        // Back to the invite the user signed in to accept, if any
+        const pendingInvite = sessionStorage.getItem('pendingInvite');
+        sessionStorage.removeItem('pendingInvite');
+        navigate(pendingInvite || '/dashboard');
+      } else {
+        setError(result.message);
+        setNeedsVerification(result.needsVerification);
+      }
+    } catch (error) {
+      setError(error.response?.data?.message || 'Something went wrong, please try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleResend = async () => {
+    try {
+      setSentMessage(await resendVerification(formData.email));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <div className="max-w-md w-full">
+        <div className="card">
+          <div className="card-body py-10 space-y-6">
+            <div className="text-center">
+              <Link to="/" className="text-2xl font-bold text-primary-600">
+                FormBuilder
+              </Link>
+              <h1 className="mt-4 text-xl font-bold text-gray-900">
+                {isRegister ? 'Create your account' : 'Sign in with email'}
+              </h1>
+            </div>
+
+            {sentMessage ? (
+              <div className="text-center space-y-4">
+                <Mail className="mx-auto h-12 w-12 text-primary-500" />
+                <p className="text-gray-600">{sentMessage}</p>
+                <Link to="/login" className="btn btn-secondary w-full">
+                  Back to Sign In
+                </Link>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                {isRegister && (
+                  <div>
+                    <label className="label">Name</label>
+                    <input
+                      type="text"
+                      name="name"
+                      value={formData.name}
+                      onChange={handleChange}
+                      className="input"
+                      autoComplete="name"
+                    />
+                  </div>
+                )}
+                <div>
+                  <label className="label">Email</label>
+                  <input
+                    type="email"
+                    name="email"
+                    required
+                    value={formData.email}
+                    onChange={handleChange}
+                    className="input"
+                    autoComplete="email"
+                  />
+                </div>
+                <div>
+                  <label className="label">Password</label>
+                  <input
+                    type="password"
+                    name="password"
+                    required
+                    minLength={isRegister ? 8 : undefined}
+                    value={formData.password}
+                    onChange={handleChange}
+                    className="input"
+                    autoComplete={isRegister ? 'new-password' : 'current-password'}
+                  />
+                  {isRegister && <p className="help-text">At least 8 characters</p>}
+                </div>
+
+                {error && (
+                  <p className="error-text">
+                    {error}
+                    {needsVerification && (
+                      <>
+                        {' '}
+                        <button type="button" onClick={handleResend} className="underline">
+                          Resend the link
+                        </button>
+                      </>
+                    )}
+                  </p>
+                )}
+
+                <button type="submit" disabled={submitting} className="btn btn-primary w-full">
+                  {submitting
+                    ? (isRegister ? 'Creating account...' : 'Signing in...')
+                    : (isRegister ? 'Create Account' : 'Sign In')}
+                </button>
+
+                <div className="flex justify-between text-sm">
+                  {isRegister ? (
+                    <Link to="/login" className="text-primary-600 hover:text-primary-700">
+                      Already have an account? Sign in
+                    </Link>
+                  ) : (
+                    <>
+                      <Link to="/register" className="text-primary-600 hover:text-primary-700">
+                        Create an account
+                      </Link>
+                      <Link to="/forgot-password" className="text-primary-600 hover:text-primary-700">
+                        Forgot password?
+                      </Link>
+                    </>
+                  )}
+                </div>
+              </form>
+            )}
+
+            <div className="border-t border-gray-200 pt-6">
+              <button onClick={loginWithAirtable} className="btn btn-secondary w-full">
+                Sign in with Airtable
+              </button>
+              <p className="help-text text-center mt-2">
+                You need Airtable to create forms; teammates who only view forms and responses can use email.
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
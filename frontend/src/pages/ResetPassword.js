@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { resetPassword } = useAuth();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const token = searchParams.get('token');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      toast.success(await resetPassword(token, password));
+      navigate('/login');
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to reset password');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <div className="max-w-md w-full">
+        <div className="card">
+          <div className="card-body py-10 space-y-6">
+            <div className="text-center">
+              <Link to="/" className="text-2xl font-bold text-primary-600">
+                FormBuilder
+              </Link>
+              <h1 className="mt-4 text-xl font-bold text-gray-900">Choose a new password</h1>
+            </div>
+
+            {!token ? (
+              <p className="error-text text-center">This password reset link is incomplete.</p>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label className="label">New Password</label>
+                  <input
+                    type="password"
+                    required
+                    minLength={8}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="input"
+                    autoComplete="new-password"
+                  />
+                  <p className="help-text">At least 8 characters. You'll be signed out on all devices.</p>
+                </div>
+                <div>
+                  <label className="label">Confirm Password</label>
+                  <input
+                    type="password"
+                    required
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="input"
+                    autoComplete="new-password"
+                  />
+                </div>
+                {error && <p className="error-text">{error}</p>}
+                <button type="submit" disabled={submitting} className="btn btn-primary w-full">
+                  {submitting ? 'Saving...' : 'Set Password'}
+                </button>
+              </form>
+            )}
+
+            <Link to="/forgot-password" className="block text-center text-sm text-primary-600 hover:text-primary-700">
+              Need a new link?
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -1,9 +1,81 @@
-import { Key, Save, Trash2, User } from 'lucide-react';
-import { useState } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Key, Monitor, Save, Smartphone, Trash2, User } from 'lucide-react';
+import { useEffect, useState } from 'react';
 import { toast } from 'react-toastify';
 import LoadingSpinner from '../components/UI/LoadingSpinner';
 import { useAuth } from '../contexts/AuthContext';
 
+// Devices signed in to the account, each of which can be signed out
+const ActiveSessions = () => {
+  const { getSessions, revokeSession } = useAuth();
+  const [sessions, setSessions] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+
+  useEffect(() => {
+    getSessions()
+      .then(setSessions)
+      .catch(() => setSessions([]));
+  }, [getSessions]);
+
+  const handleRevoke = async (session) => {
+    setRevoking(session.id);
+    try {
+      await revokeSession(session);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (error) {
+      // revokeSession shows the error
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center">
+          <Monitor className="h-5 w-5 mr-2" />
+          Active Sessions
+        </h2>
+      </div>
+      <div className="card-body space-y-3">
+        {sessions === null ? (
+          <LoadingSpinner size="sm" text="Loading sessions..." />
+        ) : sessions.length === 0 ? (
+          <p className="text-sm text-gray-500">No active sessions.</p>
+        ) : (
+          sessions.map(session => {
+            const DeviceIcon = /iOS|Android/.test(session.device) ? Smartphone : Monitor;
+            return (
+              <div key={session.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                <div className="flex items-center">
+                  <DeviceIcon className="h-5 w-5 text-gray-400 mr-3" />
+                  <div>
+                    <h3 className="font-medium text-gray-900">
+                      {session.device}
+                      {session.current && <span className="badge badge-success ml-2">This device</span>}
+                    </h3>
+                    <p className="text-sm text-gray-500">
+                      Last active {formatDistanceToNow(new Date(session.lastSeenAt), { addSuffix: true })}
+                      {session.ipAddress && ` · ${session.ipAddress}`}
+                    </p>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={revoking === session.id}
+                  className="btn btn-secondary btn-sm"
+                >
+                  {session.current ? 'Sign Out' : 'Revoke'}
+                </button>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
 const Settings = () => {
   const { user, updateUser, deleteAccount, logout } = useAuth();
   const [loading, setLoading] = useState(false);
@@ -94,6 +166,8 @@ const Settings = () => {
         </form>
       </div>
 
+      <ActiveSessions />
+
       {/* Account Actions */}
       <div className="card">
         <div className="card-header">
@@ -152,7 +226,7 @@ const Settings = () => {
                     </h3>
                     <div className="mt-2">
                       <p className="text-sm text-gray-500">
-                        Are you absolutely sure? This action cannot be undone and will permanently delete your account, all forms, and responses.
+                        Are you absolutely sure? This action cannot be undone and will permanently delete your account and your personal forms and responses. Your forms in shared workspaces are handed over to another owner.
                       </p>
                     </div>
                   </div>
@@ -0,0 +1,69 @@
+import { CheckCircle, XCircle } from 'lucide-react';
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import LoadingSpinner from '../components/UI/LoadingSpinner';
+import { useAuth } from '../contexts/AuthContext';
+
+const VerifyEmail = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { verifyEmail } = useAuth();
+  const [status, setStatus] = useState('processing'); // processing, success, error
+  const [error, setError] = useState(null);
+  const handled = useRef(false);
+
+  useEffect(() => {
+    // The link works once; don't use it twice (StrictMode)
+    if (handled.current) return;
+    handled.current = true;
+
+    verifyEmail(searchParams.get('token'))
+      .then(() => {
+        setStatus('success');
+        const pendingInvite = sessionStorage.getItem('pendingInvite');
+        sessionStorage.removeItem('pendingInvite');
+        setTimeout(() => {
+          navigate(pendingInvite || '/dashboard');
+        }, 2000);
+      })
+      .catch(error => {
+        setError(error.response?.data?.message || 'Failed to verify email');
+        setStatus('error');
+      });
+  }, [searchParams, verifyEmail, navigate]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <div className="max-w-md w-full text-center">
+        <div className="card">
+          <div className="card-body py-12">
+            {status === 'processing' && (
+              <LoadingSpinner size="lg" text="Verifying your email..." />
+            )}
+
+            {status === 'success' && (
+              <>
+                <CheckCircle className="mx-auto h-16 w-16 text-green-500 mb-4" />
+                <h1 className="text-2xl font-bold text-gray-900 mb-2">Email Verified</h1>
+                <p className="text-gray-600">Signing you in...</p>
+              </>
+            )}
+
+            {status === 'error' && (
+              <>
+                <XCircle className="mx-auto h-16 w-16 text-red-500 mb-4" />
+                <h1 className="text-2xl font-bold text-gray-900 mb-2">Verification Failed</h1>
+                <p className="text-gray-600 mb-6">{error}</p>
+                <Link to="/login" className="btn btn-primary w-full">
+                  Back to Sign In
+                </Link>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,268 @@
+import { INVITABLE_ROLES, WORKSPACE_ROLES } from 'airtable-form-builder-shared';
+import { format } from 'date-fns';
+import { Mail, Users } from 'lucide-react';
+import { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import LoadingSpinner from '../components/UI/LoadingSpinner';
+import { useAuth } from '../contexts/AuthContext';
+import { useWorkspace } from '../contexts/WorkspaceContext';
+
+const ROLE_DESCRIPTIONS = {
+  viewer: 'Can see the workspace\'s forms',
+  analyst: 'Can also see responses and analytics',
+  editor: 'Can also create, edit and publish forms',
+  owner: 'Can also manage members and the workspace'
+};
+
+const WorkspaceMembers = () => {
+  const { user } = useAuth();
+  const {
+    currentWorkspace,
+    permissions,
+    renameWorkspace,
+    getMembers,
+    inviteMember,
+    cancelInvite,
+    updateMemberRole,
+    removeMember
+  } = useWorkspace();
+  const [members, setMembers] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [name, setName] = useState('');
+  const [inviteData, setInviteData] = useState({ email: '', role: 'viewer' });
+  const [inviting, setInviting] = useState(false);
+
+  const workspaceId = currentWorkspace?.id;
+  // Login responses name the user's ID `id`, /me names it `_id`
+  const userId = user?._id || user?.id;
+
+  useEffect(() => {
+    if (workspaceId) {
+      setName(currentWorkspace.name);
+      loadMembers();
+    }
+  }, [workspaceId]);
+
+  const loadMembers = async () => {
+    try {
+      const data = await getMembers(workspaceId);
+      setMembers(data.members);
+      setInvites(data.invites);
+    } catch (error) {
+      setMembers([]);
+      toast.error('Failed to load members');
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || name.trim() === currentWorkspace.name) return;
+    try {
+      await renameWorkspace(workspaceId, name.trim());
+    } catch (error) {
+      // renameWorkspace shows the error
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setInviting(true);
+    try {
+      const { url, emailSent } = await inviteMember(workspaceId, inviteData.email, inviteData.role);
+      await navigator.clipboard.writeText(url);
+      if (emailSent) {
+        toast.success(`Invite sent to ${inviteData.email}; the link is also copied`);
+      } else {
+        toast.warning(`Couldn't email ${inviteData.email}; the invite link is copied for you to send`);
+      }
+      setInviteData({ email: '', role: inviteData.role });
+      await loadMembers();
+    } catch (error) {
+      // inviteMember shows the error
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleAction = async (action) => {
+    try {
+      await action();
+      await loadMembers();
+    } catch (error) {
+      // The workspace context shows the error
+    }
+  };
+
+  if (!currentWorkspace || members === null) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <LoadingSpinner size="lg" text="Loading members..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-8">
+      {/* Workspace */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-medium text-gray-900 flex items-center">
+            <Users className="h-5 w-5 mr-2" />
+            {currentWorkspace.name}
+            <span className="badge badge-gray ml-2 capitalize">{currentWorkspace.role}</span>
+          </h2>
+        </div>
+        <div className="card-body space-y-4">
+          {permissions.manageMembers && (
+            <form onSubmit={handleRename} className="flex items-end space-x-3">
+              <div className="flex-1">
+                <label className="label">Workspace Name</label>
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  className="input"
+                  maxLength={100}
+                />
+              </div>
+              <button type="submit" className="btn btn-secondary">Rename</button>
+            </form>
+          )}
+
+          {!(currentWorkspace.personal && currentWorkspace.role === 'owner') && (
+            <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+              <div>
+                <h3 className="font-medium text-gray-900">Leave Workspace</h3>
+                <p className="text-sm text-gray-500">You'll lose access to its forms until you're invited again.</p>
+              </div>
+              <button
+                onClick={() => removeMember(workspaceId, userId).catch(() => {})}
+                className="btn btn-secondary"
+              >
+                Leave
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Members */}
+      <div className="card">
+        <div className="card-header">
+          <h2 className="text-lg font-medium text-gray-900">Members</h2>
+        </div>
+        <div className="card-body space-y-3">
+          {members.map(member => {
+            const isSelf = member.userId === userId;
+            return (
+              <div key={member.userId} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                <div>
+                  <h3 className="font-medium text-gray-900">
+                    {member.name || member.email}
+                    {isSelf && <span className="badge badge-primary ml-2">You</span>}
+                  </h3>
+                  <p className="text-sm text-gray-500">
+                    {member.email} · joined {format(new Date(member.joinedAt), 'MMM d, yyyy')}
+                  </p>
+                </div>
+                {permissions.manageMembers && !isSelf ? (
+                  <div className="flex items-center space-x-2">
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleAction(() => updateMemberRole(workspaceId, member.userId, e.target.value))}
+                      className="input"
+                    >
+                      {WORKSPACE_ROLES.map(role => (
+                        <option key={role} value={role} className="capitalize">{role}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => handleAction(() => removeMember(workspaceId, member.userId))}
+                      className="btn btn-danger btn-sm"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <span className="badge badge-gray capitalize">{member.role}</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Invites */}
+      {permissions.manageMembers && (
+        <div className="card">
+          <div className="card-header">
+            <h2 className="text-lg font-medium text-gray-900 flex items-center">
+              <Mail className="h-5 w-5 mr-2" />
+              Invite Members
+            </h2>
+          </div>
+          <div className="card-body space-y-4">
+            <form onSubmit={handleInvite} className="space-y-2">
+              <div className="flex items-end space-x-3">
+                <div className="flex-1">
+                  <label className="label">Email</label>
+                  <input
+                    type="email"
+                    required
+                    value={inviteData.email}
+                    onChange={(e) => setInviteData({ ...inviteData, email: e.target.value })}
+                    className="input"
+                    placeholder="teammate@example.com"
+                  />
+                </div>
+                <div>
+                  <label className="label">Role</label>
+                  <select
+                    value={inviteData.role}
+                    onChange={(e) => setInviteData({ ...inviteData, role: e.target.value })}
+                    className="input"
+                  >
+                    {INVITABLE_ROLES.map(role => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                </div>
+                <button type="submit" disabled={inviting} className="btn btn-primary">
+                  {inviting ? 'Inviting...' : 'Invite'}
+                </button>
+              </div>
+              <p className="help-text">
+                {ROLE_DESCRIPTIONS[inviteData.role]}. We email the invite link (and copy it for you); it works
+                for 7 days and only for someone signed in with that email address.
+              </p>
+            </form>
+
+            {invites.length > 0 && (
+              <div className="space-y-3">
+                <h3 className="text-sm font-medium text-gray-700">Pending Invites</h3>
+                {invites.map(invite => (
+                  <div key={invite.id} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                    <div>
+                      <h3 className="font-medium text-gray-900">{invite.email}</h3>
+                      <p className="text-sm text-gray-500">
+                        <span className="capitalize">{invite.role}</span> · expires {format(new Date(invite.expiresAt), 'MMM d, yyyy')}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleAction(() => cancelInvite(workspaceId, invite.id))}
+                      className="btn btn-secondary btn-sm"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceMembers;
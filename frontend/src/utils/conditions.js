@@ -0,0 +1,146 @@
+import {
+  COMBINATORS,
+  CONDITION_OPERATORS,
+  MAX_CONDITION_DEPTH,
+  getRuleValueError,
+  isGroup
+} from 'airtable-form-builder-shared';
+
+// Operator metadata and evaluation live in the shared logic package so the
+// editor, the viewer and the backend agree on them
+export { COMBINATORS, CONDITION_OPERATORS, MAX_CONDITION_DEPTH, isGroup };
+
+export const getOperator = (value) =>
+  CONDITION_OPERATORS.find(operator => operator.value === value);
+
+export const createRule = (fieldId = '') => ({
+  fieldId,
+  operator: 'equals',
+  value: ''
+});
+
+// Empty value matching the shape an operator expects
+export const getDefaultValue = (operatorValue) => {
+  switch (getOperator(operatorValue)?.valueKind) {
+    case 'range':
+      return ['', ''];
+    case 'list':
+      return [];
+    default:
+      return '';
+  }
+};
+
+export const createGroup = (combinator = 'any', conditions = []) => ({
+  combinator,
+  conditions
+});
+
+// A field's top-level conditions as a group; flat rule arrays read as `all`
+export const getRootGroup = (field) =>
+  createGroup(field.showWhenCombinator || 'all', field.showWhen || []);
+
+// Fields a rule on `field` may depend on: only those placed before it
+export const getSourceFields = (field, fields) =>
+  fields.filter(candidate => candidate.order < field.order);
+
+const formatValue = (value) =>
+  Array.isArray(value) ? value.join(', ') : String(value ?? '');
+
+// Human readable version of a single rule, e.g. "Department equals Sales"
+export const describeRule = (rule, fields) => {
+  const source = fields.find(field => field.airtableFieldId === rule.fieldId);
+  const operator = getOperator(rule.operator);
+  const sourceLabel = source ? source.label : 'a removed field';
+
+  if (!operator) {
+    return `${sourceLabel} ${rule.operator}`;
+  }
+
+  if (!operator.needsValue) {
+    return `${sourceLabel} ${operator.label}`;
+  }
+
+  if (operator.valueKind === 'range' && Array.isArray(rule.value)) {
+    return `${sourceLabel} ${operator.label} ${rule.value[0]} and ${rule.value[1]}`;
+  }
+
+  return `${sourceLabel} ${operator.label} ${formatValue(rule.value)}`;
+};
+
+const describeGroup = (group, fields, nested) => {
+  const joiner = group.combinator === 'any' ? ' or ' : ' and ';
+  const parts = (group.conditions || []).map(condition =>
+    isGroup(condition)
+      ? describeGroup(condition, fields, true)
+      : describeRule(condition, fields)
+  );
+
+  const text = parts.join(joiner);
+  return nested && parts.length > 1 ? `(${text})` : text;
+};
+
+export const describeConditions = (field, fields) => {
+  if (!field.showWhen || field.showWhen.length === 0) {
+    return 'Always shown';
+  }
+
+  return `Shown when ${describeGroup(getRootGroup(field), fields, false)}`;
+};
+
+// Returns an error message when a rule can't be saved, otherwise null
+export const getRuleError = (rule, field, fields) => {
+  if (!rule.fieldId) {
+    return 'Choose a field for this rule';
+  }
+
+  if (rule.fieldId === field.airtableFieldId) {
+    return 'A field cannot depend on itself';
+  }
+
+  const source = fields.find(candidate => candidate.airtableFieldId === rule.fieldId);
+  if (!source) {
+    return 'This rule points at a field that is no longer on the form';
+  }
+
+  if (source.order > field.order) {
+    return `"${source.label}" comes after this field; move it above or pick another field`;
+  }
+
+  return getRuleValueError(rule);
+};
+
+// Returns the first error in a (possibly nested) list of conditions, otherwise null
+export const getConditionsError = (conditions, field, fields, depth = 1) => {
+  for (const condition of conditions || []) {
+    let message;
+
+    if (isGroup(condition)) {
+      if (depth >= MAX_CONDITION_DEPTH) {
+        return `Groups can only be nested ${MAX_CONDITION_DEPTH} levels deep`;
+      }
+      if (!condition.conditions || condition.conditions.length === 0) {
+        return 'Add at least one rule to every group';
+      }
+      message = getConditionsError(condition.conditions, field, fields, depth + 1);
+    } else {
+      message = getRuleError(condition, field, fields);
+    }
+
+    if (message) {
+      return message;
+    }
+  }
+
+  return null;
+};
+
+// Collect the first invalid rule of every field, for blocking saves
+export const getConditionErrors = (fields) =>
+  fields.reduce((errors, field) => {
+    const message = getConditionsError(field.showWhen, field, fields);
+    if (message) {
+      errors.push({ fieldId: field.airtableFieldId, label: field.label, message });
+    }
+    return errors;
+  }, []);
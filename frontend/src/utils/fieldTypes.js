@@ -0,0 +1,51 @@
+import {
+  SUPPORTED_FIELD_TYPES,
+  isSupportedFieldType,
+  toTypeOptions
+} from 'airtable-form-builder-shared';
+
+// Airtable field types that can be placed on a form (shared with the backend enum)
+export { SUPPORTED_FIELD_TYPES, isSupportedFieldType };
+
+export const FIELD_TYPE_LABELS = {
+  singleLineText: 'Short text',
+  multilineText: 'Long text',
+  singleSelect: 'Single select',
+  multipleSelect: 'Multiple select',
+  attachment: 'Attachment',
+  number: 'Number',
+  currency: 'Currency',
+  percent: 'Percent',
+  rating: 'Rating',
+  checkbox: 'Checkbox',
+  date: 'Date',
+  dateTime: 'Date & time',
+  email: 'Email',
+  url: 'URL',
+  phoneNumber: 'Phone number',
+  multipleRecordLinks: 'Linked records'
+};
+
+// Field types whose input has no placeholder text
+export const TYPES_WITHOUT_PLACEHOLDER = ['attachment', 'rating', 'checkbox', 'date', 'dateTime'];
+
+// Convert an Airtable schema field into a form field definition
+export const toFormField = (airtableField, order) => ({
+  airtableFieldId: airtableField.id,
+  airtableFieldName: airtableField.name,
+  airtableFieldType: airtableField.type,
+  label: airtableField.label || airtableField.name,
+  placeholder: '',
+  description: airtableField.description || '',
+  required: !!airtableField.required,
+  options: airtableField.options?.choices || [],
+  typeOptions: toTypeOptions(airtableField.options),
+  linkSettings: { view: '', filterByFormula: '' },
+  showWhen: [],
+  showWhenCombinator: 'all',
+  order
+});
+
+// Re-number fields so `order` always matches their position
+export const normalizeFieldOrder = (fields) =>
+  fields.map((field, index) => ({ ...field, order: index }));
@@ -0,0 +1,100 @@
+// Resumable, chunked file uploads. A file is registered with the server,
+// then sent chunk by chunk; network errors are retried with a delay, and the
+// upload ID and token are remembered so re-selecting the same file (even
+// after a page reload) continues where it stopped.
+
+const RETRY_DELAYS = [1000, 3000, 10000]; // ms before each retry of a chunk
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getResumeKey = (formId, fieldId, file) =>
+  `upload:${formId}:${fieldId}:${file.name}:${file.size}:${file.lastModified}`;
+
+// localStorage may be unavailable (e.g. blocked in embedded iframes); entries
+// saved before uploads had tokens can't be resumed
+const readResumeEntry = (key) => {
+  try {
+    const entry = JSON.parse(localStorage.getItem(key));
+    return entry?.uploadId && entry?.uploadToken ? entry : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeResumeEntry = (key, entry) => {
+  try {
+    if (entry) {
+      localStorage.setItem(key, JSON.stringify(entry));
+    } else {
+      localStorage.removeItem(key);
+    }
+  } catch (error) {
+    // Resuming after a reload just won't be possible
+  }
+};
+
+// Upload `file` for an attachment field and resolve with its { uploadId, uploadToken }.
+// `api` provides createUpload/getUpload/uploadChunk from FormContext;
+// `onProgress` receives the number of bytes the server has.
+export const uploadFile = async ({ formId, fieldId, file, api, onProgress, signal }) => {
+  const resumeKey = getResumeKey(formId, fieldId, file);
+  let status = null;
+
+  let upload = readResumeEntry(resumeKey);
+  if (upload) {
+    try {
+      status = await api.getUpload(formId, upload);
+    } catch (error) {
+      writeResumeEntry(resumeKey, null);
+    }
+  }
+
+  if (!status) {
+    status = await api.createUpload(formId, {
+      fieldId,
+      filename: file.name,
+      size: file.size,
+      mimetype: file.type
+    });
+    upload = { uploadId: status.uploadId, uploadToken: status.uploadToken };
+    writeResumeEntry(resumeKey, upload);
+  }
+
+  const chunkSize = status.chunkSize || DEFAULT_CHUNK_SIZE;
+  let offset = status.offset;
+  let failures = 0;
+  onProgress(offset);
+
+  while (offset < file.size) {
+    try {
+      const chunkStart = offset;
+      const result = await api.uploadChunk(formId, upload, chunkStart, file.slice(chunkStart, chunkStart + chunkSize), {
+        onProgress: (loaded) => onProgress(chunkStart + loaded),
+        signal
+      });
+      offset = result.offset;
+      failures = 0;
+      onProgress(offset);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      // The server has a different offset (e.g. a response was lost): continue from there
+      if (error.response?.status === 409) {
+        offset = error.response.data.offset;
+        continue;
+      }
+
+      // Rejected by the server, or still offline after retrying: let the caller decide
+      if (error.response?.status < 500 || failures >= RETRY_DELAYS.length) {
+        throw error;
+      }
+
+      await wait(RETRY_DELAYS[failures]);
+      failures += 1;
+    }
+  }
+
+  writeResumeEntry(resumeKey, null);
+  return upload;
+};
@@ -0,0 +1,144 @@
+// Upload rules for `attachment` fields. A field may restrict the accepted
+// MIME types ("image/*" style wildcards allowed), the size of each file and
+// the number of files. Fields without rules get the defaults below, which
+// match what every form accepted before rules were configurable.
+
+const MB = 1024 * 1024;
+
+// Hard limits no field can raise (the server's upload parser uses these)
+const MAX_ATTACHMENT_FILE_SIZE = 50 * MB;
+const MAX_ATTACHMENT_FILES = 20;
+
+// Groups of MIME types offered in the form editor
+const ATTACHMENT_TYPE_PRESETS = [
+  { value: 'images', label: 'Images (PNG, JPEG, GIF)', types: ['image/png', 'image/jpeg', 'image/gif'] },
+  { value: 'pdf', label: 'PDF', types: ['application/pdf'] },
+  {
+    value: 'documents',
+    label: 'Word documents',
+    types: ['application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+  },
+  {
+    value: 'spreadsheets',
+    label: 'Spreadsheets',
+    types: [
+      'text/csv',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ]
+  },
+  { value: 'text', label: 'Plain text', types: ['text/plain'] },
+  { value: 'video', label: 'Video', types: ['video/*'] },
+  { value: 'audio', label: 'Audio', types: ['audio/*'] }
+];
+
+const DEFAULT_PRESETS = ['images', 'pdf', 'documents', 'spreadsheets', 'text'];
+
+const DEFAULT_ATTACHMENT_RULES = {
+  acceptedTypes: ATTACHMENT_TYPE_PRESETS
+    .filter(preset => DEFAULT_PRESETS.includes(preset.value))
+    .flatMap(preset => preset.types),
+  maxFileSize: 10 * MB,
+  maxFiles: 5
+};
+
+const MIME_TYPE_PATTERN = /^[a-z0-9][a-z0-9!#$&^_.+-]*\/(\*|[a-z0-9][a-z0-9!#$&^_.+-]*)$/i;
+
+const isValidMimeType = (type) => typeof type === 'string' && MIME_TYPE_PATTERN.test(type);
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// The rules in effect for a field, filling in defaults and clamping to the
+// hard limits. An empty acceptedTypes list accepts any type.
+const getAttachmentRules = (field) => {
+  const rules = field?.attachmentRules || {};
+  const maxFileSize = isPositiveInteger(rules.maxFileSize) ? rules.maxFileSize : DEFAULT_ATTACHMENT_RULES.maxFileSize;
+  const maxFiles = isPositiveInteger(rules.maxFiles) ? rules.maxFiles : DEFAULT_ATTACHMENT_RULES.maxFiles;
+
+  return {
+    acceptedTypes: Array.isArray(rules.acceptedTypes)
+      ? rules.acceptedTypes.filter(isValidMimeType).map(type => type.toLowerCase())
+      : DEFAULT_ATTACHMENT_RULES.acceptedTypes,
+    maxFileSize: Math.min(maxFileSize, MAX_ATTACHMENT_FILE_SIZE),
+    maxFiles: Math.min(maxFiles, MAX_ATTACHMENT_FILES)
+  };
+};
+
+// Error for a rules object being saved on a field, or null
+const getAttachmentRulesError = (rules) => {
+  if (!rules) return null;
+
+  const invalidType = (rules.acceptedTypes || []).find(type => !isValidMimeType(type));
+  if (invalidType !== undefined) {
+    return `"${invalidType}" is not a valid file type`;
+  }
+  if (rules.maxFileSize !== undefined && rules.maxFileSize !== null &&
+      (!isPositiveInteger(rules.maxFileSize) || rules.maxFileSize > MAX_ATTACHMENT_FILE_SIZE)) {
+    return `The size limit must be between 1 byte and ${formatFileSize(MAX_ATTACHMENT_FILE_SIZE)}`;
+  }
+  if (rules.maxFiles !== undefined && rules.maxFiles !== null &&
+      (!isPositiveInteger(rules.maxFiles) || rules.maxFiles > MAX_ATTACHMENT_FILES)) {
+    return `The file limit must be between 1 and ${MAX_ATTACHMENT_FILES}`;
+  }
+  return null;
+};
+
+const matchesMimeType = (mimeType, acceptedTypes) => {
+  if (acceptedTypes.length === 0) return true;
+
+  const type = String(mimeType || '').toLowerCase();
+  return acceptedTypes.some(accepted =>
+    accepted.endsWith('/*') ? type.startsWith(accepted.slice(0, -1)) : type === accepted
+  );
+};
+
+const formatFileSize = (bytes) => {
+  if (bytes >= MB) return `${Number((bytes / MB).toFixed(1))} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} bytes`;
+};
+
+// Check uploaded files ({ name, size, type }) against a field's rules and
+// return the first problem, or null
+const getAttachmentError = (field, files) => {
+  const rules = getAttachmentRules(field);
+  const label = field.label || 'This field';
+
+  if (files.length > rules.maxFiles) {
+    return rules.maxFiles === 1
+      ? `${label} accepts only one file`
+      : `${label} accepts at most ${rules.maxFiles} files`;
+  }
+
+  for (const file of files) {
+    if (!matchesMimeType(file.type, rules.acceptedTypes)) {
+      return `"${file.name}" is not an accepted file type`;
+    }
+    if (file.size > rules.maxFileSize) {
+      return `"${file.name}" is larger than ${formatFileSize(rules.maxFileSize)}`;
+    }
+  }
+
+  return null;
+};
+
+// Short description of the limits for the upload area ("Max 5 files, 10 MB each")
+const describeAttachmentRules = (field) => {
+  const rules = getAttachmentRules(field);
+  const files = rules.maxFiles === 1 ? '1 file' : `${rules.maxFiles} files`;
+  return `Max ${files}, ${formatFileSize(rules.maxFileSize)} each`;
+};
+
+module.exports = {
+  MAX_ATTACHMENT_FILE_SIZE,
+  MAX_ATTACHMENT_FILES,
+  DEFAULT_ATTACHMENT_RULES,
+  ATTACHMENT_TYPE_PRESETS,
+  isValidMimeType,
+  getAttachmentRules,
+  getAttachmentRulesError,
+  matchesMimeType,
+  formatFileSize,
+  getAttachmentError,
+  describeAttachmentRules
+};
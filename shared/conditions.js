@@ -0,0 +1,446 @@
+// Conditional logic engine shared by the backend (submit/validate routes)
+// and the frontend (FormViewer). Keep this file free of Node- or
+// browser-specific APIs so both sides can import it unchanged.
+
+const { toFieldWallClock } = require('./dates');
+
+// Operators supported in showWhen rules. `valueKind` describes what the
+// rule's value holds: none, text, number, date, range ([min, max]),
+// list (array of options) or regex (a pattern string)
+const CONDITION_OPERATORS = [
+  { value: 'equals', label: 'equals', needsValue: true, valueKind: 'text' },
+  { value: 'not_equals', label: 'does not equal', needsValue: true, valueKind: 'text' },
+  { value: 'contains', label: 'contains', needsValue: true, valueKind: 'text' },
+  { value: 'not_contains', label: 'does not contain', needsValue: true, valueKind: 'text' },
+  { value: 'is_empty', label: 'is empty', needsValue: false, valueKind: 'none' },
+  { value: 'is_not_empty', label: 'is not empty', needsValue: false, valueKind: 'none' },
+  { value: 'greater_than', label: 'is greater than', needsValue: true, valueKind: 'number' },
+  { value: 'less_than', label: 'is less than', needsValue: true, valueKind: 'number' },
+  { value: 'between', label: 'is between', needsValue: true, valueKind: 'range' },
+  { value: 'before', label: 'is before', needsValue: true, valueKind: 'date' },
+  { value: 'after', label: 'is after', needsValue: true, valueKind: 'date' },
+  { value: 'includes_any', label: 'includes any of', needsValue: true, valueKind: 'list' },
+  { value: 'includes_all', label: 'includes all of', needsValue: true, valueKind: 'list' },
+  { value: 'matches_regex', label: 'matches pattern', needsValue: true, valueKind: 'regex' }
+];
+
+const OPERATOR_VALUES = CONDITION_OPERATORS.map(operator => operator.value);
+
+// Ways of combining the conditions inside a group
+const COMBINATORS = [
+  { value: 'all', label: 'all', joiner: 'and' },
+  { value: 'any', label: 'any', joiner: 'or' }
+];
+
+// Maximum nesting of condition groups inside a field's showWhen
+const MAX_CONDITION_DEPTH = 3;
+
+const isGroup = (condition) => !!(condition && condition.combinator);
+
+const isEmptyValue = (value) => {
+  if (value === null || value === undefined) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return String(value).trim() === '';
+};
+
+const normalizeText = (value) => String(value).trim().toLowerCase();
+
+// Multiple select values arrive as arrays from JSON and as comma separated
+// strings from multipart bodies and the viewer's checkbox state
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (isEmptyValue(value)) return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const valuesEqual = (fieldValue, ruleValue) => {
+  if (Array.isArray(fieldValue) || Array.isArray(ruleValue)) {
+    const left = toList(fieldValue).map(normalizeText).sort();
+    const right = toList(ruleValue).map(normalizeText).sort();
+    return left.length === right.length && left.every((item, index) => item === right[index]);
+  }
+
+  if (isEmptyValue(fieldValue) || isEmptyValue(ruleValue)) {
+    return isEmptyValue(fieldValue) && isEmptyValue(ruleValue);
+  }
+
+  return normalizeText(fieldValue) === normalizeText(ruleValue);
+};
+
+const valueContains = (fieldValue, ruleValue) => {
+  if (isEmptyValue(fieldValue) || isEmptyValue(ruleValue)) return false;
+
+  if (Array.isArray(fieldValue)) {
+    return fieldValue.some(item => normalizeText(item) === normalizeText(ruleValue));
+  }
+
+  return normalizeText(fieldValue).includes(normalizeText(ruleValue));
+};
+
+// Numbers arrive as strings from multipart bodies and text inputs
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean' || Array.isArray(value) || isEmptyValue(value)) return null;
+
+  const number = Number(String(value).trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const WALL_CLOCK_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+// Dates are compared as UTC timestamps. Date-only strings mean midnight and
+// times without an offset are wall clock times (toResponseMap converts
+// dateTime answers into their field's timezone), so both are read as UTC to
+// give the same result on the server and in every browser.
+const toTimestamp = (value) => {
+  if (value instanceof Date) return isNaN(value) ? null : value.getTime();
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  let text = value.trim();
+  if (DATE_ONLY_PATTERN.test(text)) text = `${text}T00:00:00Z`;
+  else if (WALL_CLOCK_PATTERN.test(text)) text = `${text}Z`;
+
+  const timestamp = Date.parse(text);
+  return isNaN(timestamp) ? null : timestamp;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDateOnly = (value) => typeof value === 'string' && DATE_ONLY_PATTERN.test(value.trim());
+
+// Compare a field value with a date rule value. When the rule holds a plain
+// date the comparison is by calendar day, so "after 2025-01-01" excludes any
+// time on the 1st.
+const compareDates = (fieldValue, ruleValue) => {
+  const fieldTime = toTimestamp(fieldValue);
+  const ruleTime = toTimestamp(ruleValue);
+  if (fieldTime === null || ruleTime === null) return null;
+
+  if (isDateOnly(ruleValue)) {
+    const fieldDay = Math.floor(fieldTime / DAY_MS);
+    const ruleDay = Math.floor(ruleTime / DAY_MS);
+    return fieldDay - ruleDay;
+  }
+
+  return fieldTime - ruleTime;
+};
+
+// Compare as numbers when both sides are numeric, otherwise as dates
+const compareValues = (fieldValue, ruleValue) => {
+  const fieldNumber = toNumber(fieldValue);
+  const ruleNumber = toNumber(ruleValue);
+  if (fieldNumber !== null && ruleNumber !== null) {
+    return fieldNumber - ruleNumber;
+  }
+
+  return compareDates(fieldValue, ruleValue);
+};
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_REGEX_INPUT_LENGTH = 1000;
+const MAX_UNBOUNDED_QUANTIFIERS = 2;
+
+// Helper function to read the quantifier starting at `source[index]`, or
+// null when there is none. `variable`: it can match a varying number of
+// times; `repeats`: more than once; `unbounded`: open-ended (or close to it).
+const readQuantifier = (source, index) => {
+  const char = source[index];
+  if (char === '*' || char === '+') {
+    return { length: 1, variable: true, repeats: true, unbounded: true };
+  }
+  if (char === '?') {
+    return { length: 1, variable: true, repeats: false, unbounded: false };
+  }
+
+  const braces = source.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+  if (!braces) return null;
+  const min = Number(braces[1]);
+  const max = braces[2] ? (braces[3] === '' ? Infinity : Number(braces[3])) : min;
+  return { length: braces[0].length, variable: max > min, repeats: max > 1, unbounded: max - min > 10 };
+};
+
+// Why a pattern could backtrack for too long, or null. Patterns come from
+// form editors and run on the server against respondents' answers, so
+// anything that can take exponential time is rejected: backreferences, and
+// repeated groups that contain a quantifier or an alternation (e.g.
+// `(a+)+`, `(a|aa)*`). With at most MAX_UNBOUNDED_QUANTIFIERS open-ended
+// quantifiers, the worst case grows with the square of the input length.
+const getUnsafePatternReason = (source) => {
+  const groups = [{ quantified: false, alternation: false }];
+  let unbounded = 0;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const group = groups[groups.length - 1];
+    let closedGroup = null;
+
+    if (char === '\\') {
+      if (/[1-9]/.test(source[i + 1] || '') || source.slice(i + 1, i + 3) === 'k<') {
+        return 'Backreferences are not supported';
+      }
+      i += 1;
+    } else if (char === '[') {
+      // Skip the character class
+      for (i += 1; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i += 1;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternation: false });
+      // Skip the group prefix (?:, ?=, ?!, ?<=, ?<!, ?<name>)
+      const prefix = source.slice(i + 1).match(/^\?(<[\w$]+>|<=|<!|[:=!])/);
+      if (prefix) i += prefix[0].length;
+      continue;
+    } else if (char === ')' && groups.length > 1) {
+      closedGroup = groups.pop();
+      if (closedGroup.quantified) groups[groups.length - 1].quantified = true;
+    } else if (char === '|') {
+      group.alternation = true;
+      continue;
+    }
+
+    const quantifier = readQuantifier(source, i + 1);
+    if (!quantifier) continue;
+
+    if (quantifier.repeats && closedGroup && (closedGroup.quantified || closedGroup.alternation)) {
+      return 'Repeated groups can\'t contain quantifiers or alternatives';
+    }
+    if (quantifier.variable) groups[groups.length - 1].quantified = true;
+    if (quantifier.unbounded) unbounded += 1;
+
+    i += quantifier.length;
+    // Lazy quantifier suffix
+    if (source[i + 1] === '?') i += 1;
+  }
+
+  return unbounded > MAX_UNBOUNDED_QUANTIFIERS
+    ? `Use at most ${MAX_UNBOUNDED_QUANTIFIERS} open-ended quantifiers (*, + or {n,})`
+    : null;
+};
+
+// Helper function to split "pattern" or "/pattern/flags" into its parts
+const parsePattern = (pattern) => {
+  const literal = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+  return literal
+    ? { source: literal[1], flags: literal[2].replace('g', '') }
+    : { source: pattern, flags: '' };
+};
+
+// Why a pattern can't be used, or null
+const getPatternError = (pattern) => {
+  if (typeof pattern !== 'string' || pattern === '' || pattern.length > MAX_PATTERN_LENGTH) {
+    return `Enter a regular expression of at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  const { source, flags } = parsePattern(pattern);
+  try {
+    new RegExp(source, flags);
+  } catch (error) {
+    return 'Enter a valid regular expression';
+  }
+  return getUnsafePatternReason(source);
+};
+
+// Accepts "pattern" or "/pattern/flags"; returns null for invalid or unsafe patterns
+const compileRegex = (pattern) => {
+  if (getPatternError(pattern)) {
+    return null;
+  }
+
+  const { source, flags } = parsePattern(pattern);
+  return new RegExp(source, flags);
+};
+
+const listIncludes = (fieldValue, ruleValue, mode) => {
+  const values = toList(fieldValue).map(normalizeText);
+  const wanted = toList(ruleValue).map(normalizeText);
+  if (values.length === 0 || wanted.length === 0) return false;
+
+  return mode === 'all'
+    ? wanted.every(item => values.includes(item))
+    : wanted.some(item => values.includes(item));
+};
+
+// Returns an error message when a rule's value doesn't suit its operator,
+// otherwise null. Used by the editor and by Form validation.
+const getRuleValueError = (rule) => {
+  const operator = CONDITION_OPERATORS.find(candidate => candidate.value === rule.operator);
+  if (!operator) return 'Choose an operator';
+
+  const { value } = rule;
+
+  switch (operator.valueKind) {
+    case 'none':
+      return null;
+    case 'number':
+      return toNumber(value) === null && toTimestamp(value) === null ? 'Enter a number or date' : null;
+    case 'date':
+      return toTimestamp(value) === null ? 'Enter a valid date' : null;
+    case 'range': {
+      if (!Array.isArray(value) || value.length !== 2 || value.some(isEmptyValue)) {
+        return 'Enter both a minimum and a maximum';
+      }
+      const difference = compareValues(value[1], value[0]);
+      if (difference === null) return 'Minimum and maximum must both be numbers or dates';
+      return difference < 0 ? 'The minimum must not be greater than the maximum' : null;
+    }
+    case 'list':
+      return toList(value).length === 0 ? 'Choose at least one value' : null;
+    case 'regex':
+      if (isEmptyValue(value)) return 'Enter a pattern';
+      return getPatternError(value);
+    default:
+      return isEmptyValue(value) ? 'Enter a value to compare against' : null;
+  }
+};
+
+// Turn responses into a { fieldId: value } map. Accepts either the
+// [{ fieldId, value }] array used by the API or a plain object. When the
+// form's fields are provided, multipleSelect strings are split and dateTime
+// answers become wall clock times in the field's timezone (`timeZone` is the
+// respondent's zone, used for fields set to the viewer's local time).
+const toResponseMap = (responses, fields = [], { timeZone } = {}) => {
+  const map = {};
+
+  if (Array.isArray(responses)) {
+    responses.forEach(response => {
+      map[response.fieldId] = response.value;
+    });
+  } else if (responses) {
+    Object.assign(map, responses);
+  }
+
+  fields.forEach(field => {
+    const id = field.airtableFieldId;
+    if (map[id] === undefined) return;
+
+    if (field.airtableFieldType === 'multipleSelect') {
+      map[id] = toList(map[id]);
+    } else if (field.airtableFieldType === 'dateTime') {
+      map[id] = toFieldWallClock(map[id], field, timeZone) || map[id];
+    }
+  });
+
+  return map;
+};
+
+// Evaluate a single rule against a response map
+const evaluateCondition = (condition, values) => {
+  const { fieldId, operator, value } = condition;
+  const fieldValue = values[fieldId];
+
+  switch (operator) {
+    case 'equals':
+      return valuesEqual(fieldValue, value);
+    case 'not_equals':
+      return !valuesEqual(fieldValue, value);
+    case 'contains':
+      return valueContains(fieldValue, value);
+    case 'not_contains':
+      return !valueContains(fieldValue, value);
+    case 'is_empty':
+      return isEmptyValue(fieldValue);
+    case 'is_not_empty':
+      return !isEmptyValue(fieldValue);
+    case 'greater_than': {
+      const difference = compareValues(fieldValue, value);
+      return difference !== null && difference > 0;
+    }
+    case 'less_than': {
+      const difference = compareValues(fieldValue, value);
+      return difference !== null && difference < 0;
+    }
+    case 'between': {
+      if (!Array.isArray(value) || value.length !== 2) return false;
+      const fromMin = compareValues(fieldValue, value[0]);
+      const toMax = compareValues(fieldValue, value[1]);
+      return fromMin !== null && toMax !== null && fromMin >= 0 && toMax <= 0;
+    }
+    case 'before': {
+      const difference = compareDates(fieldValue, value);
+      return difference !== null && difference < 0;
+    }
+    case 'after': {
+      const difference = compareDates(fieldValue, value);
+      return difference !== null && difference > 0;
+    }
+    case 'includes_any':
+      return listIncludes(fieldValue, value, 'any');
+    case 'includes_all':
+      return listIncludes(fieldValue, value, 'all');
+    case 'matches_regex': {
+      const regex = compileRegex(value);
+      if (!regex || isEmptyValue(fieldValue)) return false;
+      const text = Array.isArray(fieldValue) ? fieldValue.join(', ') : String(fieldValue);
+      // Unsafe patterns never compile (see getUnsafePatternReason); capping
+      // the input bounds the quadratic worst case of the ones that do
+      return regex.test(text.slice(0, MAX_REGEX_INPUT_LENGTH));
+    }
+    default:
+      return true;
+  }
+};
+
+// Combine conditions with `all` (AND) or `any` (OR); empty groups always pass
+const evaluateConditionGroup = (combinator, conditions, values) => {
+  if (!conditions || conditions.length === 0) {
+    return true;
+  }
+
+  const evaluate = (condition) => (
+    isGroup(condition)
+      ? evaluateConditionGroup(condition.combinator, condition.conditions, values)
+      : evaluateCondition(condition, values)
+  );
+
+  return combinator === 'any' ? conditions.some(evaluate) : conditions.every(evaluate);
+};
+
+// Check if a field should be shown; flat rule arrays saved before groups
+// existed have no showWhenCombinator and use AND logic
+const shouldShowField = (field, values) => {
+  if (!field.showWhen || field.showWhen.length === 0) {
+    return true;
+  }
+
+  return evaluateConditionGroup(field.showWhenCombinator || 'all', field.showWhen, values);
+};
+
+// Visible fields for a set of responses, in form order. A field hidden by
+// its own rules also hides fields whose rules depend on it, because hidden
+// answers are ignored when evaluating later fields.
+const getVisibleFields = (fields, responses, options = {}) => {
+  const values = toResponseMap(responses, fields, options);
+  const effectiveValues = {};
+  const ordered = [...fields].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+  return ordered.filter(field => {
+    const visible = shouldShowField(field, effectiveValues);
+    if (visible) {
+      effectiveValues[field.airtableFieldId] = values[field.airtableFieldId];
+    }
+    return visible;
+  });
+};
+
+module.exports = {
+  CONDITION_OPERATORS,
+  OPERATOR_VALUES,
+  COMBINATORS,
+  MAX_CONDITION_DEPTH,
+  isGroup,
+  isEmptyValue,
+  toList,
+  toNumber,
+  toTimestamp,
+  compileRegex,
+  getPatternError,
+  getRuleValueError,
+  toResponseMap,
+  evaluateCondition,
+  evaluateConditionGroup,
+  shouldShowField,
+  getVisibleFields
+};
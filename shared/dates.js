@@ -0,0 +1,211 @@
+// Date handling for Airtable `date` and `dateTime` fields. Dates are stored
+// as "YYYY-MM-DD" and date-times as UTC ISO strings; a "wall clock" string
+// ("YYYY-MM-DDTHH:mm:ss", no offset) is a date-time as read in the field's
+// timezone. Timezone maths uses Intl only, so it runs in Node and browsers.
+
+const DATE_FIELD_TYPES = ['date', 'dateTime'];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const SLASH_DATE_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const WALL_CLOCK_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+const isDateFieldType = (type) => DATE_FIELD_TYPES.includes(type);
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The IANA timezone a field's date-times are entered and shown in. Airtable
+// uses 'utc', 'client' (the respondent's zone) or an IANA name; 'client'
+// falls back to UTC when the caller doesn't know the respondent's zone.
+const resolveTimeZone = (field, clientTimeZone) => {
+  const timeZone = field?.typeOptions?.timeZone;
+
+  if (timeZone === 'utc') return 'UTC';
+  if (timeZone && timeZone !== 'client' && isValidTimeZone(timeZone)) return timeZone;
+  return isValidTimeZone(clientTimeZone) ? clientTimeZone : 'UTC';
+};
+
+const isValidDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const toDateString = (year, month, day) =>
+  (isValidDate(year, month, day) ? `${pad(year, 4)}-${pad(month)}-${pad(day)}` : null);
+
+// Calendar parts of a UTC timestamp as seen in `timeZone`
+const getZonedParts = (timestamp, timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+
+  const parts = {};
+  formatter.formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+};
+
+const toWallClock = (timestamp, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(timestamp, timeZone);
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}`;
+};
+
+// UTC timestamp of a wall clock time in `timeZone`. The offset is measured
+// twice so times next to a DST change land on the right side of it.
+const zonedTimeToTimestamp = (year, month, day, hour, minute, second, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetAt = (timestamp) => {
+    const parts = getZonedParts(timestamp, timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - timestamp;
+  };
+
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+};
+
+// Normalize a date answer to "YYYY-MM-DD". Accepts ISO dates and date-times
+// and, for API clients, M/D/YYYY or D/M/YYYY depending on the field's format.
+const parseDate = (value, field) => {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value.toISOString().slice(0, 10);
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  const iso = text.slice(0, 10).match(DATE_PATTERN);
+  if (iso && (text.length === 10 || /^[T ]/.test(text.slice(10)))) {
+    return toDateString(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  const slash = text.match(SLASH_DATE_PATTERN);
+  if (slash) {
+    const european = field?.typeOptions?.dateFormat?.name === 'european';
+    const [first, second] = [Number(slash[1]), Number(slash[2])];
+    return european
+      ? toDateString(Number(slash[3]), second, first)
+      : toDateString(Number(slash[3]), first, second);
+  }
+
+  return null;
+};
+
+// Normalize a date-time answer to a UTC ISO string. Values with an offset
+// are exact; wall clock values (e.g. from a datetime-local input) are read
+// in the field's timezone.
+const parseDateTime = (value, field, clientTimeZone) => {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value.toISOString();
+  }
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  const text = value.trim();
+  const timeZone = resolveTimeZone(field, clientTimeZone);
+
+  if (OFFSET_PATTERN.test(text) && /\d{2}:\d{2}/.test(text)) {
+    const timestamp = Date.parse(text);
+    return isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+  }
+
+  const wall = text.match(WALL_CLOCK_PATTERN);
+  if (wall) {
+    const [year, month, day, hour, minute] = wall.slice(1, 6).map(Number);
+    const second = Number(wall[6] || 0);
+    if (!isValidDate(year, month, day) || hour > 23 || minute > 59 || second > 59) return null;
+    return new Date(zonedTimeToTimestamp(year, month, day, hour, minute, second, timeZone)).toISOString();
+  }
+
+  // A plain date means midnight in the field's timezone
+  const date = parseDate(text, field);
+  if (date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(zonedTimeToTimestamp(year, month, day, 0, 0, 0, timeZone)).toISOString();
+  }
+
+  return null;
+};
+
+// Wall clock time of a stored date-time in the field's timezone
+const toFieldWallClock = (value, field, clientTimeZone) => {
+  const iso = parseDateTime(value, field, clientTimeZone);
+  return iso ? toWallClock(Date.parse(iso), resolveTimeZone(field, clientTimeZone)) : null;
+};
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Format "YYYY-MM-DD" using Airtable's dateFormat names
+const formatDatePart = (date, dateFormat) => {
+  const [year, month, day] = date.split('-').map(Number);
+
+  switch (dateFormat?.name) {
+    case 'local':
+      return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(undefined, { timeZone: 'UTC' });
+    case 'friendly':
+      return `${MONTH_NAMES[month - 1]} ${day}, ${year}`;
+    case 'us':
+      return `${month}/${day}/${year}`;
+    case 'european':
+      return `${day}/${month}/${year}`;
+    default:
+      return date;
+  }
+};
+
+// Format hours and minutes using Airtable's timeFormat names
+const formatTimePart = (hour, minute, timeFormat) => {
+  if (timeFormat?.name === '12hour') {
+    const suffix = hour < 12 ? 'am' : 'pm';
+    return `${hour % 12 || 12}:${pad(minute)}${suffix}`;
+  }
+  return `${pad(hour)}:${pad(minute)}`;
+};
+
+// Human readable version of a stored date or date-time, in the field's
+// date/time format and timezone
+const formatDateValue = (field, value, clientTimeZone) => {
+  const typeOptions = field.typeOptions || {};
+
+  if (field.airtableFieldType === 'dateTime') {
+    const wall = toFieldWallClock(value, field, clientTimeZone);
+    if (!wall) return value === undefined || value === null ? '' : String(value);
+
+    const [date, time] = wall.split('T');
+    const [hour, minute] = time.split(':').map(Number);
+    return `${formatDatePart(date, typeOptions.dateFormat)} ${formatTimePart(hour, minute, typeOptions.timeFormat)}`;
+  }
+
+  const date = parseDate(value, field);
+  if (!date) return value === undefined || value === null ? '' : String(value);
+  return formatDatePart(date, typeOptions.dateFormat);
+};
+
+module.exports = {
+  DATE_FIELD_TYPES,
+  isDateFieldType,
+  isValidTimeZone,
+  resolveTimeZone,
+  parseDate,
+  parseDateTime,
+  toFieldWallClock,
+  formatDateValue
+};
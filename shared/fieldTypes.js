@@ -0,0 +1,284 @@
+// Field type metadata and value coercion shared by the backend (submit,
+// export) and the frontend (builder, viewer).
+
+const { isEmptyValue, toList } = require('./conditions');
+const { formatDateValue, parseDate, parseDateTime, toFieldWallClock } = require('./dates');
+
+// Airtable field types that can be placed on a form
+const SUPPORTED_FIELD_TYPES = [
+  'singleLineText',
+  'multilineText',
+  'singleSelect',
+  'multipleSelect',
+  'attachment',
+  'number',
+  'currency',
+  'percent',
+  'rating',
+  'checkbox',
+  'date',
+  'dateTime',
+  'email',
+  'url',
+  'phoneNumber',
+  'multipleRecordLinks'
+];
+
+const NUMERIC_FIELD_TYPES = ['number', 'currency', 'percent'];
+
+const DEFAULT_RATING_MAX = 5;
+
+const isSupportedFieldType = (type) => SUPPORTED_FIELD_TYPES.includes(type);
+
+const TYPE_OPTION_KEYS = [
+  'precision', 'symbol', 'max', 'icon', 'color', 'dateFormat', 'timeFormat', 'timeZone',
+  'linkedTableId', 'prefersSingleRecordLink'
+];
+
+const RECORD_ID_PATTERN = /^rec[a-zA-Z0-9]{14}$/;
+
+// Records one answer can link to; each is checked against Airtable on submit
+const MAX_LINKED_RECORDS = 100;
+
+const isRecordId = (value) => typeof value === 'string' && RECORD_ID_PATTERN.test(value);
+
+// The subset of an Airtable field's `options` a form needs to render and
+// coerce its values (select choices are stored separately)
+const toTypeOptions = (airtableOptions = {}) => {
+  const typeOptions = {};
+  TYPE_OPTION_KEYS.forEach(key => {
+    if (airtableOptions[key] !== undefined) {
+      typeOptions[key] = airtableOptions[key];
+    }
+  });
+  return typeOptions;
+};
+
+const getPrecision = (field) => {
+  const precision = Number(field.typeOptions?.precision);
+  return Number.isInteger(precision) && precision >= 0 ? Math.min(precision, 8) : 0;
+};
+
+const getRatingMax = (field) => {
+  const max = Number(field.typeOptions?.max);
+  return Number.isInteger(max) && max > 0 ? max : DEFAULT_RATING_MAX;
+};
+
+const roundTo = (number, precision) => Number(number.toFixed(precision));
+
+// Accepts "1,234.5", "$12" or "45%" as typed by respondents
+const parseNumber = (value, field) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  let text = String(value).trim().replace(/[,\s]/g, '');
+  const symbol = field.typeOptions?.symbol;
+  if (symbol && text.startsWith(symbol)) text = text.slice(symbol.length);
+  if (field.airtableFieldType === 'percent') text = text.replace(/%$/, '');
+
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return null;
+  return Number(text);
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Adds https:// when no scheme was typed; only web URLs are accepted
+const normalizeUrl = (value) => {
+  const text = String(value).trim();
+  const withScheme = /^[a-z][a-z\d+.-]*:/i.test(text) ? text : `https://${text}`;
+
+  try {
+    const url = new URL(withScheme);
+    const isWeb = url.protocol === 'http:' || url.protocol === 'https:';
+    const hasHost = url.hostname.includes('.') || url.hostname === 'localhost';
+    return isWeb && hasHost && !/\s/.test(text) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Strips spaces, dashes, dots and brackets, keeping a leading +
+const normalizePhoneNumber = (value) => {
+  const text = String(value).trim();
+  if (!/^\+?[\d\s().-]+$/.test(text)) return null;
+
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15) return null;
+  return text.startsWith('+') ? `+${digits}` : digits;
+};
+
+const CHECKED_VALUES = ['true', 'on', 'yes', '1'];
+const UNCHECKED_VALUES = ['false', 'off', 'no', '0'];
+
+// Coerce a submitted answer (often a string from a multipart body) into the
+// value stored on the Response. Returns { value } or { error }; a null value
+// means "no answer". Emails are lower-cased and phone numbers reduced to
+// digits. Percent answers stay in percentage points here and are
+// only converted to Airtable's fraction by toAirtableValue. Dates become
+// "YYYY-MM-DD" and date-times UTC ISO strings; `timeZone` is the
+// respondent's zone, for dateTime fields shown in the viewer's local time.
+const coerceFieldValue = (field, value, { timeZone } = {}) => {
+  if (isEmptyValue(value)) {
+    return { value: null };
+  }
+
+  const label = field.label || field.airtableFieldName;
+
+  switch (field.airtableFieldType) {
+    case 'multipleSelect':
+      return { value: toList(value) };
+
+    case 'number':
+    case 'currency':
+    case 'percent': {
+      const number = parseNumber(value, field);
+      if (number === null) {
+        return { error: `${label} must be a number` };
+      }
+      return { value: roundTo(number, getPrecision(field)) };
+    }
+
+    case 'rating': {
+      const max = getRatingMax(field);
+      const rating = parseNumber(value, field);
+      if (rating === 0) {
+        return { value: null };
+      }
+      if (rating === null || !Number.isInteger(rating) || rating < 0 || rating > max) {
+        return { error: `${label} must be a rating from 1 to ${max}` };
+      }
+      return { value: rating };
+    }
+
+    case 'checkbox': {
+      const text = String(value).trim().toLowerCase();
+      if (CHECKED_VALUES.includes(text)) return { value: true };
+      if (UNCHECKED_VALUES.includes(text)) return { value: null };
+      return { error: `${label} must be checked or unchecked` };
+    }
+
+    case 'date': {
+      const date = parseDate(value, field);
+      return date ? { value: date } : { error: `${label} must be a valid date` };
+    }
+
+    case 'dateTime': {
+      const dateTime = parseDateTime(value, field, timeZone);
+      return dateTime ? { value: dateTime } : { error: `${label} must be a valid date and time` };
+    }
+
+    case 'email': {
+      const email = String(value).trim().toLowerCase();
+      return EMAIL_PATTERN.test(email) ? { value: email } : { error: `${label} must be a valid email address` };
+    }
+
+    case 'url': {
+      const url = normalizeUrl(value);
+      return url ? { value: url } : { error: `${label} must be a valid URL` };
+    }
+
+    case 'phoneNumber': {
+      const phoneNumber = normalizePhoneNumber(value);
+      return phoneNumber ? { value: phoneNumber } : { error: `${label} must be a valid phone number` };
+    }
+
+    case 'multipleRecordLinks': {
+      const recordIds = [...new Set(toList(value).map(item => String(item).trim()))];
+      if (!recordIds.every(isRecordId)) {
+        return { error: `${label} contains an invalid record` };
+      }
+      if (field.typeOptions?.prefersSingleRecordLink && recordIds.length > 1) {
+        return { error: `${label} accepts only one record` };
+      }
+      if (recordIds.length > MAX_LINKED_RECORDS) {
+        return { error: `${label} can link at most ${MAX_LINKED_RECORDS} records` };
+      }
+      return { value: recordIds };
+    }
+
+    default:
+      return { value };
+  }
+};
+
+// Convert a stored answer into the value Airtable expects
+const toAirtableValue = (field, value) => {
+  if (field.airtableFieldType === 'percent' && typeof value === 'number') {
+    return roundTo(value / 100, getPrecision(field) + 2);
+  }
+  return value;
+};
+
+// Convert an Airtable cell value back into the form's input value, to
+// pre-fill a form that edits an existing record. Returns null for empty
+// cells and for attachments, which are only ever added to. `timeZone` is
+// the respondent's zone, for dateTime fields shown in local time.
+const fromAirtableValue = (field, value, { timeZone } = {}) => {
+  if (isEmptyValue(value)) {
+    return null;
+  }
+
+  switch (field.airtableFieldType) {
+    case 'attachment':
+      return null;
+    case 'multipleSelect':
+      return toList(value).join(',');
+    case 'number':
+    case 'currency':
+      return Number(value).toFixed(getPrecision(field));
+    case 'percent':
+      return (Number(value) * 100).toFixed(getPrecision(field));
+    case 'rating':
+      return Number(value);
+    case 'checkbox':
+      return value === true ? true : null;
+    case 'dateTime':
+      return toFieldWallClock(value, field, timeZone)?.slice(0, 16) || null;
+    case 'multipleRecordLinks':
+      return toList(value);
+    default:
+      return String(value);
+  }
+};
+
+// Human readable version of a stored answer, used for CSV exports
+const formatFieldValue = (field, value) => {
+  if (isEmptyValue(value)) {
+    return field.airtableFieldType === 'checkbox' ? 'No' : '';
+  }
+
+  switch (field.airtableFieldType) {
+    case 'number':
+      return Number(value).toFixed(getPrecision(field));
+    case 'currency':
+      return `${field.typeOptions?.symbol || ''}${Number(value).toFixed(getPrecision(field))}`;
+    case 'percent':
+      return `${Number(value).toFixed(getPrecision(field))}%`;
+    case 'rating':
+      return `${value}/${getRatingMax(field)}`;
+    case 'checkbox':
+      return value === true || value === 'true' ? 'Yes' : 'No';
+    case 'date':
+    case 'dateTime':
+      return formatDateValue(field, value);
+    case 'attachment':
+      return toList(value).map(file => file.filename || file.url || file).join(', ');
+    default:
+      return Array.isArray(value) ? value.join(', ') : String(value);
+  }
+};
+
+module.exports = {
+  SUPPORTED_FIELD_TYPES,
+  NUMERIC_FIELD_TYPES,
+  DEFAULT_RATING_MAX,
+  MAX_LINKED_RECORDS,
+  isSupportedFieldType,
+  isRecordId,
+  toTypeOptions,
+  getPrecision,
+  getRatingMax,
+  coerceFieldValue,
+  toAirtableValue,
+  fromAirtableValue,
+  formatFieldValue
+};
@@ -0,0 +1,15 @@
+const attachments = require('./attachments');
+const conditions = require('./conditions');
+const dates = require('./dates');
+const fieldTypes = require('./fieldTypes');
+const upsert = require('./upsert');
+const workspaces = require('./workspaces');
+
+module.exports = {
+  ...attachments,
+  ...conditions,
+  ...dates,
+  ...fieldTypes,
+  ...upsert,
+  ...workspaces
+};
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_ATTACHMENT_RULES,
+  MAX_ATTACHMENT_FILE_SIZE,
+  describeAttachmentRules,
+  getAttachmentError,
+  getAttachmentRules,
+  getAttachmentRulesError,
+  matchesMimeType
+} = require('../attachments');
+
+const MB = 1024 * 1024;
+
+const attachmentField = (attachmentRules) => ({ airtableFieldType: 'attachment', label: 'Resume', attachmentRules });
+const file = (name, type, size = 1024) => ({ name, type, size });
+
+describe('getAttachmentRules', () => {
+  it('uses the defaults when a field has no rules', () => {
+    assert.deepEqual(getAttachmentRules(attachmentField()), DEFAULT_ATTACHMENT_RULES);
+  });
+
+  it('keeps an empty type list (any type) and clamps limits', () => {
+    const rules = getAttachmentRules(attachmentField({ acceptedTypes: [], maxFileSize: 500 * MB, maxFiles: 2 }));
+    assert.deepEqual(rules, { acceptedTypes: [], maxFileSize: MAX_ATTACHMENT_FILE_SIZE, maxFiles: 2 });
+  });
+});
+
+describe('getAttachmentRulesError', () => {
+  it('accepts valid rules', () => {
+    assert.equal(getAttachmentRulesError({ acceptedTypes: ['image/*', 'application/pdf'], maxFileSize: MB, maxFiles: 1 }), null);
+    assert.equal(getAttachmentRulesError(undefined), null);
+  });
+
+  it('rejects malformed types and out-of-range limits', () => {
+    assert.equal(getAttachmentRulesError({ acceptedTypes: ['.pdf'] }), '".pdf" is not a valid file type');
+    assert.match(getAttachmentRulesError({ maxFileSize: 0 }), /size limit/);
+    assert.match(getAttachmentRulesError({ maxFiles: 100 }), /file limit/);
+  });
+});
+
+describe('matchesMimeType', () => {
+  it('matches exact types and wildcards case-insensitively', () => {
+    assert.equal(matchesMimeType('application/PDF', ['application/pdf']), true);
+    assert.equal(matchesMimeType('image/webp', ['image/*']), true);
+    assert.equal(matchesMimeType('imagery/png', ['image/*']), false);
+    assert.equal(matchesMimeType('', ['text/plain']), false);
+  });
+
+  it('accepts anything when no types are listed', () => {
+    assert.equal(matchesMimeType('application/zip', []), true);
+  });
+});
+
+describe('getAttachmentError', () => {
+  const field = attachmentField({ acceptedTypes: ['image/*'], maxFileSize: 2 * MB, maxFiles: 2 });
+
+  it('passes files within the rules', () => {
+    assert.equal(getAttachmentError(field, [file('a.png', 'image/png'), file('b.jpg', 'image/jpeg')]), null);
+  });
+
+  it('reports too many files, wrong types and oversized files', () => {
+    const three = [file('a.png', 'image/png'), file('b.png', 'image/png'), file('c.png', 'image/png')];
+    assert.equal(getAttachmentError(field, three), 'Resume accepts at most 2 files');
+    assert.equal(getAttachmentError(field, [file('cv.pdf', 'application/pdf')]), '"cv.pdf" is not an accepted file type');
+    assert.equal(getAttachmentError(field, [file('big.png', 'image/png', 3 * MB)]), '"big.png" is larger than 2 MB');
+  });
+
+  it('words the single-file limit naturally', () => {
+    const single = attachmentField({ maxFiles: 1 });
+    assert.equal(getAttachmentError(single, [file('a.pdf', 'application/pdf'), file('b.pdf', 'application/pdf')]),
+      'Resume accepts only one file');
+  });
+});
+
+describe('describeAttachmentRules', () => {
+  it('summarizes the limits', () => {
+    assert.equal(describeAttachmentRules(attachmentField()), 'Max 5 files, 10 MB each');
+    assert.equal(describeAttachmentRules(attachmentField({ maxFiles: 1, maxFileSize: 512 * 1024 })), 'Max 1 file, 512 KB each');
+  });
+});
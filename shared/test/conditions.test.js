@@ -0,0 +1,461 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  OPERATOR_VALUES,
+  evaluateCondition,
+  evaluateConditionGroup,
+  getRuleValueError,
+  getVisibleFields,
+  isEmptyValue,
+  shouldShowField,
+  toList,
+  toResponseMap
+} = require('../conditions');
+
+const rule = (operator, value, fieldId = 'fldSource') => ({ fieldId, operator, value });
+
+const check = (operator, fieldValue, value) =>
+  evaluateCondition(rule(operator, value), { fldSource: fieldValue });
+
+describe('evaluateCondition', () => {
+  describe('equals / not_equals', () => {
+    it('matches identical strings', () => {
+      assert.equal(check('equals', 'Sales', 'Sales'), true);
+      assert.equal(check('not_equals', 'Sales', 'Sales'), false);
+    });
+
+    it('ignores case and surrounding whitespace', () => {
+      assert.equal(check('equals', '  sales ', 'Sales'), true);
+    });
+
+    it('compares numbers and numeric strings from multipart bodies', () => {
+      assert.equal(check('equals', '42', 42), true);
+      assert.equal(check('equals', 42, '42'), true);
+      assert.equal(check('equals', '42', 43), false);
+    });
+
+    it('treats a missing answer as different from a value', () => {
+      assert.equal(check('equals', undefined, 'Sales'), false);
+      assert.equal(check('not_equals', undefined, 'Sales'), true);
+      assert.equal(check('not_equals', null, 'Sales'), true);
+    });
+
+    it('treats two empty values as equal', () => {
+      assert.equal(check('equals', '', null), true);
+    });
+
+    it('compares multipleSelect arrays as sets', () => {
+      assert.equal(check('equals', ['B', 'A'], ['a', 'b']), true);
+      assert.equal(check('equals', ['A', 'B'], ['A']), false);
+      assert.equal(check('not_equals', ['A', 'B'], ['A']), true);
+    });
+
+    it('compares a single-item array with a scalar', () => {
+      assert.equal(check('equals', ['Sales'], 'Sales'), true);
+      assert.equal(check('equals', ['Sales', 'Ops'], 'Sales'), false);
+    });
+
+    it('accepts comma separated rule values for arrays', () => {
+      assert.equal(check('equals', ['A', 'B'], 'B, A'), true);
+    });
+  });
+
+  describe('contains / not_contains', () => {
+    it('does a case-insensitive substring match on text', () => {
+      assert.equal(check('contains', 'Senior Manager', 'manager'), true);
+      assert.equal(check('not_contains', 'Senior Manager', 'manager'), false);
+      assert.equal(check('contains', 'Director', 'manager'), false);
+    });
+
+    it('matches whole items in multipleSelect arrays', () => {
+      assert.equal(check('contains', ['Design', 'Engineering'], 'engineering'), true);
+      assert.equal(check('contains', ['Design', 'Engineering'], 'Eng'), false);
+      assert.equal(check('not_contains', ['Design'], 'Engineering'), true);
+    });
+
+    it('never matches an empty answer', () => {
+      assert.equal(check('contains', undefined, 'x'), false);
+      assert.equal(check('contains', [], 'x'), false);
+      assert.equal(check('not_contains', undefined, 'x'), true);
+    });
+
+    it('does not match an empty rule value', () => {
+      assert.equal(check('contains', 'anything', ''), false);
+    });
+
+    it('works with numeric answers', () => {
+      assert.equal(check('contains', 12345, '234'), true);
+    });
+  });
+
+  describe('is_empty / is_not_empty', () => {
+    for (const empty of [undefined, null, '', '   ', []]) {
+      it(`treats ${JSON.stringify(empty)} as empty`, () => {
+        assert.equal(check('is_empty', empty), true);
+        assert.equal(check('is_not_empty', empty), false);
+      });
+    }
+
+    for (const filled of ['x', 0, false, ['A']]) {
+      it(`treats ${JSON.stringify(filled)} as not empty`, () => {
+        assert.equal(check('is_empty', filled), false);
+        assert.equal(check('is_not_empty', filled), true);
+      });
+    }
+  });
+
+  describe('greater_than / less_than / between', () => {
+    it('coerces numeric strings from multipart bodies', () => {
+      assert.equal(check('greater_than', '10', 9), true);
+      assert.equal(check('greater_than', '10', '10'), false);
+      assert.equal(check('less_than', '2.5', '10'), true);
+      assert.equal(check('less_than', ' -3 ', 0), true);
+    });
+
+    it('compares numerically rather than alphabetically', () => {
+      assert.equal(check('greater_than', '100', '9'), true);
+    });
+
+    it('includes both bounds for between', () => {
+      assert.equal(check('between', '18', [18, 65]), true);
+      assert.equal(check('between', 65, ['18', '65']), true);
+      assert.equal(check('between', '66', [18, 65]), false);
+      assert.equal(check('between', '17', [18, 65]), false);
+    });
+
+    it('compares dates when the values are not numbers', () => {
+      assert.equal(check('greater_than', '2025-03-01', '2025-01-01'), true);
+      assert.equal(check('between', '2025-02-10', ['2025-02-01', '2025-02-28']), true);
+    });
+
+    it('never matches empty or non-numeric answers', () => {
+      assert.equal(check('greater_than', undefined, 1), false);
+      assert.equal(check('greater_than', '', 1), false);
+      assert.equal(check('less_than', 'abc', 1), false);
+      assert.equal(check('between', '', [0, 10]), false);
+    });
+
+    it('rejects malformed ranges', () => {
+      assert.equal(check('between', 5, '0,10'), false);
+      assert.equal(check('between', 5, [0]), false);
+    });
+  });
+
+  describe('before / after', () => {
+    it('compares date strings', () => {
+      assert.equal(check('before', '2024-12-31', '2025-01-01'), true);
+      assert.equal(check('after', '2024-12-31', '2025-01-01'), false);
+      assert.equal(check('after', '2025-06-15', '2025-01-01'), true);
+    });
+
+    it('compares by calendar day when the rule holds a plain date', () => {
+      assert.equal(check('after', '2025-01-01T15:30:00Z', '2025-01-01'), false);
+      assert.equal(check('before', '2025-01-01T15:30:00Z', '2025-01-01'), false);
+      assert.equal(check('after', '2025-01-02T00:00:00Z', '2025-01-01'), true);
+    });
+
+    it('compares exact times when the rule holds a date and time', () => {
+      assert.equal(check('after', '2025-01-01T15:30:00Z', '2025-01-01T12:00:00Z'), true);
+    });
+
+    it('never matches empty or invalid dates', () => {
+      assert.equal(check('before', undefined, '2025-01-01'), false);
+      assert.equal(check('after', 'not a date', '2025-01-01'), false);
+      assert.equal(check('after', '2025-01-01', 'not a date'), false);
+    });
+  });
+
+  describe('includes_any / includes_all', () => {
+    it('matches multipleSelect arrays against a list of options', () => {
+      assert.equal(check('includes_any', ['Design', 'Sales'], ['sales', 'Ops']), true);
+      assert.equal(check('includes_any', ['Design'], ['Sales', 'Ops']), false);
+      assert.equal(check('includes_all', ['Design', 'Sales', 'Ops'], ['sales', 'ops']), true);
+      assert.equal(check('includes_all', ['Design', 'Sales'], ['Sales', 'Ops']), false);
+    });
+
+    it('splits comma separated answers and rule values', () => {
+      assert.equal(check('includes_any', 'Design,Sales', 'Sales, Ops'), true);
+      assert.equal(check('includes_all', 'Design, Sales', 'Design,Sales'), true);
+    });
+
+    it('treats a singleSelect answer as a one-item list', () => {
+      assert.equal(check('includes_any', 'Sales', ['Sales', 'Ops']), true);
+      assert.equal(check('includes_all', 'Sales', ['Sales', 'Ops']), false);
+    });
+
+    it('never matches empty answers or rule values', () => {
+      assert.equal(check('includes_any', [], ['Sales']), false);
+      assert.equal(check('includes_all', ['Sales'], []), false);
+    });
+  });
+
+  describe('matches_regex', () => {
+    it('tests the answer against the pattern', () => {
+      assert.equal(check('matches_regex', 'ABC-123', '^[A-Z]{3}-\\d+$'), true);
+      assert.equal(check('matches_regex', 'abc-123', '^[A-Z]{3}-\\d+$'), false);
+    });
+
+    it('supports /pattern/flags syntax', () => {
+      assert.equal(check('matches_regex', 'abc-123', '/^[a-z]{3}-\\d+$/i'), true);
+      assert.equal(check('matches_regex', 'ABC-123', '/^abc/i'), true);
+    });
+
+    it('coerces numbers and joins arrays', () => {
+      assert.equal(check('matches_regex', 12345, '^\\d{5}$'), true);
+      assert.equal(check('matches_regex', ['A', 'B'], '^A, B$'), true);
+    });
+
+    it('never matches invalid patterns or empty answers', () => {
+      assert.equal(check('matches_regex', 'anything', '('), false);
+      assert.equal(check('matches_regex', '', '.*'), false);
+      assert.equal(check('matches_regex', undefined, '.*'), false);
+    });
+
+    it('never runs patterns that can backtrack catastrophically', () => {
+      const started = Date.now();
+      assert.equal(check('matches_regex', `${'a'.repeat(40)}!`, '^(a+)+$'), false);
+      assert.ok(Date.now() - started < 100);
+    });
+  });
+
+  it('passes rules with an unknown operator', () => {
+    assert.equal(check('unknown_operator', 'x', 'y'), true);
+  });
+
+  it('exposes the supported operators', () => {
+    assert.deepEqual(OPERATOR_VALUES, [
+      'equals', 'not_equals', 'contains', 'not_contains', 'is_empty', 'is_not_empty',
+      'greater_than', 'less_than', 'between', 'before', 'after',
+      'includes_any', 'includes_all', 'matches_regex'
+    ]);
+  });
+});
+
+describe('getRuleValueError', () => {
+  const error = (operator, value) => getRuleValueError({ fieldId: 'a', operator, value });
+
+  it('accepts valid values', () => {
+    assert.equal(error('is_empty'), null);
+    assert.equal(error('equals', 'x'), null);
+    assert.equal(error('greater_than', '10'), null);
+    assert.equal(error('before', '2025-01-01'), null);
+    assert.equal(error('between', ['1', '5']), null);
+    assert.equal(error('between', ['2025-01-01', '2025-12-31']), null);
+    assert.equal(error('includes_any', ['A']), null);
+    assert.equal(error('matches_regex', '^\\d+$'), null);
+  });
+
+  it('requires a value', () => {
+    assert.equal(error('equals', ''), 'Enter a value to compare against');
+    assert.equal(error('includes_all', []), 'Choose at least one value');
+    assert.equal(error('between', ['1', '']), 'Enter both a minimum and a maximum');
+  });
+
+  it('rejects values that do not suit the operator', () => {
+    assert.equal(error('greater_than', 'abc'), 'Enter a number or date');
+    assert.equal(error('after', 'soon'), 'Enter a valid date');
+    assert.equal(error('between', ['10', '1']), 'The minimum must not be greater than the maximum');
+    assert.equal(error('between', ['1', 'abc']), 'Minimum and maximum must both be numbers or dates');
+    assert.equal(error('matches_regex', '(unclosed'), 'Enter a valid regular expression');
+  });
+
+  it('rejects patterns that can backtrack catastrophically', () => {
+    const repeated = 'Repeated groups can\'t contain quantifiers or alternatives';
+    assert.equal(error('matches_regex', '^(a+)+$'), repeated);
+    assert.equal(error('matches_regex', '(a|aa)*'), repeated);
+    assert.equal(error('matches_regex', '^(\\w+\\s?)+$'), repeated);
+    assert.equal(error('matches_regex', '(.)\\1'), 'Backreferences are not supported');
+    assert.equal(error('matches_regex', '^.*.*.*x$'), 'Use at most 2 open-ended quantifiers (*, + or {n,})');
+  });
+
+  it('accepts patterns whose repetition is unambiguous', () => {
+    assert.equal(error('matches_regex', '^[^@\\s]+@[^@\\s]+$'), null);
+    assert.equal(error('matches_regex', '(ab)+'), null);
+    assert.equal(error('matches_regex', '(?:https?|ftp)://\\S+'), null);
+    assert.equal(error('matches_regex', '[(a+)+]'), null);
+  });
+
+  it('rejects unknown operators', () => {
+    assert.equal(error('bogus', 'x'), 'Choose an operator');
+  });
+});
+
+describe('evaluateConditionGroup', () => {
+  const values = { role: 'Manager', region: 'EMEA' };
+  const yes = rule('equals', 'Manager', 'role');
+  const no = rule('equals', 'Director', 'role');
+
+  it('passes an empty group', () => {
+    assert.equal(evaluateConditionGroup('all', [], values), true);
+    assert.equal(evaluateConditionGroup('any', undefined, values), true);
+  });
+
+  it('requires every condition for `all`', () => {
+    assert.equal(evaluateConditionGroup('all', [yes, yes], values), true);
+    assert.equal(evaluateConditionGroup('all', [yes, no], values), false);
+  });
+
+  it('requires one condition for `any`', () => {
+    assert.equal(evaluateConditionGroup('any', [no, yes], values), true);
+    assert.equal(evaluateConditionGroup('any', [no, no], values), false);
+  });
+
+  it('evaluates nested groups', () => {
+    // (Role is Manager OR Role is Director) AND Region is not empty
+    const conditions = [
+      { combinator: 'any', conditions: [yes, no] },
+      rule('is_not_empty', undefined, 'region')
+    ];
+
+    assert.equal(evaluateConditionGroup('all', conditions, values), true);
+    assert.equal(evaluateConditionGroup('all', conditions, { role: 'Director', region: '' }), false);
+    assert.equal(evaluateConditionGroup('all', conditions, { role: 'Intern', region: 'EMEA' }), false);
+  });
+});
+
+describe('shouldShowField', () => {
+  it('shows fields without rules', () => {
+    assert.equal(shouldShowField({ showWhen: [] }, {}), true);
+    assert.equal(shouldShowField({}, {}), true);
+  });
+
+  it('reads flat rule arrays as AND', () => {
+    const field = {
+      showWhen: [rule('equals', 'A', 'one'), rule('equals', 'B', 'two')]
+    };
+
+    assert.equal(shouldShowField(field, { one: 'A', two: 'B' }), true);
+    assert.equal(shouldShowField(field, { one: 'A', two: 'C' }), false);
+  });
+
+  it('honours showWhenCombinator', () => {
+    const field = {
+      showWhenCombinator: 'any',
+      showWhen: [rule('equals', 'A', 'one'), rule('equals', 'B', 'two')]
+    };
+
+    assert.equal(shouldShowField(field, { one: 'A', two: 'C' }), true);
+    assert.equal(shouldShowField(field, { one: 'X', two: 'C' }), false);
+  });
+});
+
+describe('toResponseMap', () => {
+  it('converts API response arrays', () => {
+    assert.deepEqual(
+      toResponseMap([{ fieldId: 'a', value: 1 }, { fieldId: 'b', value: 'x' }]),
+      { a: 1, b: 'x' }
+    );
+  });
+
+  it('copies plain objects', () => {
+    const responses = { a: 1 };
+    const map = toResponseMap(responses);
+    assert.deepEqual(map, { a: 1 });
+    assert.notEqual(map, responses);
+  });
+
+  it('splits multipleSelect strings using the field definitions', () => {
+    const fields = [{ airtableFieldId: 'tags', airtableFieldType: 'multipleSelect' }];
+    assert.deepEqual(toResponseMap({ tags: 'A, B,,C' }, fields), { tags: ['A', 'B', 'C'] });
+  });
+
+  it('handles missing responses', () => {
+    assert.deepEqual(toResponseMap(undefined), {});
+  });
+
+  it('converts dateTime answers to wall clock times in the field timezone', () => {
+    const fields = [
+      { airtableFieldId: 'ny', airtableFieldType: 'dateTime', typeOptions: { timeZone: 'America/New_York' } },
+      { airtableFieldId: 'local', airtableFieldType: 'dateTime', typeOptions: { timeZone: 'client' } }
+    ];
+    const responses = { ny: '2025-01-02T03:00:00.000Z', local: '2025-01-02T03:00:00.000Z' };
+
+    assert.deepEqual(toResponseMap(responses, fields, { timeZone: 'Asia/Tokyo' }), {
+      ny: '2025-01-01T22:00:00',
+      local: '2025-01-02T12:00:00'
+    });
+  });
+});
+
+describe('toList / isEmptyValue', () => {
+  it('keeps arrays as-is', () => {
+    const list = ['a'];
+    assert.equal(toList(list), list);
+  });
+
+  it('returns an empty list for empty values', () => {
+    assert.deepEqual(toList(''), []);
+    assert.deepEqual(toList(null), []);
+  });
+
+  it('does not treat zero or false as empty', () => {
+    assert.equal(isEmptyValue(0), false);
+    assert.equal(isEmptyValue(false), false);
+  });
+});
+
+describe('getVisibleFields', () => {
+  const fields = [
+    { airtableFieldId: 'role', airtableFieldType: 'singleSelect', order: 0 },
+    {
+      airtableFieldId: 'team',
+      airtableFieldType: 'multipleSelect',
+      order: 1,
+      showWhen: [rule('equals', 'Manager', 'role')]
+    },
+    {
+      airtableFieldId: 'budget',
+      airtableFieldType: 'singleLineText',
+      order: 2,
+      showWhen: [rule('contains', 'Finance', 'team')]
+    }
+  ];
+
+  const ids = (visible) => visible.map(field => field.airtableFieldId);
+
+  it('returns fields whose rules pass, in order', () => {
+    const visible = getVisibleFields(fields, { role: 'Manager', team: 'Finance,Ops' });
+    assert.deepEqual(ids(visible), ['role', 'team', 'budget']);
+  });
+
+  it('accepts the API array format', () => {
+    const visible = getVisibleFields(fields, [
+      { fieldId: 'role', value: 'Manager' },
+      { fieldId: 'team', value: ['Finance'] }
+    ]);
+    assert.deepEqual(ids(visible), ['role', 'team', 'budget']);
+  });
+
+  it('ignores answers to hidden fields when evaluating later fields', () => {
+    // "team" still holds Finance from before the role changed
+    const visible = getVisibleFields(fields, { role: 'Engineer', team: 'Finance' });
+    assert.deepEqual(ids(visible), ['role']);
+  });
+
+  it('compares dateTime answers by the calendar day in the field timezone', () => {
+    const dated = [
+      {
+        airtableFieldId: 'starts',
+        airtableFieldType: 'dateTime',
+        typeOptions: { timeZone: 'America/New_York' },
+        order: 0
+      },
+      {
+        airtableFieldId: 'late',
+        airtableFieldType: 'singleLineText',
+        order: 1,
+        showWhen: [rule('after', '2025-01-01', 'starts')]
+      }
+    ];
+
+    // 03:00 UTC on the 2nd is still the evening of the 1st in New York
+    assert.deepEqual(ids(getVisibleFields(dated, { starts: '2025-01-02T03:00:00.000Z' })), ['starts']);
+    assert.deepEqual(ids(getVisibleFields(dated, { starts: '2025-01-02T09:00' })), ['starts', 'late']);
+  });
+
+  it('sorts by order', () => {
+    const shuffled = [fields[2], fields[0], fields[1]];
+    const visible = getVisibleFields(shuffled, { role: 'Manager', team: 'Finance' });
+    assert.deepEqual(ids(visible), ['role', 'team', 'budget']);
+  });
+});
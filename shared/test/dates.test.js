@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  formatDateValue,
+  parseDate,
+  parseDateTime,
+  resolveTimeZone,
+  toFieldWallClock
+} = require('../dates');
+
+const dateField = (typeOptions = {}) => ({ airtableFieldType: 'date', label: 'Due', typeOptions });
+const dateTimeField = (typeOptions = {}) => ({ airtableFieldType: 'dateTime', label: 'Starts', typeOptions });
+
+describe('resolveTimeZone', () => {
+  it('maps Airtable timezone options to IANA names', () => {
+    assert.equal(resolveTimeZone(dateTimeField({ timeZone: 'utc' })), 'UTC');
+    assert.equal(resolveTimeZone(dateTimeField({ timeZone: 'America/New_York' })), 'America/New_York');
+  });
+
+  it('uses the respondent zone for client fields, falling back to UTC', () => {
+    assert.equal(resolveTimeZone(dateTimeField({ timeZone: 'client' }), 'Asia/Tokyo'), 'Asia/Tokyo');
+    assert.equal(resolveTimeZone(dateTimeField({ timeZone: 'client' })), 'UTC');
+    assert.equal(resolveTimeZone(dateTimeField(), 'Not/AZone'), 'UTC');
+  });
+});
+
+describe('parseDate', () => {
+  it('normalizes ISO dates and date-times', () => {
+    assert.equal(parseDate('2025-03-09'), '2025-03-09');
+    assert.equal(parseDate(' 2025-03-09T10:00:00Z '), '2025-03-09');
+  });
+
+  it('reads slash dates in the field format', () => {
+    assert.equal(parseDate('3/9/2025', dateField({ dateFormat: { name: 'us' } })), '2025-03-09');
+    assert.equal(parseDate('3/9/2025', dateField({ dateFormat: { name: 'european' } })), '2025-09-03');
+  });
+
+  it('rejects impossible or malformed dates', () => {
+    assert.equal(parseDate('2025-02-30'), null);
+    assert.equal(parseDate('2025-3-9'), null);
+    assert.equal(parseDate('next tuesday'), null);
+    assert.equal(parseDate(20250309), null);
+  });
+});
+
+describe('parseDateTime', () => {
+  it('keeps values that carry an offset', () => {
+    assert.equal(parseDateTime('2025-03-09T10:00:00Z', dateTimeField()), '2025-03-09T10:00:00.000Z');
+    assert.equal(parseDateTime('2025-03-09T10:00:00+02:00', dateTimeField()), '2025-03-09T08:00:00.000Z');
+  });
+
+  it('reads wall clock times in the field timezone', () => {
+    const field = dateTimeField({ timeZone: 'America/New_York' });
+    assert.equal(parseDateTime('2025-01-15T09:30', field), '2025-01-15T14:30:00.000Z');
+    assert.equal(parseDateTime('2025-07-15T09:30', field), '2025-07-15T13:30:00.000Z');
+  });
+
+  it('handles the hours around a DST change', () => {
+    const field = dateTimeField({ timeZone: 'America/New_York' });
+    assert.equal(parseDateTime('2025-03-09T01:30', field), '2025-03-09T06:30:00.000Z');
+    assert.equal(parseDateTime('2025-03-09T03:30', field), '2025-03-09T07:30:00.000Z');
+  });
+
+  it('reads client fields in the respondent zone', () => {
+    const field = dateTimeField({ timeZone: 'client' });
+    assert.equal(parseDateTime('2025-01-15T09:30', field, 'Asia/Tokyo'), '2025-01-15T00:30:00.000Z');
+    assert.equal(parseDateTime('2025-01-15T09:30', field), '2025-01-15T09:30:00.000Z');
+  });
+
+  it('treats a plain date as midnight', () => {
+    const field = dateTimeField({ timeZone: 'Europe/Paris' });
+    assert.equal(parseDateTime('2025-01-15', field), '2025-01-14T23:00:00.000Z');
+  });
+
+  it('rejects invalid values', () => {
+    assert.equal(parseDateTime('2025-01-15T25:00', dateTimeField()), null);
+    assert.equal(parseDateTime('soon', dateTimeField()), null);
+    assert.equal(parseDateTime('', dateTimeField()), null);
+  });
+});
+
+describe('toFieldWallClock', () => {
+  it('shows a stored time in the field timezone', () => {
+    const field = dateTimeField({ timeZone: 'America/New_York' });
+    assert.equal(toFieldWallClock('2025-01-15T14:30:00.000Z', field), '2025-01-15T09:30:00');
+  });
+
+  it('returns null for unreadable values', () => {
+    assert.equal(toFieldWallClock('nope', dateTimeField()), null);
+  });
+});
+
+describe('formatDateValue', () => {
+  it('uses the Airtable date format', () => {
+    assert.equal(formatDateValue(dateField({ dateFormat: { name: 'us' } }), '2025-03-09'), '3/9/2025');
+    assert.equal(formatDateValue(dateField({ dateFormat: { name: 'european' } }), '2025-03-09'), '9/3/2025');
+    assert.equal(formatDateValue(dateField({ dateFormat: { name: 'friendly' } }), '2025-03-09'), 'March 9, 2025');
+    assert.equal(formatDateValue(dateField({ dateFormat: { name: 'iso' } }), '2025-03-09'), '2025-03-09');
+  });
+
+  it('formats date-times in the field timezone and time format', () => {
+    const field = dateTimeField({
+      dateFormat: { name: 'us' },
+      timeFormat: { name: '12hour' },
+      timeZone: 'America/New_York'
+    });
+    assert.equal(formatDateValue(field, '2025-01-15T14:30:00.000Z'), '1/15/2025 9:30am');
+
+    const utc = dateTimeField({ timeFormat: { name: '24hour' }, timeZone: 'utc' });
+    assert.equal(formatDateValue(utc, '2025-01-15T14:30:00.000Z'), '2025-01-15 14:30');
+  });
+
+  it('falls back to the raw value when it cannot be read', () => {
+    assert.equal(formatDateValue(dateField(), 'someday'), 'someday');
+    assert.equal(formatDateValue(dateField(), undefined), '');
+  });
+});
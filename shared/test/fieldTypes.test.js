@@ -0,0 +1,268 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_LINKED_RECORDS,
+  coerceFieldValue,
+  formatFieldValue,
+  fromAirtableValue,
+  isSupportedFieldType,
+  toAirtableValue,
+  toTypeOptions
+} = require('../fieldTypes');
+
+const field = (airtableFieldType, typeOptions = {}) => ({
+  airtableFieldId: 'fld1',
+  airtableFieldName: 'Amount',
+  airtableFieldType,
+  label: 'Amount',
+  typeOptions
+});
+
+describe('isSupportedFieldType', () => {
+  it('accepts the numeric, rating, checkbox and date types', () => {
+    for (const type of ['number', 'currency', 'percent', 'rating', 'checkbox', 'date', 'dateTime']) {
+      assert.equal(isSupportedFieldType(type), true);
+    }
+  });
+
+  it('rejects types forms cannot render', () => {
+    assert.equal(isSupportedFieldType('formula'), false);
+  });
+});
+
+describe('toTypeOptions', () => {
+  it('keeps only the options forms use', () => {
+    assert.deepEqual(
+      toTypeOptions({ precision: 2, symbol: '$', choices: [], max: 5, icon: 'star', color: 'yellowBright' }),
+      { precision: 2, symbol: '$', max: 5, icon: 'star', color: 'yellowBright' }
+    );
+  });
+
+  it('keeps date and time options', () => {
+    const options = {
+      dateFormat: { name: 'us', format: 'M/D/YYYY' },
+      timeFormat: { name: '12hour', format: 'h:mma' },
+      timeZone: 'America/New_York'
+    };
+    assert.deepEqual(toTypeOptions(options), options);
+  });
+
+  it('handles fields without options', () => {
+    assert.deepEqual(toTypeOptions(undefined), {});
+  });
+});
+
+describe('coerceFieldValue', () => {
+  it('treats empty answers as no answer', () => {
+    assert.deepEqual(coerceFieldValue(field('number'), ''), { value: null });
+    assert.deepEqual(coerceFieldValue(field('checkbox'), undefined), { value: null });
+  });
+
+  it('leaves text answers alone', () => {
+    assert.deepEqual(coerceFieldValue(field('singleLineText'), ' hi '), { value: ' hi ' });
+  });
+
+  it('splits multipleSelect strings', () => {
+    assert.deepEqual(coerceFieldValue(field('multipleSelect'), 'A, B'), { value: ['A', 'B'] });
+  });
+
+  describe('number / currency / percent', () => {
+    it('parses multipart strings and rounds to the field precision', () => {
+      assert.deepEqual(coerceFieldValue(field('number', { precision: 2 }), '3.14159'), { value: 3.14 });
+      assert.deepEqual(coerceFieldValue(field('number'), '41.6'), { value: 42 });
+      assert.deepEqual(coerceFieldValue(field('number', { precision: 1 }), -2.25), { value: -2.3 });
+    });
+
+    it('accepts thousands separators, currency symbols and percent signs', () => {
+      assert.deepEqual(coerceFieldValue(field('currency', { precision: 2, symbol: '$' }), '$1,234.5'), { value: 1234.5 });
+      assert.deepEqual(coerceFieldValue(field('percent', { precision: 0 }), '45%'), { value: 45 });
+    });
+
+    it('rejects text that is not a number', () => {
+      assert.deepEqual(coerceFieldValue(field('number'), '12abc'), { error: 'Amount must be a number' });
+      assert.deepEqual(coerceFieldValue(field('currency', { symbol: '€' }), '$5'), { error: 'Amount must be a number' });
+    });
+  });
+
+  describe('rating', () => {
+    it('accepts whole numbers up to the field maximum', () => {
+      assert.deepEqual(coerceFieldValue(field('rating', { max: 10 }), '7'), { value: 7 });
+      assert.deepEqual(coerceFieldValue(field('rating'), 5), { value: 5 });
+    });
+
+    it('treats zero as no rating', () => {
+      assert.deepEqual(coerceFieldValue(field('rating'), '0'), { value: null });
+    });
+
+    it('rejects values outside the scale', () => {
+      assert.deepEqual(coerceFieldValue(field('rating'), '6'), { error: 'Amount must be a rating from 1 to 5' });
+      assert.deepEqual(coerceFieldValue(field('rating', { max: 3 }), '2.5'), { error: 'Amount must be a rating from 1 to 3' });
+    });
+  });
+
+  describe('checkbox', () => {
+    it('reads checked values', () => {
+      for (const checked of [true, 'true', 'on', 'YES', '1']) {
+        assert.deepEqual(coerceFieldValue(field('checkbox'), checked), { value: true });
+      }
+    });
+
+    it('drops unchecked values so Airtable leaves the box empty', () => {
+      for (const unchecked of [false, 'false', 'off', '0']) {
+        assert.deepEqual(coerceFieldValue(field('checkbox'), unchecked), { value: null });
+      }
+    });
+
+    it('rejects anything else', () => {
+      assert.deepEqual(coerceFieldValue(field('checkbox'), 'maybe'), { error: 'Amount must be checked or unchecked' });
+    });
+  });
+
+  describe('date / dateTime', () => {
+    it('stores dates as YYYY-MM-DD', () => {
+      assert.deepEqual(coerceFieldValue(field('date'), '2025-03-09'), { value: '2025-03-09' });
+      assert.deepEqual(coerceFieldValue(field('date', { dateFormat: { name: 'european' } }), '9/3/2025'), { value: '2025-03-09' });
+      assert.deepEqual(coerceFieldValue(field('date'), '2025-02-30'), { error: 'Amount must be a valid date' });
+    });
+
+    it('stores date-times as UTC ISO strings', () => {
+      const dateTime = field('dateTime', { timeZone: 'client' });
+      assert.deepEqual(
+        coerceFieldValue(dateTime, '2025-01-15T09:30', { timeZone: 'America/Chicago' }),
+        { value: '2025-01-15T15:30:00.000Z' }
+      );
+      assert.deepEqual(coerceFieldValue(dateTime, 'tomorrow'), { error: 'Amount must be a valid date and time' });
+    });
+  });
+
+  describe('email / url / phoneNumber', () => {
+    it('trims and lower-cases emails', () => {
+      assert.deepEqual(coerceFieldValue(field('email'), ' Jane.Doe@Example.COM '), { value: 'jane.doe@example.com' });
+    });
+
+    it('rejects malformed emails', () => {
+      for (const email of ['jane', 'jane@example', 'jane doe@example.com', '@example.com']) {
+        assert.deepEqual(coerceFieldValue(field('email'), email), { error: 'Amount must be a valid email address' });
+      }
+    });
+
+    it('accepts web URLs and adds a missing scheme', () => {
+      assert.deepEqual(coerceFieldValue(field('url'), 'https://example.com/a?b=1'), { value: 'https://example.com/a?b=1' });
+      assert.deepEqual(coerceFieldValue(field('url'), 'example.com'), { value: 'https://example.com/' });
+    });
+
+    it('rejects URLs that are not web addresses', () => {
+      for (const url of ['javascript:alert(1)', 'not a url', 'ftp://example.com', 'https://intranet']) {
+        assert.deepEqual(coerceFieldValue(field('url'), url), { error: 'Amount must be a valid URL' });
+      }
+    });
+
+    it('strips formatting from phone numbers', () => {
+      assert.deepEqual(coerceFieldValue(field('phoneNumber'), '(555) 123-4567'), { value: '5551234567' });
+      assert.deepEqual(coerceFieldValue(field('phoneNumber'), '+44 20 7946.0958'), { value: '+442079460958' });
+    });
+
+    it('rejects phone numbers with letters or the wrong length', () => {
+      for (const phone of ['555-CALL-NOW', '12345', '+1234567890123456']) {
+        assert.deepEqual(coerceFieldValue(field('phoneNumber'), phone), { error: 'Amount must be a valid phone number' });
+      }
+    });
+  });
+
+  describe('multipleRecordLinks', () => {
+    const recA = 'recAAAAAAAAAAAAAA';
+    const recB = 'recBBBBBBBBBBBBBB';
+
+    it('splits and de-duplicates record IDs', () => {
+      assert.deepEqual(coerceFieldValue(field('multipleRecordLinks'), `${recA}, ${recB},${recA}`), { value: [recA, recB] });
+      assert.deepEqual(coerceFieldValue(field('multipleRecordLinks'), [recB]), { value: [recB] });
+    });
+
+    it('rejects anything that is not a record ID', () => {
+      assert.deepEqual(
+        coerceFieldValue(field('multipleRecordLinks'), [recA, 'Acme Corp']),
+        { error: 'Amount contains an invalid record' }
+      );
+      assert.deepEqual(
+        coerceFieldValue(field('multipleRecordLinks'), 'rec") & TRUE()'),
+        { error: 'Amount contains an invalid record' }
+      );
+    });
+
+    it('allows one record when the field prefers a single link', () => {
+      const single = field('multipleRecordLinks', { prefersSingleRecordLink: true });
+      assert.deepEqual(coerceFieldValue(single, [recA]), { value: [recA] });
+      assert.deepEqual(coerceFieldValue(single, [recA, recB]), { error: 'Amount accepts only one record' });
+    });
+
+    it('limits how many records one answer links', () => {
+      const recordIds = Array.from({ length: MAX_LINKED_RECORDS + 1 }, (_, i) => `rec${String(i).padStart(14, '0')}`);
+      assert.equal(coerceFieldValue(field('multipleRecordLinks'), recordIds.slice(1)).value.length, MAX_LINKED_RECORDS);
+      assert.deepEqual(
+        coerceFieldValue(field('multipleRecordLinks'), recordIds),
+        { error: `Amount can link at most ${MAX_LINKED_RECORDS} records` }
+      );
+    });
+  });
+});
+
+describe('toAirtableValue', () => {
+  it('converts percentage points to a fraction', () => {
+    assert.equal(toAirtableValue(field('percent', { precision: 1 }), 12.5), 0.125);
+    assert.equal(toAirtableValue(field('percent'), 7), 0.07);
+  });
+
+  it('passes other values through', () => {
+    assert.equal(toAirtableValue(field('number'), 12.5), 12.5);
+    assert.deepEqual(toAirtableValue(field('multipleSelect'), ['A']), ['A']);
+  });
+});
+
+describe('fromAirtableValue', () => {
+  it('turns cell values back into form input values', () => {
+    assert.equal(fromAirtableValue(field('percent', { precision: 1 }), 0.125), '12.5');
+    assert.equal(fromAirtableValue(field('currency', { precision: 2 }), 3), '3.00');
+    assert.equal(fromAirtableValue(field('multipleSelect'), ['A', 'B']), 'A,B');
+    assert.equal(fromAirtableValue(field('checkbox'), true), true);
+    assert.deepEqual(fromAirtableValue(field('multipleRecordLinks'), ['recAAAAAAAAAAAAAA']), ['recAAAAAAAAAAAAAA']);
+  });
+
+  it('shows date-times as wall clock time in the field timezone', () => {
+    const dateTime = field('dateTime', { timeZone: 'America/New_York' });
+    assert.equal(fromAirtableValue(dateTime, '2024-01-15T15:30:00.000Z'), '2024-01-15T10:30');
+  });
+
+  it('leaves empty cells and attachments out', () => {
+    assert.equal(fromAirtableValue(field('singleLineText'), undefined), null);
+    assert.equal(fromAirtableValue(field('attachment'), [{ url: 'https://example.com/a.png' }]), null);
+  });
+});
+
+describe('formatFieldValue', () => {
+  it('formats numbers with their precision, symbol or percent sign', () => {
+    assert.equal(formatFieldValue(field('number', { precision: 2 }), 3), '3.00');
+    assert.equal(formatFieldValue(field('currency', { precision: 2, symbol: '$' }), 1234.5), '$1234.50');
+    assert.equal(formatFieldValue(field('percent', { precision: 1 }), 12.5), '12.5%');
+  });
+
+  it('formats ratings against their scale', () => {
+    assert.equal(formatFieldValue(field('rating', { max: 10 }), 7), '7/10');
+  });
+
+  it('formats checkboxes as Yes / No', () => {
+    assert.equal(formatFieldValue(field('checkbox'), true), 'Yes');
+    assert.equal(formatFieldValue(field('checkbox'), null), 'No');
+  });
+
+  it('joins lists and attachment names', () => {
+    assert.equal(formatFieldValue(field('multipleSelect'), ['A', 'B']), 'A, B');
+    assert.equal(
+      formatFieldValue(field('attachment'), [{ filename: 'a.pdf', url: 'https://x/a.pdf' }]),
+      'a.pdf'
+    );
+  });
+
+  it('returns an empty string for missing answers', () => {
+    assert.equal(formatFieldValue(field('number'), undefined), '');
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { canMergeOn, getMergeFields, getUpsertSettingsError } = require('../upsert');
+
+const field = (airtableFieldId, airtableFieldType, extra = {}) => ({
+  airtableFieldId,
+  airtableFieldType,
+  label: airtableFieldId,
+  required: true,
+  ...extra
+});
+
+const fields = [
+  field('fldEmail', 'email'),
+  field('fldName', 'singleLineText', { required: false }),
+  field('fldFiles', 'attachment'),
+  field('fldCompany', 'singleLineText', { showWhen: [{ fieldId: 'fldEmail', operator: 'is_not_empty' }] })
+];
+
+const upsert = (mergeFieldIds, enabled = true) => ({ upsert: { enabled, mergeFieldIds } });
+
+describe('canMergeOn', () => {
+  it('accepts single-value fields and rejects attachments and links', () => {
+    assert.equal(canMergeOn(field('f', 'email')), true);
+    assert.equal(canMergeOn(field('f', 'attachment')), false);
+    assert.equal(canMergeOn(field('f', 'multipleRecordLinks')), false);
+  });
+});
+
+describe('getMergeFields', () => {
+  it('returns the chosen fields in order', () => {
+    assert.deepEqual(getMergeFields(upsert(['fldName', 'fldEmail']), fields).map(f => f.airtableFieldId), ['fldName', 'fldEmail']);
+  });
+
+  it('is empty when upsert mode is off or missing', () => {
+    assert.deepEqual(getMergeFields(upsert(['fldEmail'], false), fields), []);
+    assert.deepEqual(getMergeFields({}, fields), []);
+  });
+});
+
+describe('getUpsertSettingsError', () => {
+  it('accepts valid settings and ignores disabled ones', () => {
+    assert.equal(getUpsertSettingsError(upsert(['fldEmail']), fields), null);
+    assert.equal(getUpsertSettingsError(upsert([], false), fields), null);
+    assert.equal(getUpsertSettingsError(undefined, fields), null);
+  });
+
+  it('requires between one and three merge fields', () => {
+    assert.match(getUpsertSettingsError(upsert([]), fields), /at least one/);
+    assert.match(getUpsertSettingsError(upsert(['a', 'b', 'c', 'd']), fields), /at most 3/);
+  });
+
+  it('rejects missing, unsupported, optional and conditional fields', () => {
+    assert.match(getUpsertSettingsError(upsert(['fldMissing']), fields), /not on the form/);
+    assert.match(getUpsertSettingsError(upsert(['fldFiles']), fields), /can't be used/);
+    assert.match(getUpsertSettingsError(upsert(['fldName']), fields), /must be required/);
+    assert.match(getUpsertSettingsError(upsert(['fldCompany']), fields), /always shown/);
+  });
+});
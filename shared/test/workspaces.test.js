@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { INVITABLE_ROLES, hasRole, getRolePermissions } = require('../workspaces');
+
+describe('hasRole', () => {
+  it('grants a role and every role below it', () => {
+    assert.equal(hasRole('editor', 'editor'), true);
+    assert.equal(hasRole('editor', 'analyst'), true);
+    assert.equal(hasRole('editor', 'viewer'), true);
+    assert.equal(hasRole('editor', 'owner'), false);
+  });
+
+  it('grants nothing to unknown or missing roles', () => {
+    assert.equal(hasRole(undefined, 'viewer'), false);
+    assert.equal(hasRole('admin', 'viewer'), false);
+  });
+});
+
+describe('getRolePermissions', () => {
+  it('lets analysts see responses but not edit forms', () => {
+    assert.deepEqual(getRolePermissions('analyst'), {
+      viewForms: true,
+      viewResponses: true,
+      editForms: false,
+      manageMembers: false
+    });
+  });
+
+  it('gives viewers read access to forms only', () => {
+    const permissions = getRolePermissions('viewer');
+    assert.equal(permissions.viewForms, true);
+    assert.equal(permissions.viewResponses, false);
+  });
+
+  it('gives owners everything', () => {
+    assert.ok(Object.values(getRolePermissions('owner')).every(Boolean));
+  });
+});
+
+describe('INVITABLE_ROLES', () => {
+  it('does not include owner', () => {
+    assert.equal(INVITABLE_ROLES.includes('owner'), false);
+  });
+});
@@ -0,0 +1,70 @@
+// Upsert mode: instead of always creating a record, a form can match an
+// existing Airtable record on up to three of its fields (e.g. email) and
+// update it. The form stores `settings.upsert = { enabled, mergeFieldIds }`.
+
+// Airtable's limit for fieldsToMergeOn
+const MAX_MERGE_FIELDS = 3;
+
+// Field types whose value can identify a record
+const MERGE_FIELD_TYPES = [
+  'singleLineText',
+  'email',
+  'url',
+  'phoneNumber',
+  'number',
+  'currency',
+  'percent',
+  'singleSelect',
+  'date',
+  'dateTime'
+];
+
+const canMergeOn = (field) => MERGE_FIELD_TYPES.includes(field.airtableFieldType);
+
+// Form fields to merge on, in the order chosen; an empty list when upsert
+// mode is off
+const getMergeFields = (settings, fields) => {
+  if (!settings?.upsert?.enabled) return [];
+
+  return (settings.upsert.mergeFieldIds || [])
+    .map(fieldId => fields.find(field => field.airtableFieldId === fieldId))
+    .filter(Boolean);
+};
+
+// Why the upsert settings can't be saved, or null. Merge fields must always
+// be answered: an empty value would match (and overwrite) an unrelated
+// record whose field is empty too.
+const getUpsertSettingsError = (settings, fields) => {
+  if (!settings?.upsert?.enabled) return null;
+
+  const mergeFieldIds = settings.upsert.mergeFieldIds || [];
+  if (mergeFieldIds.length === 0) {
+    return 'Choose at least one field to match records on';
+  }
+  if (mergeFieldIds.length > MAX_MERGE_FIELDS) {
+    return `Records can be matched on at most ${MAX_MERGE_FIELDS} fields`;
+  }
+
+  for (const fieldId of mergeFieldIds) {
+    const field = fields.find(f => f.airtableFieldId === fieldId);
+    if (!field) {
+      return 'A field used to match records is not on the form';
+    }
+    if (!canMergeOn(field)) {
+      return `"${field.label}" can't be used to match records`;
+    }
+    if (!field.required || (field.showWhen || []).length > 0) {
+      return `"${field.label}" must be required and always shown to match records on it`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  MAX_MERGE_FIELDS,
+  MERGE_FIELD_TYPES,
+  canMergeOn,
+  getMergeFields,
+  getUpsertSettingsError
+};
@@ -0,0 +1,33 @@
+// Workspace roles, from least to most access. Each role can do everything
+// the roles before it can:
+//   viewer  - see the workspace's forms
+//   analyst - also see responses and analytics, and export responses
+//   editor  - also create, edit, publish and delete forms
+//   owner   - also manage members, invites and the workspace itself
+const WORKSPACE_ROLES = ['viewer', 'analyst', 'editor', 'owner'];
+
+// Roles that can be given through an invite (ownership isn't handed out
+// by link)
+const INVITABLE_ROLES = ['viewer', 'analyst', 'editor'];
+
+const isWorkspaceRole = (role) => WORKSPACE_ROLES.includes(role);
+
+// Whether `role` grants at least `requiredRole`
+const hasRole = (role, requiredRole) =>
+  isWorkspaceRole(role) && WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(requiredRole);
+
+// What a member with `role` may do, for showing or hiding actions
+const getRolePermissions = (role) => ({
+  viewForms: hasRole(role, 'viewer'),
+  viewResponses: hasRole(role, 'analyst'),
+  editForms: hasRole(role, 'editor'),
+  manageMembers: hasRole(role, 'owner')
+});
+
+module.exports = {
+  WORKSPACE_ROLES,
+  INVITABLE_ROLES,
+  isWorkspaceRole,
+  hasRole,
+  getRolePermissions
+};